@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Benchmark of transient resolution of a deep dependency graph.
+ *
+ * The graph is a chain of transient classes where every class depends on the
+ * previous one and on a few leaf services. The cold run resolves the graph
+ * from a new container every iteration, which means every signature is
+ * parsed and every resolution plan is created again since the caches belong
+ * to the container. The warm run reuses one container and shows the effect
+ * of the cached parameters and resolution plans.
+ *
+ * Run with: npm run benchmark
+ */
+
+import { Container } from "@moonwalkingbits/apollo-container";
+import { performance } from "perf_hooks";
+
+const DEPTH = 20;
+const ITERATIONS = 500;
+const LEAVES = ["logger", "clock", "config"];
+
+/**
+ * Create a chain of classes with a source representative of real classes.
+ *
+ * @return {Array.<Function>} Classes of the chain, the first without dependencies on the chain.
+ */
+function createChain() {
+    const classes = [];
+
+    for (let level = 0; level < DEPTH; level++) {
+        const previous = level === 0 ? [] : ["previous"];
+
+        classes.push(new Function(`
+            return class Level${level} {
+                static description = "Level ${level} of the dependency chain";
+
+                constructor(${[...previous, ...LEAVES].join(", ")}, options = { retries: 3, timeout: "1s" }) {
+                    this.dependencies = [${[...previous, ...LEAVES].join(", ")}];
+                    this.options = options;
+                }
+
+                run() {
+                    return this.dependencies.length;
+                }
+            };
+        `)());
+    }
+
+    return classes;
+}
+
+/**
+ * Create a container with the chain and its leaf services bound.
+ *
+ * @param {Array.<Function>} classes Classes of the chain.
+ * @return {Container} Container resolving the chain.
+ */
+function createContainer(classes) {
+    const container = new Container();
+
+    for (const leaf of LEAVES) {
+        container.bindFactory(leaf, () => ({ leaf }));
+    }
+
+    classes.forEach((constructor, level) => {
+        const inject = level === 0 ? null : { previous: `level${level - 1}` };
+
+        container.bindConstructor(`level${level}`, constructor, { inject });
+    });
+
+    return container;
+}
+
+/**
+ * Measure the average time of a function.
+ *
+ * @param {Function} func Function to measure.
+ * @return {number} Average time in milliseconds.
+ */
+function measure(func) {
+    const start = performance.now();
+
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+        func();
+    }
+
+    return (performance.now() - start) / ITERATIONS;
+}
+
+const classes = createChain();
+const target = `level${DEPTH - 1}`;
+const warmContainer = createContainer(classes);
+
+warmContainer.get(target);
+
+const cold = measure(() => createContainer(classes).get(target));
+const warm = measure(() => warmContainer.get(target));
+
+console.log(`Transient resolution of a chain of ${DEPTH} classes, ${ITERATIONS} iterations`);
+console.log(`  cold: ${cold.toFixed(3)} ms per resolution`);
+console.log(`  warm: ${warm.toFixed(3)} ms per resolution`);
+console.log(`  speedup: ${(cold / warm).toFixed(1)}x`);
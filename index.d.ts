@@ -7,8 +7,516 @@
 
 type Constructor<T = any> = new (...parameters: Array<any>) => T;
 type Function<T = any> = (...parameters: Array<any>) => T;
+type AbstractConstructor<T = any> = globalThis.Function & {prototype: T};
 type NamedParameters = {[name: string]: any};
 
+/**
+ * A unique identifier of an object within a container.
+ *
+ * Tokens are compared by reference, which means two tokens never collide even
+ * if they share a description. This makes them a good fit for identifying
+ * objects that aren't represented by a class, e.g. configuration values.
+ */
+declare class InjectionToken<T = any> {
+    /**
+     * Description of the identified object.
+     */
+    public description: string;
+
+    /**
+     * Type of the identified object.
+     */
+    private readonly type?: T;
+
+    /**
+     * Create a new injection token instance.
+     *
+     * @param description Description of the identified object.
+     */
+    public constructor(description: string);
+
+    /**
+     * Create a string representation of the token.
+     *
+     * @return String representation of the token.
+     */
+    public toString(): string;
+}
+
+/**
+ * Identifier of an object within a container.
+ *
+ * Classes and injection tokens carry the type of the identified object.
+ */
+type Identifier<T = any> = string | symbol | AbstractConstructor<T> | InjectionToken<T>;
+
+/**
+ * An identifier to inject as a lazy proxy.
+ *
+ * The object isn't resolved until the proxy is first used, which defers
+ * expensive dependencies and breaks cycles between objects that only use
+ * each other after they are created.
+ */
+declare class LazyIdentifier<T = any> {
+    /**
+     * Identifier of the object.
+     */
+    public identifier: Identifier<T>;
+
+    /**
+     * Create a new lazy identifier instance.
+     *
+     * @param identifier Identifier of the object.
+     */
+    public constructor(identifier: Identifier<T>);
+
+    /**
+     * Create a string representation of the lazy identifier.
+     *
+     * @return String representation of the lazy identifier.
+     */
+    public toString(): string;
+}
+
+/**
+ * Mark an identifier to be injected as a lazy proxy.
+ *
+ * @param identifier Identifier of the object.
+ * @return Lazy identifier.
+ */
+declare function lazy<T = any>(identifier: Identifier<T>): LazyIdentifier<T>;
+
+/**
+ * An identifier that may be left unresolved.
+ *
+ * A parameter or property marked as optional is left without a value rather
+ * than failing in strict mode when the container has nothing to inject.
+ */
+declare class OptionalIdentifier<T = any> {
+    /**
+     * Identifier of the object.
+     */
+    public identifier: Identifier<T> | LazyIdentifier<T>;
+
+    /**
+     * Create a new optional identifier instance.
+     *
+     * @param identifier Identifier of the object.
+     */
+    public constructor(identifier: Identifier<T> | LazyIdentifier<T>);
+
+    /**
+     * Create a string representation of the optional identifier.
+     *
+     * @return String representation of the optional identifier.
+     */
+    public toString(): string;
+}
+
+/**
+ * Mark an identifier as optional even in strict mode.
+ *
+ * @param identifier Identifier of the object.
+ * @return Optional identifier.
+ */
+declare function optional<T = any>(identifier: Identifier<T> | LazyIdentifier<T>): OptionalIdentifier<T>;
+
+/**
+ * An identifier to inject, optionally marked as lazy or optional.
+ */
+type InjectableIdentifier = Identifier | LazyIdentifier | OptionalIdentifier;
+
+/**
+ * Identifiers to inject, either by parameter position or by parameter name.
+ *
+ * Any identifier may be wrapped in a lazy identifier to inject a lazy proxy
+ * instead of the object, and in an optional identifier to leave it
+ * unresolved even in strict mode.
+ */
+type InjectMetadata = Array<InjectableIdentifier> | {[parameter: string]: InjectableIdentifier};
+
+/**
+ * Properties to inject, either as property names or as identifiers by
+ * property name.
+ */
+type PropertyMetadata = Array<string | symbol> | {[property: string]: InjectableIdentifier};
+
+/**
+ * Setter methods to call, either as method names or as injection metadata by
+ * method name.
+ */
+type MethodMetadata = Array<string | symbol> | {[method: string]: InjectMetadata | null};
+
+/**
+ * Declare a property or setter method to inject with the container.
+ *
+ * A property without an identifier is injected with the object named after
+ * the property. A method is called with its parameters resolved like those of
+ * any other function, the given identifier taking the place of the first
+ * parameter.
+ *
+ * @param identifier Identifier to inject.
+ * @return Property or method decorator.
+ */
+declare function inject(
+    identifier?: InjectableIdentifier
+): (prototype: object, key: string | symbol, descriptor?: PropertyDescriptor) => void;
+
+/**
+ * A method to call, either as "identifier@method" or as a pair of an
+ * identifier or object and a method name.
+ */
+type Callable = string | [Identifier | object, string | symbol];
+
+/**
+ * Container options.
+ *
+ * In strict mode an error is thrown whenever a parameter without a default
+ * value can't be resolved. Otherwise the parameter is left undefined.
+ */
+type ContainerOptions = {strict?: boolean};
+
+/**
+ * Available binding lifetimes.
+ *
+ * A transient binding creates a new object every time it is resolved. A
+ * singleton binding creates one object that is shared by the container it was
+ * registered in and all of its children. A scoped binding creates one object
+ * for each container it is resolved from, which makes it possible to share
+ * state within a child container without sharing it with its siblings.
+ */
+declare const Lifetime: {
+    readonly TRANSIENT: "transient";
+    readonly SINGLETON: "singleton";
+    readonly SCOPED: "scoped";
+};
+type Lifetime = typeof Lifetime[keyof typeof Lifetime];
+
+/**
+ * Binding options.
+ *
+ * Any identifiers given to inject take precedence over the parameter names in
+ * the constructor or factory signature. A disposer takes precedence over the
+ * dispose methods of the shared object. A lazy binding is injected as a lazy
+ * proxy. A multi binding is added to the ones of the identifier.
+ */
+type BindingOptions<T = any> = {
+    lifetime?: Lifetime | boolean;
+    inject?: InjectMetadata;
+    dispose?: (instance: T) => any;
+    lazy?: boolean;
+    multi?: boolean;
+};
+
+/**
+ * Instance options.
+ *
+ * Bound instances are only disposed along with the container if dispose is
+ * true or a function disposing the instance. A multi instance is added to the
+ * ones of the identifier.
+ */
+type InstanceOptions<T = any> = {
+    dispose?: boolean | ((instance: T) => any);
+    multi?: boolean;
+};
+
+/**
+ * Unbind options.
+ *
+ * Aliases referring to the identifier are only removed along with it if
+ * cascade is true.
+ */
+type UnbindOptions = {
+    cascade?: boolean;
+};
+
+/**
+ * A copy of the registrations of a container.
+ *
+ * Covers bindings, instances, multi bindings, shared objects, aliases, tags,
+ * extenders, contextual bindings, configuration sources, resolution hooks and
+ * rebind callbacks.
+ */
+type ContainerSnapshot = {
+    readonly bindings: Map<Identifier, object>;
+    readonly instances: Map<Identifier, any>;
+    readonly multiBindings: Map<Identifier, Array<symbol>>;
+    readonly sharedInstances: Map<Identifier, any>;
+    readonly aliases: Map<Identifier, Identifier>;
+    readonly tags: Map<string | symbol, Array<Identifier>>;
+    readonly extenders: Map<Identifier, Array<Function>>;
+    readonly contextualBindings: Map<Function, Map<Identifier, object>>;
+    readonly configSources: Array<ConfigSource>;
+    readonly resolvingHooks: Array<object>;
+    readonly afterResolvingHooks: Array<object>;
+    readonly rebindCallbacks: Map<Identifier, Array<Function>>;
+    readonly providers: Array<ServiceProvider>;
+    readonly deferredProviders: Map<Identifier, ServiceProvider | ServiceProviderConstructor>;
+    readonly registeredProviders: Set<ServiceProvider | ServiceProviderConstructor>;
+    readonly bootedProviders: Set<ServiceProvider>;
+};
+
+/**
+ * Details about a resolution given to hooks run before an object is resolved.
+ *
+ * The depth is the number of identifiers, including followed aliases, already
+ * being resolved when the resolution started. A constructed class or invoked
+ * function is the start of the resolution path, which means its dependencies
+ * are resolved at depth 1.
+ */
+type ResolvingEvent = {
+    identifier: Identifier | Function;
+    depth: number;
+};
+
+/**
+ * Details about a resolution given to hooks run after an object is resolved.
+ *
+ * The duration is the time taken in milliseconds. The value is cached if it
+ * was an instance or an already created shared object.
+ */
+type ResolvedEvent<T = any> = ResolvingEvent & {
+    value: T;
+    duration: number;
+    cached: boolean;
+};
+
+/**
+ * A dependency of a node in a dependency graph.
+ */
+type DependencyGraphDependency = {
+    identifier: Identifier;
+    optional: boolean;
+    lazy: boolean;
+};
+
+/**
+ * An identifier known to the container.
+ */
+type DependencyGraphNode = {
+    identifier: Identifier;
+    kind: "instance" | "constructor" | "factory" | "multi" | "deferred";
+    lifetime: Lifetime | null;
+    aliases: Array<Identifier>;
+    tags: Array<string | symbol>;
+    dependencies: Array<DependencyGraphDependency>;
+};
+
+/**
+ * A dependency that can't be resolved.
+ */
+type MissingDependency = {
+    dependent: Identifier;
+    identifier: Identifier;
+};
+
+/**
+ * A shared object depending on an object that is meant to live shorter.
+ */
+type CaptiveDependency = {
+    dependent: Identifier;
+    identifier: Identifier;
+    lifetime: Lifetime;
+};
+
+/**
+ * A snapshot of the bindings in a container and how they depend on each other.
+ *
+ * A dependency is resolved by a binding if there is a node for its
+ * identifier, otherwise by a tag if any node has the tag. Anything else is
+ * missing unless the dependency is optional.
+ */
+declare class DependencyGraph {
+    /**
+     * Identifiers known to the container.
+     */
+    public nodes: Array<DependencyGraphNode>;
+
+    /**
+     * Create a new dependency graph instance.
+     *
+     * @param nodes Identifiers known to the container.
+     */
+    public constructor(nodes: Array<DependencyGraphNode>);
+
+    /**
+     * Find the dependencies that can't be resolved.
+     *
+     * @return Missing dependencies.
+     */
+    public findMissingDependencies(): Array<MissingDependency>;
+
+    /**
+     * Find the cycles among the dependencies.
+     *
+     * Lazy dependencies break cycles since they aren't resolved until they
+     * are used.
+     *
+     * @return Identifiers forming each cycle.
+     */
+    public findCircularDependencies(): Array<Array<Identifier>>;
+
+    /**
+     * Find singletons depending on transient or scoped objects.
+     *
+     * @return Captive dependencies.
+     */
+    public findCaptiveDependencies(): Array<CaptiveDependency>;
+
+    /**
+     * Find the identifiers no other binding depends on.
+     *
+     * @return Identifiers without dependents.
+     */
+    public findUnusedIdentifiers(): Array<Identifier>;
+
+    /**
+     * Create a serializable representation of the graph.
+     *
+     * @return Serializable representation of the graph.
+     */
+    public toJSON(): {nodes: Array<object>};
+
+    /**
+     * Create a Graphviz DOT representation of the graph.
+     *
+     * @return DOT representation of the graph.
+     */
+    public toDot(): string;
+}
+
+/**
+ * A module registering related bindings.
+ *
+ * A provider declaring the identifiers it provides is deferred until one of
+ * them is resolved.
+ */
+interface ServiceProvider {
+    /**
+     * Register bindings to the container.
+     *
+     * @param container Container to register bindings to.
+     */
+    register(container: Container): void;
+
+    /**
+     * Function run once every provider is registered, injected with its dependencies.
+     */
+    boot?: Function;
+
+    /**
+     * Identifiers a deferred provider provides.
+     */
+    provides?: Array<Identifier>;
+}
+
+/**
+ * A service provider class constructed by the container.
+ */
+type ServiceProviderConstructor = Constructor<ServiceProvider> & {provides?: Array<Identifier>};
+
+/**
+ * A source of configuration values.
+ */
+interface ConfigSource {
+    /**
+     * Look up a configuration value.
+     *
+     * @param words Words forming the path of the value, e.g. ["database", "host"].
+     * @return The value if found.
+     */
+    lookup(words: Array<string>): {value: any} | null;
+}
+
+/**
+ * A configuration source reading values from a nested object.
+ *
+ * Words of a path may match camel cased keys at any level of nesting, e.g.
+ * db.maxConnections or dbMaxConnections.
+ */
+declare class ObjectConfigSource implements ConfigSource {
+    /**
+     * Create a new object configuration source instance.
+     *
+     * @param values Nested configuration values.
+     */
+    public constructor(values: object);
+
+    /**
+     * Look up a configuration value.
+     *
+     * @param words Words forming the path of the value.
+     * @return The value if found.
+     */
+    public lookup(words: Array<string>): {value: any} | null;
+}
+
+/**
+ * Environment configuration source options.
+ */
+type EnvironmentConfigSourceOptions = {
+    prefix: string;
+    coerce?: boolean;
+};
+
+/**
+ * A configuration source reading values from environment variables.
+ *
+ * A path is read from the upper snake cased variable with the given prefix,
+ * e.g. APP_DB_MAX_CONNECTIONS. The prefix is required since unprefixed
+ * variables like PATH or HOME would otherwise be injected into parameters
+ * named path or home, an empty prefix has to be given explicitly. Values are
+ * coerced to booleans, numbers, null or JSON unless coercion is turned off.
+ */
+declare class EnvironmentConfigSource implements ConfigSource {
+    /**
+     * Create a new environment configuration source instance.
+     *
+     * @param environment Environment variables.
+     * @param options Prefix of the variables and whether to coerce values.
+     * @throws {Error} If no prefix is given.
+     */
+    public constructor(
+        environment: {[name: string]: string | undefined} | undefined,
+        options: EnvironmentConfigSourceOptions
+    );
+
+    /**
+     * Look up a configuration value.
+     *
+     * @param words Words forming the path of the value.
+     * @return The value if found.
+     */
+    public lookup(words: Array<string>): {value: any} | null;
+}
+
+/**
+ * Builder of bindings that only apply when resolving the parameters of given targets.
+ */
+declare class ContextualBindingBuilder {
+    /**
+     * Declare which parameter the binding applies to.
+     *
+     * @param need Parameter name or identifier the targets need.
+     * @return Same builder instance.
+     */
+    public needs(need: Identifier): ContextualBindingBuilder;
+
+    /**
+     * Give the targets the object of another identifier.
+     *
+     * @param identifier Identifier of the object to give.
+     */
+    public give(identifier: Identifier | LazyIdentifier): void;
+
+    /**
+     * Give the targets whatever the factory returns.
+     *
+     * @param factory Object factory.
+     */
+    public giveFactory(factory: Function): void;
+}
+
 /**
  * An interface representing a dependency injection (DI) container.
  *
@@ -20,20 +528,714 @@ type NamedParameters = {[name: string]: any};
  */
 declare interface ContainerInterface {
     /**
-     * Determine if the container has a binding for the given name.
+     * Create a child container.
+     *
+     * The child container falls back to this container for anything it
+     * doesn't know about itself. Anything registered in the child shadows
+     * registrations in this container.
+     *
+     * @return Child container.
+     */
+    createChild(): ContainerInterface;
+
+    /**
+     * Create a scope for scoped bindings.
+     *
+     * A scope is a child container in which every scoped binding is resolved
+     * at most once, e.g. once per request or per job.
+     *
+     * @return Scoped child container.
+     */
+    createScope(): ContainerInterface;
+
+    /**
+     * Run a callback in a new scope tracked across asynchronous calls.
+     *
+     * Anything retrieved, constructed or invoked through this container while
+     * the callback runs is resolved from the scope. The scope is disposed once
+     * the value returned by the callback settles.
+     *
+     * @param callback Function given the scope.
+     * @return Whatever the callback returns.
+     * @throws {DisposalError} If any scoped object fails to be disposed.
+     */
+    runInScope<T>(callback: (scope: ContainerInterface) => T | Promise<T>): Promise<T>;
+
+    /**
+     * Determine if the container has a binding for the given name.
+     *
+     * @param identifier Binding identifier.
+     * @return True if a binding exists.
+     */
+    has(identifier: Identifier): boolean;
+
+    /**
+     * Retrieve an object.
+     *
+     * @param identifier Identifier of the object.
+     * @return Object matching the identifier.
+     * @throws {Error} If a shared object is still being created by an asynchronous resolution.
+     */
+    get<T = any>(identifier: Identifier<T>): T;
+
+    /**
+     * Retrieve an object waiting for any asynchronous dependencies.
+     *
+     * Asynchronous factories and the dependencies they are injected with are
+     * awaited before they are passed along. Concurrent resolutions of the same
+     * singleton share one pending promise.
+     *
+     * @param identifier Identifier of the object.
+     * @return Object matching the identifier.
+     */
+    getAsync<T = any>(identifier: Identifier<T>): Promise<T>;
+
+    /**
+     * Create an object passing named parameters to its constructor or factory.
+     *
+     * The parameters are only passed to the constructor or factory of the
+     * identifier, not to its dependencies. Shared objects and instances can't
+     * be given parameters.
+     *
+     * @param identifier Identifier of the object.
+     * @param parameters Any named parameters to pass to the constructor or factory.
+     * @return Object matching the identifier.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    make<T = any>(identifier: Identifier<T>, parameters?: NamedParameters): T;
+
+    /**
+     * Create an object passing named parameters waiting for any asynchronous dependencies.
+     *
+     * @param identifier Identifier of the object.
+     * @param parameters Any named parameters to pass to the constructor or factory.
+     * @return Object matching the identifier.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    makeAsync<T = any>(identifier: Identifier<T>, parameters?: NamedParameters): Promise<T>;
+
+    /**
+     * Create a function creating objects with named parameters.
+     *
+     * @param identifier Identifier of the objects.
+     * @return Function creating objects.
+     */
+    factoryFor<T = any>(identifier: Identifier<T>): (parameters?: NamedParameters) => T;
+
+    /**
+     * Retrieve a proxy standing in for an object until it is first used.
+     *
+     * The object is resolved on first property access or call and every
+     * operation is forwarded to it after that. The proxy of an object created
+     * by a factory can be called, typeof reports it as a function.
+     *
+     * @param identifier Identifier of the object.
+     * @return Lazy proxy for the object matching the identifier.
+     */
+    getLazy<T = any>(identifier: Identifier<T>): T;
+
+    /**
+     * Retrieve every object with the given tag.
+     *
+     * The objects are returned in the order they were tagged, starting with
+     * the ones tagged in the parent containers.
+     *
+     * @param tag Tag to retrieve objects for.
+     * @return Objects with the tag.
+     */
+    getTagged<T = any>(tag: string | symbol): Array<T>;
+
+    /**
+     * Retrieve every object with the given tag waiting for any asynchronous dependencies.
+     *
+     * @param tag Tag to retrieve objects for.
+     * @return Objects with the tag.
+     */
+    getTaggedAsync<T = any>(tag: string | symbol): Promise<Array<T>>;
+
+    /**
+     * Retrieve every object bound to an identifier.
+     *
+     * The objects of a multi binding are returned in the order they were
+     * bound. Any other identifier gives a list of its only object, and an
+     * unknown identifier gives an empty list.
+     *
+     * @param identifier Identifier of the objects.
+     * @return Objects bound to the identifier.
+     */
+    getAll<T = any>(identifier: Identifier<T>): Array<T>;
+
+    /**
+     * Retrieve every object bound to an identifier waiting for any asynchronous dependencies.
+     *
+     * @param identifier Identifier of the objects.
+     * @return Objects bound to the identifier.
+     */
+    getAllAsync<T = any>(identifier: Identifier<T>): Promise<Array<T>>;
+
+    /**
+     * Retrieve a configuration value.
+     *
+     * The path is given in dot notation, e.g. "database.host", and may be
+     * prefixed with "config:".
+     *
+     * @param path Path of the value.
+     * @param defaultValue Value returned if the configuration value is missing, a configured null isn't.
+     * @return Configuration value.
+     */
+    getConfig<T = any>(path: string, defaultValue?: T): T;
+
+    /**
+     * Construct a new object instance injecting any resolvable dependencies.
+     *
+     * @param constructor Object constructor.
+     * @param parameters Any named parameters to pass to the constructor.
+     * @return Object instance.
+     */
+    construct<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): T;
+
+    /**
+     * Construct a new object instance waiting for any asynchronous dependencies.
+     *
+     * @param constructor Object constructor.
+     * @param parameters Any named parameters to pass to the constructor.
+     * @return Object instance.
+     */
+    constructAsync<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): Promise<T>;
+
+    /**
+     * Invoke function injecting any resolvable dependencies.
+     *
+     * If the given function is bound we don't have access to the original
+     * function signature. This makes it impossible to extract the functions
+     * parameters. In this case you can pass the original function as a
+     * parameter and we will extract the parameters from that signature.
+     *
+     * @param func Function to be invoked.
+     * @param parameters Any named parameters to pass to the function.
+     * @param signature Original function signature in case the function is bound.
+     * @return Whatever the invoked function returns.
+     */
+    invoke<T = any>(func: Function<T>, parameters?: NamedParameters, signature?: Function<T>): T;
+
+    /**
+     * Invoke function waiting for any asynchronous dependencies.
+     *
+     * Works like invoke but awaits both the dependencies and the value returned
+     * by the function.
+     *
+     * @param func Function to be invoked.
+     * @param parameters Any named parameters to pass to the function.
+     * @param signature Original function signature in case the function is bound.
+     * @return Whatever the invoked function returns.
+     */
+    invokeAsync<T = any>(
+        func: Function<T | PromiseLike<T>>,
+        parameters?: NamedParameters,
+        signature?: Function<T | PromiseLike<T>>
+    ): Promise<T>;
+
+    /**
+     * Call a method injecting any resolvable dependencies.
+     *
+     * The method is given as "identifier@method" or as an identifier or object
+     * paired with a method name. Identifiers are retrieved from the container
+     * and the method is called on the object.
+     *
+     * @param callable Method to call.
+     * @param parameters Any named parameters to pass to the method.
+     * @return Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
+     */
+    call<T = any>(callable: Callable, parameters?: NamedParameters): T;
+
+    /**
+     * Call a method waiting for any asynchronous dependencies.
+     *
+     * @param callable Method to call.
+     * @param parameters Any named parameters to pass to the method.
+     * @return Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
+     */
+    callAsync<T = any>(callable: Callable, parameters?: NamedParameters): Promise<T>;
+
+    /**
+     * Inject dependencies into an object created outside of the container.
+     *
+     * Properties are declared in a static injectProperties property and
+     * setter methods in a static injectMethods property, or by the inject
+     * decorator. A property the container has no value for is left untouched
+     * unless the container is in strict mode and the identifier isn't marked
+     * as optional.
+     *
+     * @param object Object to inject dependencies into.
+     * @param parameters Any named values taking precedence, by property or parameter name.
+     * @return Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    injectInto<T extends object>(object: T, parameters?: NamedParameters): T;
+
+    /**
+     * Inject dependencies into an object waiting for any asynchronous dependencies.
+     *
+     * @param object Object to inject dependencies into.
+     * @param parameters Any named values taking precedence, by property or parameter name.
+     * @return Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    injectIntoAsync<T extends object>(object: T, parameters?: NamedParameters): Promise<T>;
+
+    /**
+     * Dispose every shared object created by the container.
+     *
+     * Objects are disposed in reverse creation order using the disposer given
+     * when they were registered or their own dispose or close method. An
+     * object returning a promise when disposed is reported as an error, use
+     * disposeAsync() instead.
+     *
+     * @throws {DisposalError} If any object fails to be disposed.
+     */
+    dispose(): void;
+
+    /**
+     * Dispose every shared object created by the container waiting for any asynchronous disposal.
+     *
+     * @return Promise resolving once every object is disposed.
+     * @throws {DisposalError} If any object fails to be disposed.
+     */
+    disposeAsync(): Promise<void>;
+
+    /**
+     * Inspect the bindings of the container and how they depend on each other.
+     *
+     * The graph includes everything resolvable from the container, including
+     * bindings of the parent containers. Dependencies are found the same way
+     * they are resolved.
+     *
+     * @return Snapshot of the bindings and their dependencies.
+     */
+    inspect(): DependencyGraph;
+
+    /**
+     * Validate the bindings of the container without creating any objects.
+     *
+     * Every problem found is reported at once: dependencies that can't be
+     * resolved, aliases of unknown identifiers, circular dependencies and
+     * singletons depending on transient or scoped objects.
+     *
+     * @throws {ValidationError} If any problem is found.
+     */
+    validate(): void;
+
+    /**
+     * Ensure the given configuration values exist.
+     *
+     * @param paths Paths of the required values in dot notation.
+     * @throws {ConfigurationError} If any of the values is missing.
+     */
+    requireConfig(paths: string | Array<string>): void;
+
+    /**
+     * Register a service provider.
+     *
+     * The provider registers its bindings right away, which means that every
+     * provider is registered before any of them is booted. A deferred provider
+     * isn't registered until one of the identifiers it provides is resolved.
+     * If the container is already booted the provider is booted right away.
+     *
+     * @param provider Provider object or class.
+     * @return Whatever the boot function returns if the container is already booted.
+     * @throws {Error} If the provider is already registered.
+     */
+    registerProvider(provider: ServiceProvider | ServiceProviderConstructor): any;
+
+    /**
+     * Boot every registered provider.
+     *
+     * The providers are booted one at a time in the order they were
+     * registered. Each boot function is injected with its dependencies. If a
+     * provider fails to boot, booting again boots the remaining providers.
+     *
+     * @return Promise resolving once every provider is booted.
+     */
+    boot(): Promise<void>;
+
+    /**
+     * Register a concrete object instance to the container.
+     *
+     * @param identifier Object identifier.
+     * @param instance Concrete object instance.
+     * @param options Instance options.
+     */
+    bindInstance<T = any>(identifier: Identifier<T>, instance: T, options?: InstanceOptions<T>): void;
+
+    /**
+     * Registers a constructor to the container.
+     *
+     * The options may be given as just a lifetime.
+     *
+     * @param identifier Constructor identifier.
+     * @param constructor Object constructor.
+     * @param options Binding options, true for a singleton.
+     */
+    bindConstructor<T = any>(
+        identifier: Identifier<T>,
+        constructor: Constructor<T>,
+        options?: Lifetime | boolean | BindingOptions<T>
+    ): void;
+
+    /**
+     * Registers an object factory to the container.
+     *
+     * The options may be given as just a lifetime.
+     *
+     * @param identifier Factory identifier.
+     * @param factory Object factory.
+     * @param options Binding options, true for a singleton.
+     */
+    bindFactory<T = any>(
+        identifier: Identifier<T>,
+        factory: Function<T | PromiseLike<T>>,
+        options?: Lifetime | boolean | BindingOptions<T>
+    ): void;
+
+    /**
+     * Make sure the binding is a singleton.
+     *
+     * @param identifier Binding identifier.
+     */
+    makeSingleton(identifier: Identifier): void;
+
+    /**
+     * Tag one or more identifiers.
+     *
+     * A parameter named after a tag that isn't itself bound is injected with
+     * the tagged objects.
+     *
+     * @param identifiers Identifiers to tag.
+     * @param tag Tag to add.
+     */
+    tag(identifiers: Identifier | Array<Identifier>, tag: string | symbol): void;
+
+    /**
+     * Bind a source of configuration values.
+     *
+     * Parameters without a binding are injected with the configuration value
+     * matching their name, e.g. dbHost is filled from db.host. Identifiers
+     * prefixed with "config:" are always read from the configuration. Sources
+     * bound later take precedence over earlier ones.
+     *
+     * @param source Configuration values or configuration source.
+     */
+    bindConfig(source: object | ConfigSource): void;
+
+    /**
+     * Register a hook run before an object is resolved.
+     *
+     * Hooks run for every object resolved by get, including dependencies, as
+     * well as for construct and invoke where the identifier is the class or
+     * function. Use "*" to run the hook for every identifier.
+     *
+     * @param identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param hook Function given the resolution event.
+     */
+    onResolving(identifier: Identifier | Function, hook: (event: ResolvingEvent) => void): void;
+
+    /**
+     * Register a hook run after an object is resolved.
+     *
+     * @param identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param hook Function given the resolution event.
+     */
+    afterResolving<T = any>(identifier: Identifier<T> | Function, hook: (event: ResolvedEvent<T>) => void): void;
+
+    /**
+     * Define a binding that only applies when resolving parameters of the given targets.
+     *
+     * Classes inheriting the constructor of a target are covered by the
+     * binding too.
+     *
+     * @param targets Functions or classes the binding applies to.
+     * @return Contextual binding builder.
+     */
+    when(targets: Function | Constructor | Array<Function | Constructor>): ContextualBindingBuilder;
+
+    /**
+     * Extend an object as it is resolved.
+     *
+     * The extender is given the object and the container and returns the
+     * object to use in its place. Extenders are applied in the order they were
+     * registered every time the object is created, which means only once for
+     * shared objects. Objects that already exist are extended right away and
+     * instances bound later are extended as well. Instances and singletons of
+     * a parent container can only be extended in the container they belong to.
+     * A multi binding can't be extended.
+     *
+     * @param identifier Binding identifier.
+     * @param extender Function extending the object.
+     * @throws {Error} If the object is an instance or a singleton of a parent container.
+     * @throws {Error} If the identifier refers to a multi binding.
+     */
+    extend<T = any>(identifier: Identifier<T>, extender: (instance: T, container: Container) => any): void;
+
+    /**
+     * Create a binding alias.
+     *
+     * @param identifier Binding identifier.
+     * @param alias Binding alias.
+     */
+    alias(identifier: Identifier, alias: Identifier): void;
+
+    /**
+     * Remove the binding or instance of an identifier from this container.
+     *
+     * Unbinding an alias only removes the alias. The identifier is removed
+     * from its tags as well.
+     *
+     * @param identifier Identifier to remove.
+     * @param options Unbind options.
+     * @throws {Error} If the identifier is unknown to this container or has aliases and cascade isn't set.
+     */
+    unbind(identifier: Identifier, options?: UnbindOptions): void;
+
+    /**
+     * Replace the object of a known identifier with a new instance.
+     *
+     * The rebind callbacks of this container and its parents are run with the
+     * new instance, even if the identifier was only known by a parent.
+     *
+     * @param identifier Identifier of the object to replace.
+     * @param instance New object instance.
+     * @param options Instance options.
+     * @throws {Error} If the identifier is unknown.
+     */
+    rebind<T>(identifier: Identifier<T>, instance: T, options?: InstanceOptions<T>): void;
+
+    /**
+     * Register a callback run when an identifier is bound again.
+     *
+     * Binding an identifier that already has a binding or instance in this
+     * container, or rebinding it in this container or a child, runs the
+     * callbacks with the new object.
+     *
+     * @param identifier Identifier to watch.
+     * @param callback Function given the new object and the container.
+     */
+    onRebind<T = any>(identifier: Identifier<T>, callback: (value: T, container: Container) => void): void;
+
+    /**
+     * Replace an object with another value until the returned function is called.
+     *
+     * Shared objects that already depend on the replaced object keep it until
+     * the shared instances are cleared.
+     *
+     * @param identifier Identifier of the object to replace.
+     * @param value Value to use in place of the object.
+     * @return Function restoring the replaced binding or instance.
+     */
+    override<T>(identifier: Identifier<T>, value: T): () => void;
+
+    /**
+     * Forget every shared object created by this container.
+     *
+     * Singleton and scoped objects are created again the next time they are
+     * resolved, which makes them pick up any overridden dependencies.
+     */
+    clearSharedInstances(): void;
+
+    /**
+     * Take a snapshot of the registrations of this container.
+     *
+     * @return Snapshot of the registrations.
+     */
+    snapshot(): ContainerSnapshot;
+
+    /**
+     * Restore the registrations of a snapshot.
+     *
+     * Anything registered or shared since the snapshot was taken is forgotten.
+     *
+     * @param snapshot Snapshot to restore.
+     */
+    restore(snapshot: ContainerSnapshot): void;
+}
+
+/**
+ * A dependency injection (DI) container.
+ *
+ * A container instance lets you practise inversion of control (IoC) by
+ * delegating the task of constructing new instances to the container.
+ * Instances are resolved from the container without any knowledge about
+ * creation of their dependencies. This decouples the objects from each other
+ * and makes the dependency tree clear.
+ */
+declare class Container implements ContainerInterface {
+    /**
+     * Create a new container instance.
+     *
+     * @param options Container options.
+     */
+    public constructor(options?: ContainerOptions);
+
+    /**
+     * Create a child container.
+     *
+     * The child container falls back to this container for anything it
+     * doesn't know about itself. Anything registered in the child shadows
+     * registrations in this container.
+     *
+     * @return Child container.
+     */
+    public createChild(): Container;
+
+    /**
+     * Create a scope for scoped bindings.
+     *
+     * A scope is a child container in which every scoped binding is resolved
+     * at most once, e.g. once per request or per job.
+     *
+     * @return Scoped child container.
+     */
+    public createScope(): Container;
+
+    /**
+     * Run a callback in a new scope tracked across asynchronous calls.
+     *
+     * Anything retrieved, constructed or invoked through this container while
+     * the callback runs is resolved from the scope. The scope is disposed once
+     * the value returned by the callback settles.
+     *
+     * @param callback Function given the scope.
+     * @return Whatever the callback returns.
+     * @throws {DisposalError} If any scoped object fails to be disposed.
+     */
+    public runInScope<T>(callback: (scope: Container) => T | Promise<T>): Promise<T>;
+
+    /**
+     * Determine if the container has a binding for the given name.
+     *
+     * @param identifier Binding identifier.
+     * @return True if a binding exists.
+     */
+    public has(identifier: Identifier): boolean;
+
+    /**
+     * Retrieve an object.
+     *
+     * @param identifier Identifier of the object.
+     * @return Object matching the identifier.
+     * @throws {Error} If a shared object is still being created by an asynchronous resolution.
+     */
+    public get<T = any>(identifier: Identifier<T>): T;
+
+    /**
+     * Retrieve an object waiting for any asynchronous dependencies.
+     *
+     * Asynchronous factories and the dependencies they are injected with are
+     * awaited before they are passed along. Concurrent resolutions of the same
+     * singleton share one pending promise.
+     *
+     * @param identifier Identifier of the object.
+     * @return Object matching the identifier.
+     */
+    public getAsync<T = any>(identifier: Identifier<T>): Promise<T>;
+
+    /**
+     * Create an object passing named parameters to its constructor or factory.
+     *
+     * The parameters are only passed to the constructor or factory of the
+     * identifier, not to its dependencies. Shared objects and instances can't
+     * be given parameters.
+     *
+     * @param identifier Identifier of the object.
+     * @param parameters Any named parameters to pass to the constructor or factory.
+     * @return Object matching the identifier.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    public make<T = any>(identifier: Identifier<T>, parameters?: NamedParameters): T;
+
+    /**
+     * Create an object passing named parameters waiting for any asynchronous dependencies.
+     *
+     * @param identifier Identifier of the object.
+     * @param parameters Any named parameters to pass to the constructor or factory.
+     * @return Object matching the identifier.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    public makeAsync<T = any>(identifier: Identifier<T>, parameters?: NamedParameters): Promise<T>;
+
+    /**
+     * Create a function creating objects with named parameters.
      *
-     * @param identifier Binding identifier.
-     * @return True if a binding exists.
+     * @param identifier Identifier of the objects.
+     * @return Function creating objects.
      */
-    has(identifier: string): boolean;
+    public factoryFor<T = any>(identifier: Identifier<T>): (parameters?: NamedParameters) => T;
 
     /**
-     * Retrieve an object.
+     * Retrieve a proxy standing in for an object until it is first used.
+     *
+     * The object is resolved on first property access or call and every
+     * operation is forwarded to it after that. The proxy of an object created
+     * by a factory can be called, typeof reports it as a function.
      *
      * @param identifier Identifier of the object.
-     * @return Object matching the identifier.
+     * @return Lazy proxy for the object matching the identifier.
+     */
+    public getLazy<T = any>(identifier: Identifier<T>): T;
+
+    /**
+     * Retrieve every object with the given tag.
+     *
+     * The objects are returned in the order they were tagged, starting with
+     * the ones tagged in the parent containers.
+     *
+     * @param tag Tag to retrieve objects for.
+     * @return Objects with the tag.
+     */
+    public getTagged<T = any>(tag: string | symbol): Array<T>;
+
+    /**
+     * Retrieve every object with the given tag waiting for any asynchronous dependencies.
+     *
+     * @param tag Tag to retrieve objects for.
+     * @return Objects with the tag.
+     */
+    public getTaggedAsync<T = any>(tag: string | symbol): Promise<Array<T>>;
+
+    /**
+     * Retrieve every object bound to an identifier.
+     *
+     * The objects of a multi binding are returned in the order they were
+     * bound. Any other identifier gives a list of its only object, and an
+     * unknown identifier gives an empty list.
+     *
+     * @param identifier Identifier of the objects.
+     * @return Objects bound to the identifier.
+     */
+    public getAll<T = any>(identifier: Identifier<T>): Array<T>;
+
+    /**
+     * Retrieve every object bound to an identifier waiting for any asynchronous dependencies.
+     *
+     * @param identifier Identifier of the objects.
+     * @return Objects bound to the identifier.
      */
-    get<T = any>(identifier: string): T;
+    public getAllAsync<T = any>(identifier: Identifier<T>): Promise<Array<T>>;
+
+    /**
+     * Retrieve a configuration value.
+     *
+     * The path is given in dot notation, e.g. "database.host", and may be
+     * prefixed with "config:".
+     *
+     * @param path Path of the value.
+     * @param defaultValue Value returned if the configuration value is missing, a configured null isn't.
+     * @return Configuration value.
+     */
+    public getConfig<T = any>(path: string, defaultValue?: T): T;
 
     /**
      * Construct a new object instance injecting any resolvable dependencies.
@@ -42,7 +1244,16 @@ declare interface ContainerInterface {
      * @param parameters Any named parameters to pass to the constructor.
      * @return Object instance.
      */
-    construct<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): T;
+    public construct<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): T;
+
+    /**
+     * Construct a new object instance waiting for any asynchronous dependencies.
+     *
+     * @param constructor Object constructor.
+     * @param parameters Any named parameters to pass to the constructor.
+     * @return Object instance.
+     */
+    public constructAsync<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): Promise<T>;
 
     /**
      * Invoke function injecting any resolvable dependencies.
@@ -57,137 +1268,269 @@ declare interface ContainerInterface {
      * @param signature Original function signature in case the function is bound.
      * @return Whatever the invoked function returns.
      */
-    invoke<T = any>(func: Function<T>, parameters?: NamedParameters, signature?: Function<T>): T;
+    public invoke<T = any>(func: Function<T>, parameters?: NamedParameters, signature?: Function<T>): T;
 
     /**
-     * Register a concrete object instance to the container.
+     * Invoke function waiting for any asynchronous dependencies.
      *
-     * @param identifier Object identifier.
-     * @param instance Concrete object instance.
+     * Works like invoke but awaits both the dependencies and the value returned
+     * by the function.
+     *
+     * @param func Function to be invoked.
+     * @param parameters Any named parameters to pass to the function.
+     * @param signature Original function signature in case the function is bound.
+     * @return Whatever the invoked function returns.
      */
-    bindInstance(identifier: string, instance: any): void;
+    public invokeAsync<T = any>(
+        func: Function<T | PromiseLike<T>>,
+        parameters?: NamedParameters,
+        signature?: Function<T | PromiseLike<T>>
+    ): Promise<T>;
 
     /**
-     * Registers a constructor to the container.
+     * Call a method injecting any resolvable dependencies.
      *
-     * @param identifier Constructor identifier.
-     * @param constructor Object constructor.
-     * @param singleton Whether this binding is a singleton.
+     * The method is given as "identifier@method" or as an identifier or object
+     * paired with a method name. Identifiers are retrieved from the container
+     * and the method is called on the object.
+     *
+     * @param callable Method to call.
+     * @param parameters Any named parameters to pass to the method.
+     * @return Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
      */
-    bindConstructor(identifier: string, constructor: Constructor, singleton?: boolean): void;
+    public call<T = any>(callable: Callable, parameters?: NamedParameters): T;
 
     /**
-     * Registers an object factory to the container.
+     * Call a method waiting for any asynchronous dependencies.
      *
-     * @param identifier Factory identifier.
-     * @param factory Object factory.
-     * @param singleton Whether this binding is a singleton.
+     * @param callable Method to call.
+     * @param parameters Any named parameters to pass to the method.
+     * @return Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
      */
-    bindFactory(identifier: string, factory: Function, singleton?: boolean): void;
+    public callAsync<T = any>(callable: Callable, parameters?: NamedParameters): Promise<T>;
 
     /**
-     * Make sure the binding is a singleton.
+     * Inject dependencies into an object created outside of the container.
      *
-     * @param identifier Binding identifier.
+     * Properties are declared in a static injectProperties property and
+     * setter methods in a static injectMethods property, or by the inject
+     * decorator. A property the container has no value for is left untouched
+     * unless the container is in strict mode and the identifier isn't marked
+     * as optional.
+     *
+     * @param object Object to inject dependencies into.
+     * @param parameters Any named values taking precedence, by property or parameter name.
+     * @return Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
      */
-    makeSingleton(identifier: string): void;
+    public injectInto<T extends object>(object: T, parameters?: NamedParameters): T;
 
     /**
-     * Create a binding alias.
+     * Inject dependencies into an object waiting for any asynchronous dependencies.
      *
-     * @param identifier Binding identifier.
-     * @param alias Binding alias.
+     * @param object Object to inject dependencies into.
+     * @param parameters Any named values taking precedence, by property or parameter name.
+     * @return Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
      */
-    alias(identifier: string, alias: string): void;
-}
+    public injectIntoAsync<T extends object>(object: T, parameters?: NamedParameters): Promise<T>;
 
-/**
- * A dependency injection (DI) container.
- *
- * A container instance lets you practise inversion of control (IoC) by
- * delegating the task of constructing new instances to the container.
- * Instances are resolved from the container without any knowledge about
- * creation of their dependencies. This decouples the objects from each other
- * and makes the dependency tree clear.
- */
-declare class Container implements ContainerInterface {
     /**
-     * Create a new container instance.
+     * Dispose every shared object created by the container.
+     *
+     * Objects are disposed in reverse creation order using the disposer given
+     * when they were registered or their own dispose or close method. An
+     * object returning a promise when disposed is reported as an error, use
+     * disposeAsync() instead.
+     *
+     * @throws {DisposalError} If any object fails to be disposed.
      */
-    public constructor();
+    public dispose(): void;
 
     /**
-     * Determine if the container has a binding for the given name.
+     * Dispose every shared object created by the container waiting for any asynchronous disposal.
      *
-     * @param identifier Binding identifier.
-     * @return True if a binding exists.
+     * @return Promise resolving once every object is disposed.
+     * @throws {DisposalError} If any object fails to be disposed.
      */
-    public has(identifier: string): boolean;
+    public disposeAsync(): Promise<void>;
 
     /**
-     * Retrieve an object.
+     * Inspect the bindings of the container and how they depend on each other.
      *
-     * @param identifier Identifier of the object.
-     * @return Object matching the identifier.
+     * The graph includes everything resolvable from the container, including
+     * bindings of the parent containers. Dependencies are found the same way
+     * they are resolved.
+     *
+     * @return Snapshot of the bindings and their dependencies.
      */
-    public get<T = any>(identifier: string): T;
+    public inspect(): DependencyGraph;
 
     /**
-     * Construct a new object instance injecting any resolvable dependencies.
+     * Validate the bindings of the container without creating any objects.
      *
-     * @param constructor Object constructor.
-     * @param parameters Any named parameters to pass to the constructor.
-     * @return Object instance.
+     * Every problem found is reported at once: dependencies that can't be
+     * resolved, aliases of unknown identifiers, circular dependencies and
+     * singletons depending on transient or scoped objects.
+     *
+     * @throws {ValidationError} If any problem is found.
      */
-    public construct<T = any>(constructor: Constructor<T>, parameters?: NamedParameters): T;
+    public validate(): void;
 
     /**
-     * Invoke function injecting any resolvable dependencies.
+     * Ensure the given configuration values exist.
      *
-     * If the given function is bound we don't have access to the original
-     * function signature. This makes it impossible to extract the functions
-     * parameters. In this case you can pass the original function as a
-     * parameter and we will extract the parameters from that signature.
+     * @param paths Paths of the required values in dot notation.
+     * @throws {ConfigurationError} If any of the values is missing.
+     */
+    public requireConfig(paths: string | Array<string>): void;
+
+    /**
+     * Register a service provider.
      *
-     * @param func Function to be invoked.
-     * @param parameters Any named parameters to pass to the function.
-     * @param signature Original function signature in case the function is bound.
-     * @return Whatever the invoked function returns.
+     * The provider registers its bindings right away, which means that every
+     * provider is registered before any of them is booted. A deferred provider
+     * isn't registered until one of the identifiers it provides is resolved.
+     * If the container is already booted the provider is booted right away.
+     *
+     * @param provider Provider object or class.
+     * @return Whatever the boot function returns if the container is already booted.
+     * @throws {Error} If the provider is already registered.
      */
-    public invoke<T = any>(func: Function<T>, parameters?: NamedParameters, signature?: Function<T>): T;
+    public registerProvider(provider: ServiceProvider | ServiceProviderConstructor): any;
+
+    /**
+     * Boot every registered provider.
+     *
+     * The providers are booted one at a time in the order they were
+     * registered. Each boot function is injected with its dependencies. If a
+     * provider fails to boot, booting again boots the remaining providers.
+     *
+     * @return Promise resolving once every provider is booted.
+     */
+    public boot(): Promise<void>;
 
     /**
      * Register a concrete object instance to the container.
      *
      * @param identifier Object identifier.
      * @param instance Concrete object instance.
+     * @param options Instance options.
      */
-    public bindInstance(identifier: string, instance: any): void;
+    public bindInstance<T = any>(identifier: Identifier<T>, instance: T, options?: InstanceOptions<T>): void;
 
     /**
      * Registers a constructor to the container.
      *
+     * The options may be given as just a lifetime.
+     *
      * @param identifier Constructor identifier.
      * @param constructor Object constructor.
-     * @param singleton Whether this binding is a singleton.
+     * @param options Binding options, true for a singleton.
      */
-    public bindConstructor(identifier: string, constructor: Constructor, singleton?: boolean): void;
+    public bindConstructor<T = any>(
+        identifier: Identifier<T>,
+        constructor: Constructor<T>,
+        options?: Lifetime | boolean | BindingOptions<T>
+    ): void;
 
     /**
      * Registers an object factory to the container.
      *
+     * The options may be given as just a lifetime.
+     *
      * @param identifier Factory identifier.
      * @param factory Object factory.
-     * @param singleton Whether this binding is a singleton.
+     * @param options Binding options, true for a singleton.
      */
-    public bindFactory(identifier: string, factory: Function, singleton?: boolean): void;
+    public bindFactory<T = any>(
+        identifier: Identifier<T>,
+        factory: Function<T | PromiseLike<T>>,
+        options?: Lifetime | boolean | BindingOptions<T>
+    ): void;
 
     /**
      * Make sure the binding is a singleton.
      *
      * @param identifier Binding identifier.
      */
-    public makeSingleton(identifier: string): void;
+    public makeSingleton(identifier: Identifier): void;
+
+    /**
+     * Tag one or more identifiers.
+     *
+     * A parameter named after a tag that isn't itself bound is injected with
+     * the tagged objects.
+     *
+     * @param identifiers Identifiers to tag.
+     * @param tag Tag to add.
+     */
+    public tag(identifiers: Identifier | Array<Identifier>, tag: string | symbol): void;
+
+    /**
+     * Bind a source of configuration values.
+     *
+     * Parameters without a binding are injected with the configuration value
+     * matching their name, e.g. dbHost is filled from db.host. Identifiers
+     * prefixed with "config:" are always read from the configuration. Sources
+     * bound later take precedence over earlier ones.
+     *
+     * @param source Configuration values or configuration source.
+     */
+    public bindConfig(source: object | ConfigSource): void;
+
+    /**
+     * Register a hook run before an object is resolved.
+     *
+     * Hooks run for every object resolved by get, including dependencies, as
+     * well as for construct and invoke where the identifier is the class or
+     * function. Use "*" to run the hook for every identifier.
+     *
+     * @param identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param hook Function given the resolution event.
+     */
+    public onResolving(identifier: Identifier | Function, hook: (event: ResolvingEvent) => void): void;
+
+    /**
+     * Register a hook run after an object is resolved.
+     *
+     * @param identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param hook Function given the resolution event.
+     */
+    public afterResolving<T = any>(identifier: Identifier<T> | Function, hook: (event: ResolvedEvent<T>) => void): void;
+
+    /**
+     * Define a binding that only applies when resolving parameters of the given targets.
+     *
+     * Classes inheriting the constructor of a target are covered by the
+     * binding too.
+     *
+     * @param targets Functions or classes the binding applies to.
+     * @return Contextual binding builder.
+     */
+    public when(targets: Function | Constructor | Array<Function | Constructor>): ContextualBindingBuilder;
+
+    /**
+     * Extend an object as it is resolved.
+     *
+     * The extender is given the object and the container and returns the
+     * object to use in its place. Extenders are applied in the order they were
+     * registered every time the object is created, which means only once for
+     * shared objects. Objects that already exist are extended right away and
+     * instances bound later are extended as well. Instances and singletons of
+     * a parent container can only be extended in the container they belong to.
+     * A multi binding can't be extended.
+     *
+     * @param identifier Binding identifier.
+     * @param extender Function extending the object.
+     * @throws {Error} If the object is an instance or a singleton of a parent container.
+     * @throws {Error} If the identifier refers to a multi binding.
+     */
+    public extend<T = any>(identifier: Identifier<T>, extender: (instance: T, container: Container) => any): void;
 
     /**
      * Create a binding alias.
@@ -195,7 +1538,287 @@ declare class Container implements ContainerInterface {
      * @param identifier Binding identifier.
      * @param alias Binding alias.
      */
-    public alias(identifier: string, alias: string): void;
+    public alias(identifier: Identifier, alias: Identifier): void;
+
+    /**
+     * Remove the binding or instance of an identifier from this container.
+     *
+     * Unbinding an alias only removes the alias. The identifier is removed
+     * from its tags as well.
+     *
+     * @param identifier Identifier to remove.
+     * @param options Unbind options.
+     * @throws {Error} If the identifier is unknown to this container or has aliases and cascade isn't set.
+     */
+    public unbind(identifier: Identifier, options?: UnbindOptions): void;
+
+    /**
+     * Replace the object of a known identifier with a new instance.
+     *
+     * The rebind callbacks of this container and its parents are run with the
+     * new instance, even if the identifier was only known by a parent.
+     *
+     * @param identifier Identifier of the object to replace.
+     * @param instance New object instance.
+     * @param options Instance options.
+     * @throws {Error} If the identifier is unknown.
+     */
+    public rebind<T>(identifier: Identifier<T>, instance: T, options?: InstanceOptions<T>): void;
+
+    /**
+     * Register a callback run when an identifier is bound again.
+     *
+     * Binding an identifier that already has a binding or instance in this
+     * container, or rebinding it in this container or a child, runs the
+     * callbacks with the new object.
+     *
+     * @param identifier Identifier to watch.
+     * @param callback Function given the new object and the container.
+     */
+    public onRebind<T = any>(identifier: Identifier<T>, callback: (value: T, container: Container) => void): void;
+
+    /**
+     * Replace an object with another value until the returned function is called.
+     *
+     * Shared objects that already depend on the replaced object keep it until
+     * the shared instances are cleared.
+     *
+     * @param identifier Identifier of the object to replace.
+     * @param value Value to use in place of the object.
+     * @return Function restoring the replaced binding or instance.
+     */
+    public override<T>(identifier: Identifier<T>, value: T): () => void;
+
+    /**
+     * Forget every shared object created by this container.
+     *
+     * Singleton and scoped objects are created again the next time they are
+     * resolved, which makes them pick up any overridden dependencies.
+     */
+    public clearSharedInstances(): void;
+
+    /**
+     * Take a snapshot of the registrations of this container.
+     *
+     * @return Snapshot of the registrations.
+     */
+    public snapshot(): ContainerSnapshot;
+
+    /**
+     * Restore the registrations of a snapshot.
+     *
+     * Anything registered or shared since the snapshot was taken is forgotten.
+     *
+     * @param snapshot Snapshot to restore.
+     */
+    public restore(snapshot: ContainerSnapshot): void;
+}
+
+/**
+ * Error thrown when an object depends on itself.
+ */
+declare class CircularDependencyError extends Error {
+    /**
+     * Identifiers forming the cycle, including any followed aliases.
+     */
+    public path: Array<Identifier>;
+
+    /**
+     * Create a new circular dependency error instance.
+     *
+     * @param path Identifiers forming the cycle, including any followed aliases.
+     */
+    public constructor(path: Array<Identifier>);
+}
+
+/**
+ * Error thrown when one or more objects fail to be disposed.
+ */
+declare class DisposalError extends Error {
+    /**
+     * Errors thrown while disposing the objects.
+     */
+    public errors: Array<any>;
+
+    /**
+     * Identifiers of the objects that failed to be disposed.
+     */
+    public identifiers: Array<Identifier>;
+
+    /**
+     * Create a new disposal error instance.
+     *
+     * @param errors Errors thrown while disposing the objects.
+     * @param identifiers Identifiers of the objects that failed to be disposed.
+     */
+    public constructor(errors: Array<any>, identifiers: Array<Identifier>);
+}
+
+/**
+ * Error thrown when a resolution hook fails.
+ */
+declare class ResolutionHookError extends Error {
+    /**
+     * Identifier that triggered the hook.
+     */
+    public identifier: Identifier | Function;
+
+    /**
+     * Error thrown by the hook.
+     */
+    public cause: any;
+
+    /**
+     * Create a new resolution hook error instance.
+     *
+     * @param identifier Identifier that triggered the hook.
+     * @param cause Error thrown by the hook.
+     */
+    public constructor(identifier: Identifier | Function, cause: any);
+}
+
+/**
+ * A problem found while validating a container.
+ */
+type ValidationProblem = {
+    type: "missingDependency" | "danglingAlias" | "circularDependency" | "captiveDependency";
+    identifier: Identifier;
+    message: string;
+};
+
+/**
+ * Error thrown when a container fails validation.
+ */
+declare class ValidationError extends Error {
+    /**
+     * Problems found in the container.
+     */
+    public problems: Array<ValidationProblem>;
+
+    /**
+     * Create a new validation error instance.
+     *
+     * @param problems Problems found in the container.
+     */
+    public constructor(problems: Array<ValidationProblem>);
+}
+
+/**
+ * Scope middleware options.
+ *
+ * The error handler is given any error thrown by the handler or while
+ * disposing the scope. By default it responds with an internal server error.
+ */
+type ScopeMiddlewareOptions<Request = any, Response = any> = {
+    onError?: (error: any, request: Request, response: Response) => void;
+};
+
+/**
+ * Create an http request listener running a handler in a request scope.
+ *
+ * Every request is handled in its own scope with the request and response
+ * bound as "request" and "response". The scope is disposed once the handler
+ * is done and the response is finished or the connection is closed.
+ *
+ * @param container Container to start the scopes from.
+ * @param handler Request handler.
+ * @param options Scope middleware options.
+ * @return Request listener.
+ */
+declare function createScopeMiddleware<Request = any, Response = any>(
+    container: Container,
+    handler: (request: Request, response: Response, scope: Container) => any,
+    options?: ScopeMiddlewareOptions<Request, Response>
+): (request: Request, response: Response) => Promise<void>;
+
+/**
+ * Error thrown when required configuration is missing.
+ */
+declare class ConfigurationError extends Error {
+    /**
+     * Paths of the missing configuration values.
+     */
+    public paths: Array<string>;
+
+    /**
+     * Create a new configuration error instance.
+     *
+     * @param paths Paths of the missing configuration values.
+     */
+    public constructor(paths: Array<string>);
+}
+
+/**
+ * Error thrown when a required parameter can't be resolved in strict mode.
+ */
+declare class UnresolvableParameterError extends Error {
+    /**
+     * Name of the unresolvable parameter.
+     */
+    public parameter: string;
+
+    /**
+     * Function or class the parameter belongs to.
+     */
+    public target: Function | Constructor;
+
+    /**
+     * Identifiers being resolved when the error occurred.
+     */
+    public path: Array<Identifier>;
+
+    /**
+     * Create a new unresolvable parameter error instance.
+     *
+     * @param parameter Name of the unresolvable parameter.
+     * @param target Function or class the parameter belongs to.
+     * @param path Identifiers being resolved when the error occurred.
+     */
+    public constructor(parameter: string, target: Function | Constructor, path: Array<Identifier>);
 }
 
-export { Container, ContainerInterface };
+export {
+    BindingOptions,
+    Callable,
+    CaptiveDependency,
+    CircularDependencyError,
+    ConfigSource,
+    ConfigurationError,
+    Container,
+    ContainerInterface,
+    ContainerOptions,
+    ContainerSnapshot,
+    ContextualBindingBuilder,
+    DependencyGraph,
+    DependencyGraphDependency,
+    DependencyGraphNode,
+    DisposalError,
+    EnvironmentConfigSource,
+    EnvironmentConfigSourceOptions,
+    Identifier,
+    InjectMetadata,
+    InjectableIdentifier,
+    InjectionToken,
+    InstanceOptions,
+    LazyIdentifier,
+    Lifetime,
+    MethodMetadata,
+    MissingDependency,
+    ObjectConfigSource,
+    OptionalIdentifier,
+    PropertyMetadata,
+    ResolutionHookError,
+    ResolvedEvent,
+    ResolvingEvent,
+    ScopeMiddlewareOptions,
+    ServiceProvider,
+    ServiceProviderConstructor,
+    UnbindOptions,
+    UnresolvableParameterError,
+    ValidationError,
+    ValidationProblem,
+    createScopeMiddleware,
+    inject,
+    lazy,
+    optional
+};
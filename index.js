@@ -5,4 +5,22 @@
  * file that was distributed with this source code.
  */
 
+export { default as CircularDependencyError } from "./lib/CircularDependencyError.js";
+export { default as ConfigurationError } from "./lib/ConfigurationError.js";
 export { default as Container } from "./lib/Container.js";
+export { default as ContextualBindingBuilder } from "./lib/ContextualBindingBuilder.js";
+export { default as DependencyGraph } from "./lib/DependencyGraph.js";
+export { default as DisposalError } from "./lib/DisposalError.js";
+export { default as EnvironmentConfigSource } from "./lib/EnvironmentConfigSource.js";
+export { default as InjectionToken } from "./lib/InjectionToken.js";
+export { default as LazyIdentifier } from "./lib/LazyIdentifier.js";
+export { default as Lifetime } from "./lib/Lifetime.js";
+export { default as ObjectConfigSource } from "./lib/ObjectConfigSource.js";
+export { default as OptionalIdentifier } from "./lib/OptionalIdentifier.js";
+export { default as ResolutionHookError } from "./lib/ResolutionHookError.js";
+export { default as UnresolvableParameterError } from "./lib/UnresolvableParameterError.js";
+export { default as ValidationError } from "./lib/ValidationError.js";
+export { default as createScopeMiddleware } from "./lib/createScopeMiddleware.js";
+export { default as inject } from "./lib/inject.js";
+export { default as lazy } from "./lib/lazy.js";
+export { default as optional } from "./lib/optional.js";
@@ -7,17 +7,69 @@
 
 import { expectAssignable, expectError, expectType } from "tsd";
 
-import { Container, ContainerInterface } from ".";
+import {
+    CircularDependencyError,
+    ConfigurationError,
+    Container,
+    ContainerInterface,
+    ContainerSnapshot,
+    ContextualBindingBuilder,
+    DependencyGraph,
+    DependencyGraphNode,
+    DisposalError,
+    EnvironmentConfigSource,
+    Identifier,
+    InjectionToken,
+    LazyIdentifier,
+    Lifetime,
+    MethodMetadata,
+    ObjectConfigSource,
+    OptionalIdentifier,
+    PropertyMetadata,
+    ResolutionHookError,
+    ResolvingEvent,
+    UnresolvableParameterError,
+    ValidationError,
+    ValidationProblem,
+    createScopeMiddleware,
+    inject,
+    lazy,
+    optional
+} from ".";
 
 class A {}
 function f1() {}
 const f2 = (name: string) => name;
+const f3 = async (name: string) => name;
 
+const token = new InjectionToken<number>("token");
+const symbol = Symbol("symbol");
 const container = new Container();
 
 expectAssignable<ContainerInterface>(container);
+expectType<Container>(new Container({strict: true}));
+expectError(new Container({strict: "yes"}));
+expectType<Container>(container.createChild());
+expectType<Container>(container.createScope());
 expectType<boolean>(container.has("identifier"));
 expectType<string>(container.get("identifier"));
+expectType<boolean>(container.has(symbol));
+expectType<boolean>(container.has(A));
+expectType<boolean>(container.has(token));
+expectType<A>(container.get(A));
+expectType<number>(container.get(token));
+expectType<string>(container.get<string>(symbol));
+expectType<Promise<string>>(container.getAsync("identifier"));
+expectType<Promise<A>>(container.getAsync(A));
+expectType<Promise<number>>(container.getAsync(token));
+expectType<A>(container.getLazy(A));
+expectType<number>(container.getLazy(token));
+expectType<Array<any>>(container.getTagged("tag"));
+expectType<Array<A>>(container.getTagged<A>(symbol));
+expectType<Promise<Array<A>>>(container.getTaggedAsync<A>("tag"));
+expectType<Array<A>>(container.getAll<A>("identifier"));
+expectType<Array<number>>(container.getAll(token));
+expectType<Promise<Array<A>>>(container.getAllAsync<A>("identifier"));
 expectType<A>(container.construct(A));
 expectType<A>(container.construct(A, {name: "value"}));
 expectType<void>(container.invoke(f1));
@@ -26,10 +78,183 @@ expectType<string>(container.invoke(f2.bind(null), {name: "value"}, f2));
 expectError(() => {
     expectType<string>(container.invoke(f2.bind(null), {name: "value"}, f1));
 });
+expectType<Promise<A>>(container.constructAsync(A));
+expectType<Promise<A>>(container.constructAsync(A, {name: "value"}));
+expectType<Promise<string>>(container.invokeAsync(f2, {name: "value"}));
+expectType<Promise<string>>(container.invokeAsync(f3, {name: "value"}));
+expectType<Promise<string>>(container.invokeAsync(f3.bind(null), {name: "value"}, f3));
 container.bindInstance("identifier", "value");
 container.bindConstructor("identifier", A);
 container.bindConstructor("identifier", A, true);
 container.bindFactory("identifier", f1);
 container.bindFactory("identifier", f2, true);
+container.bindConstructor("identifier", A, Lifetime.SCOPED);
+container.bindFactory("identifier", f2, "singleton");
+expectError(container.bindFactory("identifier", f2, "unknown"));
+container.bindConstructor("identifier", A, {lifetime: Lifetime.SINGLETON, inject: ["a", "b"]});
+container.bindConstructor("middleware", A, {multi: true});
+container.bindInstance("middleware", "value", {multi: true});
+container.bindFactory("identifier", f2, {inject: ["a"]});
+expectError(container.bindFactory("identifier", f2, {inject: "a"}));
+container.bindInstance(token, 1);
+container.bindInstance(symbol, "value");
+expectError(container.bindInstance(token, "value"));
+container.bindConstructor(A, A);
+container.bindFactory(token, () => 1);
+container.bindFactory(token, async () => 1);
+expectError(container.bindFactory(token, () => "value"));
+container.bindConstructor("identifier", A, {inject: [symbol, A, token, "identifier"]});
+container.bindConstructor("identifier", A, {inject: {name: token}});
+container.bindConstructor("identifier", A, {inject: [lazy(A), "identifier"], lazy: true});
+container.when(A).needs("logger").give(lazy("logger"));
+expectType<LazyIdentifier<number>>(lazy(token));
 container.makeSingleton("identifier");
+container.makeSingleton(token);
 container.alias("identifier", "alias");
+container.alias(token, symbol);
+expectType<ContextualBindingBuilder>(container.when(A).needs("logger"));
+container.when(f2).needs(token).give("identifier");
+container.when([A, f1]).needs(symbol).giveFactory(() => 1);
+expectError(container.when("identifier"));
+class Provider {
+    public static provides = ["identifier"];
+
+    public register(registeringContainer: Container): void {
+        registeringContainer.bindInstance("identifier", "value");
+    }
+}
+
+container.registerProvider(Provider);
+container.registerProvider({register: () => undefined, boot: async (name: string) => name});
+expectError(container.registerProvider({boot: () => undefined}));
+expectType<Promise<void>>(container.boot());
+container.onResolving("*", (event: ResolvingEvent) => event.depth);
+container.afterResolving(token, event => expectType<number>(event.value));
+container.afterResolving(f1, event => expectType<number>(event.duration));
+expectError(container.onResolving("*", event => event.value));
+const graph = container.inspect();
+
+expectType<DependencyGraph>(graph);
+expectType<Array<DependencyGraphNode>>(graph.nodes);
+expectType<Array<Identifier>>(graph.findUnusedIdentifiers());
+expectType<Identifier>(graph.findMissingDependencies()[0].dependent);
+expectType<string>(graph.toDot());
+expectType<Array<Array<Identifier>>>(graph.findCircularDependencies());
+expectType<Lifetime>(graph.findCaptiveDependencies()[0].lifetime);
+expectType<void>(container.validate());
+
+container.bindConfig({database: {host: "localhost"}});
+container.bindConfig(new ObjectConfigSource({port: 80}));
+container.bindConfig(new EnvironmentConfigSource({APP_PORT: "80"}, {prefix: "APP_", coerce: false}));
+container.bindConfig({lookup: (words: Array<string>) => ({value: words.join(".")})});
+expectError(container.bindConfig(new EnvironmentConfigSource({APP_PORT: "80"}, {prefix: 1})));
+expectType<any>(container.getConfig("database.host"));
+expectType<number>(container.getConfig<number>("port", 80));
+expectType<void>(container.requireConfig("database.host"));
+expectType<void>(container.requireConfig(["database.host", "port"]));
+
+const restoreOverride = container.override(token, 2);
+
+expectType<() => void>(restoreOverride);
+expectError(container.override(token, "2"));
+expectType<void>(container.clearSharedInstances());
+expectType<number>(container.make(token, {userId: 1}));
+expectType<A>(container.make(A));
+expectType<Promise<number>>(container.makeAsync(token, {userId: 1}));
+expectType<(parameters?: {[name: string]: any}) => number>(container.factoryFor(token));
+expectError(container.factoryFor(token)(1));
+expectType<any>(container.call("controller@show", {id: 1}));
+expectType<string>(container.call<string>([A, "show"]));
+expectType<number>(container.call<number>([new A(), symbol]));
+expectType<Promise<string>>(container.callAsync<string>("controller@show"));
+expectType<A>(container.injectInto(new A()));
+expectType<Promise<A>>(container.injectIntoAsync(new A(), {logger: "logger"}));
+expectType<OptionalIdentifier<number>>(optional(token));
+expectType<OptionalIdentifier<A>>(optional(lazy(A)));
+expectAssignable<PropertyMetadata>({logger: optional("logger"), clock: token, lazyClock: lazy(A)});
+expectAssignable<PropertyMetadata>(["logger", symbol]);
+expectAssignable<MethodMetadata>({setLogger: ["logger"], setClock: null});
+inject()(A.prototype, "logger");
+inject(optional(token))(A.prototype, symbol, {value: () => {}});
+container.bindConstructor("identifier", A, {inject: [optional("logger")]});
+expectError(container.call(["controller"]));
+expectError(container.call(1));
+expectType<Promise<number>>(container.runInScope((scope: Container) => 1));
+expectType<Promise<string>>(container.runInScope(async () => "1"));
+
+type Request = {url: string};
+type Response = {statusCode: number};
+
+const listener = createScopeMiddleware(
+    container,
+    (request: Request, response: Response, scope: Container) => scope.get(token) + request.url.length,
+    {onError: (error, request: Request, response: Response) => response.statusCode}
+);
+
+expectType<(request: Request, response: Response) => Promise<void>>(listener);
+expectError(createScopeMiddleware(container, () => 1, {onError: "log"}));
+expectType<void>(container.unbind(token));
+expectType<void>(container.unbind(token, {cascade: true}));
+expectError(container.unbind(token, {cascade: "yes"}));
+expectType<void>(container.rebind(token, 3, {dispose: (value: number) => value}));
+expectError(container.rebind(token, "3"));
+container.onRebind(token, (value: number, rebindingContainer: Container) => value);
+expectError(container.onRebind(token, (value: string) => value));
+
+const snapshot = container.snapshot();
+
+expectType<ContainerSnapshot>(snapshot);
+expectType<void>(container.restore(snapshot));
+expectError(container.restore({}));
+expectType<{value: any} | null>(new EnvironmentConfigSource(undefined, {prefix: ""}).lookup(["port"]));
+expectError(new EnvironmentConfigSource({APP_PORT: "80"}));
+expectType<{nodes: Array<object>}>(graph.toJSON());
+container.tag("identifier", "tag");
+container.tag([symbol, A, token], symbol);
+expectError(container.tag("identifier", A));
+container.extend("identifier", (value, resolvingContainer: Container) => [value, resolvingContainer]);
+container.extend(token, (value: number) => value + 1);
+expectError(container.extend(token, (value: string) => value));
+container.bindInstance(token, 1, {dispose: true});
+container.bindInstance(token, 1, {dispose: (value: number) => value});
+expectError(container.bindInstance(token, 1, {dispose: (value: string) => value}));
+container.bindFactory(token, () => 1, {lifetime: Lifetime.SINGLETON, dispose: (value: number) => value});
+expectError(container.bindFactory(token, () => 1, {dispose: true}));
+expectType<void>(container.dispose());
+expectType<Promise<void>>(container.disposeAsync());
+
+const circularDependencyError = new CircularDependencyError(["a", symbol, A, token, "a"]);
+
+expectAssignable<Error>(circularDependencyError);
+expectType<Array<Identifier>>(circularDependencyError.path);
+
+const unresolvableParameterError = new UnresolvableParameterError("name", A, ["a", "b"]);
+
+expectAssignable<Error>(unresolvableParameterError);
+expectType<string>(unresolvableParameterError.parameter);
+expectType<Array<Identifier>>(unresolvableParameterError.path);
+
+const disposalError = new DisposalError([new Error()], ["a"]);
+
+expectAssignable<Error>(disposalError);
+expectType<Array<any>>(disposalError.errors);
+expectType<Array<Identifier>>(disposalError.identifiers);
+
+const resolutionHookError = new ResolutionHookError(token, new Error());
+
+expectAssignable<Error>(resolutionHookError);
+expectType<Identifier | ((...parameters: Array<any>) => any)>(resolutionHookError.identifier);
+
+const validationError = new ValidationError([{type: "danglingAlias", identifier: "alias", message: "message"}]);
+
+expectAssignable<Error>(validationError);
+expectType<Array<ValidationProblem>>(validationError.problems);
+
+const configurationError = new ConfigurationError(["database.host"]);
+
+expectAssignable<Error>(configurationError);
+expectType<Array<string>>(configurationError.paths);
+expectError(new ValidationError([{type: "unknown", identifier: "alias", message: "message"}]));
+
+expectType<string>(token.description);
+expectError<InjectionToken<string>>(token);
@@ -0,0 +1,41 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * Error thrown when an object depends on itself.
+ */
+class CircularDependencyError extends Error {
+    /**
+     * Create a new circular dependency error instance.
+     *
+     * @public
+     * @param {Array.<(string|symbol|Function|InjectionToken)>} path Identifiers forming the cycle, including any followed aliases.
+     */
+    constructor(path) {
+        super(`Circular dependency detected: ${path.map(describeIdentifier).join(" -> ")}`);
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "CircularDependencyError";
+
+        /**
+         * Identifiers forming the cycle, including any followed aliases.
+         *
+         * @public
+         * @type {Array.<(string|symbol|Function|InjectionToken)>}
+         */
+        this.path = path;
+    }
+}
+
+export default CircularDependencyError;
@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error thrown when required configuration is missing.
+ */
+class ConfigurationError extends Error {
+    /**
+     * Create a new configuration error instance.
+     *
+     * @public
+     * @param {Array.<string>} paths Paths of the missing configuration values.
+     */
+    constructor(paths) {
+        super(`Missing required configuration: ${paths.join(", ")}`);
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "ConfigurationError";
+
+        /**
+         * Paths of the missing configuration values.
+         *
+         * @public
+         * @type {Array.<string>}
+         */
+        this.paths = paths;
+    }
+}
+
+export default ConfigurationError;
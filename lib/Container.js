@@ -5,6 +5,181 @@
  * file that was distributed with this source code.
  */
 
+import CircularDependencyError from "./CircularDependencyError.js";
+import ConfigurationError from "./ConfigurationError.js";
+import ContextualBindingBuilder from "./ContextualBindingBuilder.js";
+import createLazyProxy from "./createLazyProxy.js";
+import DependencyGraph from "./DependencyGraph.js";
+import describeIdentifier from "./describeIdentifier.js";
+import DisposalError from "./DisposalError.js";
+import LazyIdentifier from "./LazyIdentifier.js";
+import InjectionToken from "./InjectionToken.js";
+import Lifetime from "./Lifetime.js";
+import ObjectConfigSource from "./ObjectConfigSource.js";
+import OptionalIdentifier from "./OptionalIdentifier.js";
+import ParameterParser from "./ParameterParser.js";
+import ResolutionHookError from "./ResolutionHookError.js";
+import UnresolvableParameterError from "./UnresolvableParameterError.js";
+import ValidationError from "./ValidationError.js";
+import { AsyncLocalStorage } from "async_hooks";
+import { performance } from "perf_hooks";
+
+const INJECT_PROPERTIES = ["inject", "$inject"];
+const CONFIG_PREFIX = "config:";
+const DISPOSE_METHODS = [Symbol.dispose, "dispose", "close"].filter(method => method !== undefined);
+const ASYNC_DISPOSE_METHODS = [Symbol.asyncDispose, ...DISPOSE_METHODS].filter(method => method !== undefined);
+
+/**
+ * Identifier of an object within the container.
+ *
+ * @typedef {(string|symbol|Function|InjectionToken)} Identifier
+ */
+
+/**
+ * Identifiers to inject, either by parameter position or by parameter name.
+ *
+ * Any identifier may be wrapped in a {@link LazyIdentifier} to inject a lazy
+ * proxy instead of the object, and in an {@link OptionalIdentifier} to leave
+ * it unresolved even in strict mode.
+ *
+ * @typedef {(Array.<(Identifier|LazyIdentifier|OptionalIdentifier)>|Object.<string, (Identifier|LazyIdentifier|OptionalIdentifier)>)} InjectMetadata
+ */
+
+/**
+ * Properties to inject, either as property names or as identifiers by property name.
+ *
+ * @typedef {(Array.<(string|symbol)>|Object.<string, (Identifier|LazyIdentifier|OptionalIdentifier)>)} PropertyMetadata
+ */
+
+/**
+ * Setter methods to call, either as method names or as injection metadata by method name.
+ *
+ * @typedef {(Array.<(string|symbol)>|Object.<string, ?InjectMetadata>)} MethodMetadata
+ */
+
+/**
+ * Options for a constructor or factory binding.
+ *
+ * @typedef {Object} BindingOptions
+ * @property {?(Lifetime|boolean)} lifetime Binding lifetime, true for a singleton.
+ * @property {?InjectMetadata} inject Identifiers to inject instead of the parameter names.
+ * @property {?Function} dispose Function disposing a shared object instead of its own dispose method.
+ * @property {?boolean} lazy Whether to inject the object as a lazy proxy.
+ * @property {?boolean} multi Whether to add the binding to the ones of the identifier instead of replacing them.
+ */
+
+/**
+ * Definition of how to create an object.
+ *
+ * @typedef {Object} Binding
+ * @property {string} kind Kind of binding, either constructor or factory.
+ * @property {Function} concrete Object constructor or factory.
+ * @property {Lifetime} lifetime Binding lifetime.
+ * @property {?InjectMetadata} inject Identifiers to inject instead of the parameter names.
+ * @property {?Function} dispose Function disposing a shared object instead of its own dispose method.
+ * @property {boolean} lazy Whether to inject the object as a lazy proxy.
+ */
+
+/**
+ * Options for an instance binding.
+ *
+ * @typedef {Object} InstanceOptions
+ * @property {?(boolean|Function)} dispose Whether to dispose the instance, or a function disposing it.
+ * @property {?boolean} multi Whether to add the instance to the ones of the identifier instead of replacing them.
+ */
+
+/**
+ * An object to dispose along with the container.
+ *
+ * @typedef {Object} Disposable
+ * @property {Identifier} identifier Identifier of the object.
+ * @property {*} value Object to dispose.
+ * @property {?Function} disposer Function disposing the object instead of its own dispose method.
+ */
+
+/**
+ * A copy of the registrations of a container.
+ *
+ * @typedef {Object} ContainerSnapshot
+ * @property {Map.<Identifier, Binding>} bindings Registered bindings.
+ * @property {Map.<Identifier, *>} instances Concrete object instances.
+ * @property {Map.<Identifier, Array.<symbol>>} multiBindings Entry identifiers of multi bindings.
+ * @property {Map.<Identifier, *>} sharedInstances Objects created from singleton or scoped bindings.
+ * @property {Map.<Identifier, Identifier>} aliases Aliases for bindings or instances.
+ * @property {Map.<(string|symbol), Array.<Identifier>>} tags Identifiers grouped by tag.
+ * @property {Map.<Identifier, Array.<Function>>} extenders Functions extending objects as they are resolved.
+ * @property {Map.<Function, Map.<Identifier, Object>>} contextualBindings Bindings applying to given targets.
+ * @property {Array.<ConfigSource>} configSources Configuration sources.
+ * @property {Array.<Object>} resolvingHooks Hooks run before an object is resolved.
+ * @property {Array.<Object>} afterResolvingHooks Hooks run after an object is resolved.
+ * @property {Map.<Identifier, Array.<Function>>} rebindCallbacks Callbacks run when an identifier is bound again.
+ * @property {Array.<ServiceProvider>} providers Registered providers.
+ * @property {Map.<Identifier, (ServiceProvider|Function)>} deferredProviders Deferred providers by provided identifier.
+ * @property {Set.<(ServiceProvider|Function)>} registeredProviders Registered provider objects and classes.
+ * @property {Set.<ServiceProvider>} bootedProviders Providers booted by {@link Container#boot}.
+ */
+
+/**
+ * A module registering related bindings.
+ *
+ * The provider may be given as an object or as a class constructed by the
+ * container. A provider declaring the identifiers it provides is deferred
+ * until one of them is resolved.
+ *
+ * @typedef {Object} ServiceProvider
+ * @property {Function} register Function registering bindings, given the container.
+ * @property {?Function} boot Function run once every provider is registered, injected with its dependencies.
+ * @property {?Array.<Identifier>} provides Identifiers a deferred provider provides.
+ */
+
+/**
+ * A source of configuration values.
+ *
+ * The source is given the path of a value as a list of words, e.g.
+ * ["database", "host"], and returns the value wrapped in an object, or null
+ * if it doesn't have the value.
+ *
+ * @typedef {Object} ConfigSource
+ * @property {Function} lookup Function looking up a configuration value.
+ */
+
+/**
+ * Details about a resolution given to resolution hooks.
+ *
+ * The depth is the number of identifiers, including followed aliases, already
+ * being resolved when the resolution started. A constructed class or invoked
+ * function is the start of the resolution path, which means its dependencies
+ * are resolved at depth 1 just like the dependencies of a binding. The value,
+ * duration and whether the value was cached are only known after the
+ * resolution.
+ *
+ * @typedef {Object} ResolutionEvent
+ * @property {(Identifier|Function)} identifier Resolved identifier, or the constructed class or invoked function.
+ * @property {number} depth Depth of the resolution in the dependency tree.
+ * @property {*} value Resolved value.
+ * @property {number} duration Time taken in milliseconds.
+ * @property {boolean} cached Whether the value was an instance or an already created shared object.
+ */
+
+/**
+ * A method to call, either as "identifier@method" or as a pair of an
+ * identifier or object and a method name.
+ *
+ * @typedef {(string|Array)} Callable
+ */
+
+/**
+ * A parameter to resolve a value for.
+ *
+ * @typedef {Object} InjectableParameter
+ * @property {?Identifier} name Parameter name or the identifier declared in its place.
+ * @property {?Identifier} identifier Identifier to resolve instead of the parameter name.
+ * @property {boolean} hasDefault Whether the parameter has a default value.
+ * @property {boolean} rest Whether the parameter is a rest parameter.
+ * @property {boolean} destructured Whether the parameter is destructured.
+ * @property {?Array.<InjectableParameter>} properties Properties of a destructured object.
+ */
+
 /**
  * A dependency injection (DI) container.
  *
@@ -16,306 +191,3351 @@
  */
 class Container {
     /**
-     * Create a new container instance.
+     * Create a new container instance.
+     *
+     * In strict mode an error is thrown whenever a parameter without a default
+     * value can't be resolved. Otherwise the parameter is left undefined.
+     *
+     * @public
+     * @param {?{strict: ?boolean}} options Container options.
+     */
+    constructor({ strict = false } = {}) {
+        /**
+         * Container options.
+         *
+         * @private
+         * @type {{strict: boolean}}
+         */
+        this.options = { strict };
+
+        /**
+         * Set of registered bindings.
+         *
+         * A binding is a definition of how to create an object and an
+         * identifier for that object within the container.
+         *
+         * @private
+         * @type {Map.<Identifier, Binding>}
+         */
+        this.bindings = new Map();
+
+        /**
+         * Set of concrete object instances.
+         *
+         * @private
+         * @type {Map.<Identifier, *>}
+         */
+        this.instances = new Map();
+
+        /**
+         * Set of identifiers with several bindings, by the identifiers of their entries.
+         *
+         * Every entry is bound under its own identifier, in the order the
+         * entries were added.
+         *
+         * @private
+         * @type {Map.<Identifier, Array.<symbol>>}
+         */
+        this.multiBindings = new Map();
+
+        /**
+         * Set of objects created from singleton or scoped bindings.
+         *
+         * @private
+         * @type {Map.<Identifier, *>}
+         */
+        this.sharedInstances = new Map();
+
+        /**
+         * Set of functions extending objects as they are resolved.
+         *
+         * @private
+         * @type {Map.<Identifier, Array.<Function>>}
+         */
+        this.extenders = new Map();
+
+        /**
+         * Set of identifiers grouped by tag.
+         *
+         * @private
+         * @type {Map.<(string|symbol), Array.<Identifier>>}
+         */
+        this.tags = new Map();
+
+        /**
+         * Set of bindings that only apply to the parameters of a given target.
+         *
+         * @private
+         * @type {Map.<Function, Map.<Identifier, {identifier: ?Identifier, factory: ?Function}>>}
+         */
+        this.contextualBindings = new Map();
+
+        /**
+         * List of registered providers in registration order.
+         *
+         * @private
+         * @type {Array.<ServiceProvider>}
+         */
+        this.providers = [];
+
+        /**
+         * Set of deferred providers by the identifiers they provide.
+         *
+         * @private
+         * @type {Map.<Identifier, (ServiceProvider|Function)>}
+         */
+        this.deferredProviders = new Map();
+
+        /**
+         * Set of registered provider objects and classes.
+         *
+         * @private
+         * @type {Set.<(ServiceProvider|Function)>}
+         */
+        this.registeredProviders = new Set();
+
+        /**
+         * Set of providers booted by {@link Container#boot}.
+         *
+         * @private
+         * @type {Set.<ServiceProvider>}
+         */
+        this.bootedProviders = new Set();
+
+        /**
+         * Whether the providers are booted.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.booted = false;
+
+        /**
+         * List of hooks run before an object is resolved.
+         *
+         * @private
+         * @type {Array.<{identifier: (Identifier|Function), hook: Function}>}
+         */
+        this.resolvingHooks = [];
+
+        /**
+         * List of hooks run after an object is resolved.
+         *
+         * @private
+         * @type {Array.<{identifier: (Identifier|Function), hook: Function}>}
+         */
+        this.afterResolvingHooks = [];
+
+        /**
+         * Set of callbacks run when an identifier is bound again.
+         *
+         * @private
+         * @type {Map.<Identifier, Array.<Function>>}
+         */
+        this.rebindCallbacks = new Map();
+
+        /**
+         * List of configuration sources in the order they were bound.
+         *
+         * @private
+         * @type {Array.<ConfigSource>}
+         */
+        this.configSources = [];
+
+        /**
+         * Set of aliases for bindings or instances.
+         *
+         * @private
+         * @type {Map.<Identifier, Identifier>}
+         */
+        this.aliases = new Map();
+
+        /**
+         * Set of shared objects currently being resolved asynchronously.
+         *
+         * @private
+         * @type {Map.<Identifier, Promise.<*>>}
+         */
+        this.pending = new Map();
+
+        /**
+         * List of objects to dispose in the order they were created.
+         *
+         * @private
+         * @type {Array.<Disposable>}
+         */
+        this.disposables = [];
+
+        /**
+         * Parser extracting parameters from function signatures.
+         *
+         * @private
+         * @type {ParameterParser}
+         */
+        this.parameterParser = new ParameterParser();
+
+        /**
+         * Storage of the scope started by {@link Container#runInScope} for the current asynchronous context.
+         *
+         * Created on first use since asynchronous context tracking isn't free.
+         *
+         * @private
+         * @type {?AsyncLocalStorage}
+         */
+        this.scopeStorage = null;
+
+        /**
+         * Resolution plans by binding.
+         *
+         * @private
+         * @type {WeakMap.<Binding, {parameterList: Array.<InjectableParameter>}>}
+         */
+        this.resolutionPlans = new WeakMap();
+
+        /**
+         * Parent container to fall back to.
+         *
+         * @private
+         * @type {?Container}
+         */
+        this.parent = null;
+    }
+
+    /**
+     * Create a child container.
+     *
+     * The child container falls back to this container for anything it
+     * doesn't know about itself. Anything registered in the child shadows
+     * registrations in this container.
+     *
+     * @public
+     * @return {Container} Child container.
+     */
+    createChild() {
+        const child = new Container(this.options);
+
+        child.parent = this;
+        child.parameterParser = this.parameterParser;
+        child.resolutionPlans = this.resolutionPlans;
+
+        return child;
+    }
+
+    /**
+     * Create a scope for scoped bindings.
+     *
+     * A scope is a child container in which every scoped binding is resolved
+     * at most once, e.g. once per request or per job.
+     *
+     * @public
+     * @return {Container} Scoped child container.
+     */
+    createScope() {
+        return this.createChild();
+    }
+
+    /**
+     * Run a callback in a new scope tracked across asynchronous calls.
+     *
+     * Anything retrieved, constructed or invoked through this container while
+     * the callback runs, including in callbacks and promises it starts, is
+     * resolved from the scope. This gives every call its own scoped objects,
+     * e.g. per request, without passing the scope around. The scope is
+     * disposed once the value returned by the callback settles.
+     *
+     * @public
+     * @async
+     * @param {Function} callback Function given the scope.
+     * @return {Promise.<*>} Whatever the callback returns.
+     * @throws {DisposalError} If any scoped object fails to be disposed.
+     */
+    async runInScope(callback) {
+        const scope = this.findActiveScope().createScope();
+
+        if (this.scopeStorage === null) {
+            this.scopeStorage = new AsyncLocalStorage();
+        }
+
+        try {
+            return await this.scopeStorage.run(scope, () => callback(scope));
+        } finally {
+            await scope.disposeAsync();
+        }
+    }
+
+    /**
+     * Determine if the container has a binding for the given identifier.
+     *
+     * @public
+     * @param {Identifier} identifier Binding identifier.
+     * @return {boolean} True if a binding exists.
+     */
+    has(identifier) {
+        return this.bindings.has(identifier) ||
+               this.instances.has(identifier) ||
+               this.multiBindings.has(identifier) ||
+               this.aliases.has(identifier) ||
+               this.deferredProviders.has(identifier) ||
+               (this.parent?.has(identifier) ?? false);
+    }
+
+    /**
+     * Retrieve an object.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the object.
+     * @return {*} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     * @throws {Error} If a shared object is still being created by an asynchronous resolution.
+     */
+    get(identifier) {
+        return this.findActiveScope().resolve(identifier, []);
+    }
+
+    /**
+     * Retrieve an object waiting for any asynchronous dependencies.
+     *
+     * Asynchronous factories and the dependencies they are injected with are
+     * awaited before they are passed along. Concurrent resolutions of the same
+     * singleton share one pending promise.
+     *
+     * @public
+     * @async
+     * @param {Identifier} identifier Identifier of the object.
+     * @return {Promise.<*>} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     */
+    async getAsync(identifier) {
+        return this.findActiveScope().resolveAsync(identifier, []);
+    }
+
+    /**
+     * Create an object passing named parameters to its constructor or factory.
+     *
+     * The parameters take precedence over the dependencies resolved by the
+     * container, e.g. a runtime user id next to injected services. They are
+     * only passed to the constructor or factory of the identifier, not to its
+     * dependencies. Shared objects and instances can't be given parameters
+     * since they aren't created for each call, which is why doing so is an
+     * error.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the object.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor or factory.
+     * @return {*} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    make(identifier, parameters = {}) {
+        return this.findActiveScope().resolve(identifier, [], parameters);
+    }
+
+    /**
+     * Create an object passing named parameters waiting for any asynchronous dependencies.
+     *
+     * @public
+     * @async
+     * @param {Identifier} identifier Identifier of the object.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor or factory.
+     * @return {Promise.<*>} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    async makeAsync(identifier, parameters = {}) {
+        return this.findActiveScope().resolveAsync(identifier, [], parameters);
+    }
+
+    /**
+     * Create a function creating objects with named parameters.
+     *
+     * The function is given the parameters and passes them along to
+     * {@link Container#make}. It may be injected in place of the container
+     * wherever objects need to be created at runtime.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the objects.
+     * @return {Function} Function creating objects.
+     */
+    factoryFor(identifier) {
+        return (parameters = {}) => this.make(identifier, parameters);
+    }
+
+    /**
+     * Retrieve a proxy standing in for an object until it is first used.
+     *
+     * The object is resolved on first property access or call and every
+     * operation is forwarded to it after that. Lazy objects can't depend on
+     * anything asynchronous since they are resolved synchronously. The proxy
+     * of an object created by a factory can be called, unless the object is
+     * already known not to be a function, which also means typeof reports it
+     * as a function and JSON.stringify() skips it. The proxy of anything else
+     * is reported as an object unless it's known to be a function.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the object.
+     * @return {Proxy} Lazy proxy for the object matching the identifier.
+     */
+    getLazy(identifier) {
+        return createLazyProxy(() => this.get(identifier), this.mayBeFunction(identifier));
+    }
+
+    /**
+     * Retrieve every object with the given tag.
+     *
+     * The objects are returned in the order they were tagged, starting with
+     * the ones tagged in the parent containers.
+     *
+     * @public
+     * @param {(string|symbol)} tag Tag to retrieve objects for.
+     * @return {Array.<*>} Objects with the tag.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    getTagged(tag) {
+        return this.findActiveScope().resolveTagged(tag, []);
+    }
+
+    /**
+     * Retrieve every object with the given tag waiting for any asynchronous dependencies.
+     *
+     * @public
+     * @async
+     * @param {(string|symbol)} tag Tag to retrieve objects for.
+     * @return {Promise.<Array.<*>>} Objects with the tag.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    async getTaggedAsync(tag) {
+        return this.findActiveScope().resolveTaggedAsync(tag, []);
+    }
+
+    /**
+     * Retrieve every object bound to an identifier.
+     *
+     * The objects of a multi binding are returned in the order they were
+     * bound, starting with the ones bound in the parent containers. Any other
+     * identifier gives a list of its only object, and an unknown identifier
+     * gives an empty list.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the objects.
+     * @return {Array.<*>} Objects bound to the identifier.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    getAll(identifier) {
+        if (!this.has(identifier)) {
+            return [];
+        }
+
+        const value = this.get(identifier);
+
+        return this.findActiveScope().isMultiBinding(identifier) ? value : [value];
+    }
+
+    /**
+     * Retrieve every object bound to an identifier waiting for any asynchronous dependencies.
+     *
+     * @public
+     * @async
+     * @param {Identifier} identifier Identifier of the objects.
+     * @return {Promise.<Array.<*>>} Objects bound to the identifier.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    async getAllAsync(identifier) {
+        if (!this.has(identifier)) {
+            return [];
+        }
+
+        const value = await this.getAsync(identifier);
+
+        return this.findActiveScope().isMultiBinding(identifier) ? value : [value];
+    }
+
+    /**
+     * Retrieve a configuration value.
+     *
+     * The path is given in dot notation, e.g. "database.host", and may be
+     * prefixed with "config:". Sources bound later take precedence over
+     * earlier ones and sources of this container over the ones of its
+     * parents.
+     *
+     * @public
+     * @param {string} path Path of the value.
+     * @param {*} defaultValue Value returned if the configuration value is missing, a configured null isn't.
+     * @return {*} Configuration value.
+     */
+    getConfig(path, defaultValue = undefined) {
+        const result = this.lookupConfig(path);
+
+        return result === null ? defaultValue : result.value;
+    }
+
+    /**
+     * Construct a new object instance injecting any resolvable dependencies.
+     *
+     * @public
+     * @param {Function} constructor Object constructor.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor.
+     * @return {*} Object instance.
+     */
+    construct(constructor, parameters = {}) {
+        const container = this.findActiveScope();
+
+        return container.observe(
+            constructor,
+            0,
+            false,
+            () => container.instantiate(constructor, parameters, [constructor])
+        );
+    }
+
+    /**
+     * Construct a new object instance waiting for any asynchronous dependencies.
+     *
+     * @public
+     * @async
+     * @param {Function} constructor Object constructor.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor.
+     * @return {Promise.<*>} Object instance.
+     */
+    async constructAsync(constructor, parameters = {}) {
+        const container = this.findActiveScope();
+
+        return container.observeAsync(
+            constructor,
+            0,
+            false,
+            () => container.instantiateAsync(constructor, parameters, [constructor])
+        );
+    }
+
+    /**
+     * Invoke function injecting any resolvable dependencies.
+     *
+     * If the given function is bound we don't have access to the original
+     * function signature. This makes it impossible to extract the functions
+     * parameters. In this case you can pass the original function as a
+     * parameter and we will extract the parameters from that signature.
+     *
+     * @public
+     * @param {Function} func Function to be invoked.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the function.
+     * @param {?Function} signature Original function signature in case the function is bound.
+     * @return {*} Whatever the invoked function returns.
+     */
+    invoke(func, parameters = {}, signature = null) {
+        const container = this.findActiveScope();
+
+        return container.observe(func, 0, false, () => container.execute(func, parameters, signature, [func]));
+    }
+
+    /**
+     * Invoke function waiting for any asynchronous dependencies.
+     *
+     * Works like {@link Container#invoke} but awaits both the dependencies
+     * and the value returned by the function.
+     *
+     * @public
+     * @async
+     * @param {Function} func Function to be invoked.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the function.
+     * @param {?Function} signature Original function signature in case the function is bound.
+     * @return {Promise.<*>} Whatever the invoked function returns.
+     */
+    async invokeAsync(func, parameters = {}, signature = null) {
+        const container = this.findActiveScope();
+
+        return container.observeAsync(
+            func,
+            0,
+            false,
+            () => container.executeAsync(func, parameters, signature, [func])
+        );
+    }
+
+    /**
+     * Call a method injecting any resolvable dependencies.
+     *
+     * The method is given as "identifier@method", e.g. "userController@show",
+     * or as an identifier or object paired with a method name, e.g.
+     * [UserController, "show"]. Identifiers are retrieved from the container.
+     * The parameters are extracted from the method, which may be inherited,
+     * and the method is called on the object.
+     *
+     * @public
+     * @param {Callable} callable Method to call.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the method.
+     * @return {*} Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
+     */
+    call(callable, parameters = {}) {
+        const [target, method] = this.parseCallable(callable);
+        const object = this.isCallableIdentifier(target) ? this.get(target) : target;
+        const func = this.findMethod(object, method, target);
+
+        return this.invoke(func.bind(object), parameters, func);
+    }
+
+    /**
+     * Call a method waiting for any asynchronous dependencies.
+     *
+     * @public
+     * @async
+     * @param {Callable} callable Method to call.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the method.
+     * @return {Promise.<*>} Whatever the method returns.
+     * @throws {Error} If the callable is invalid or the object has no such method.
+     */
+    async callAsync(callable, parameters = {}) {
+        const [target, method] = this.parseCallable(callable);
+        const object = this.isCallableIdentifier(target) ? await this.getAsync(target) : target;
+        const func = this.findMethod(object, method, target);
+
+        return this.invokeAsync(func.bind(object), parameters, func);
+    }
+
+    /**
+     * Inject dependencies into an object created outside of the container.
+     *
+     * Properties are declared in a static injectProperties property and
+     * setter methods in a static injectMethods property, see
+     * {@link PropertyMetadata} and {@link MethodMetadata}, or by the
+     * {@link inject} decorator. The metadata of parent classes is applied
+     * first. Properties are resolved like parameters of the class, which
+     * means contextual bindings, configuration and tags apply. A property the
+     * container has no value for is left untouched unless the container is in
+     * strict mode and the identifier isn't marked as optional.
+     *
+     * @public
+     * @param {Object} object Object to inject dependencies into.
+     * @param {?Object.<string, *>} parameters Any named values taking precedence, by property or parameter name.
+     * @return {Object} Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    injectInto(object, parameters = {}) {
+        return this.findActiveScope().injectObject(object, parameters, []);
+    }
+
+    /**
+     * Inject dependencies into an object waiting for any asynchronous dependencies.
+     *
+     * Setter methods are awaited before the next one is called.
+     *
+     * @public
+     * @async
+     * @param {Object} object Object to inject dependencies into.
+     * @param {?Object.<string, *>} parameters Any named values taking precedence, by property or parameter name.
+     * @return {Promise.<Object>} Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    async injectIntoAsync(object, parameters = {}) {
+        return this.findActiveScope().injectObjectAsync(object, parameters, []);
+    }
+
+    /**
+     * Dispose every shared object created by the container.
+     *
+     * Objects are disposed in reverse creation order using the disposer given
+     * when they were registered or their own dispose or close method. Errors
+     * are collected so that every object gets a chance to be disposed. Use
+     * {@link Container#disposeAsync} if any object is disposed asynchronously,
+     * an object returning a promise when disposed is reported as an error.
+     *
+     * @public
+     * @throws {DisposalError} If any object fails to be disposed.
+     */
+    dispose() {
+        const errors = [];
+        const identifiers = [];
+
+        for (const { identifier, value, disposer } of this.releaseDisposables()) {
+            try {
+                const result = this.disposeObject(value, disposer, DISPOSE_METHODS);
+
+                if (typeof result?.then === "function") {
+                    // The outcome can't be awaited here, the recorded error points to disposeAsync() instead.
+                    result.then(null, () => {});
+
+                    throw new Error(
+                        `Unable to dispose ${describeIdentifier(identifier)} synchronously, use disposeAsync() instead`
+                    );
+                }
+            } catch (error) {
+                errors.push(error);
+                identifiers.push(identifier);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new DisposalError(errors, identifiers);
+        }
+    }
+
+    /**
+     * Dispose every shared object created by the container waiting for any asynchronous disposal.
+     *
+     * Works like {@link Container#dispose} but waits for each object to be
+     * disposed before moving on to the next one.
+     *
+     * @public
+     * @async
+     * @throws {DisposalError} If any object fails to be disposed.
+     */
+    async disposeAsync() {
+        const errors = [];
+        const identifiers = [];
+
+        for (const { identifier, value, disposer } of this.releaseDisposables()) {
+            try {
+                await this.disposeObject(value, disposer, ASYNC_DISPOSE_METHODS);
+            } catch (error) {
+                errors.push(error);
+                identifiers.push(identifier);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new DisposalError(errors, identifiers);
+        }
+    }
+
+    /**
+     * Inspect the bindings of the container and how they depend on each other.
+     *
+     * The graph includes everything resolvable from the container, including
+     * bindings of the parent containers. Dependencies are found the same way
+     * they are resolved, which means that injection metadata and contextual
+     * bindings are taken into account. Dependencies given by a contextual
+     * factory are left out. A multi binding depends on each of its entries.
+     *
+     * @public
+     * @return {DependencyGraph} Snapshot of the bindings and their dependencies.
+     */
+    inspect() {
+        return new DependencyGraph(
+            [...this.collectDefinitions()].map(([identifier, { kind, binding }]) => ({
+                identifier,
+                kind,
+                lifetime: binding?.lifetime ?? null,
+                aliases: this.findAliases(identifier),
+                tags: this.findTags(identifier),
+                dependencies: kind === "multi" ?
+                    this.findMultiDependencies(identifier) :
+                    (binding ? this.findDependencies(binding) : [])
+            }))
+        );
+    }
+
+    /**
+     * Validate the bindings of the container without creating any objects.
+     *
+     * Every problem found is reported at once: dependencies that can't be
+     * resolved, aliases of unknown identifiers, circular dependencies and
+     * singletons depending on transient or scoped objects. Dependencies are
+     * considered missing even if the container isn't in strict mode.
+     *
+     * @public
+     * @throws {ValidationError} If any problem is found.
+     */
+    validate() {
+        const graph = this.inspect();
+        const problems = [
+            ...graph.findMissingDependencies().map(({ dependent, identifier }) => ({
+                type: "missingDependency",
+                identifier: dependent,
+                message: `Unable to resolve dependency ${describeIdentifier(identifier)} ` +
+                         `of ${describeIdentifier(dependent)}`
+            })),
+            ...this.findDanglingAliases(graph).map(([alias, identifier]) => ({
+                type: "danglingAlias",
+                identifier: alias,
+                message: `Alias ${describeIdentifier(alias)} ` +
+                         `refers to unknown identifier ${describeIdentifier(identifier)}`
+            })),
+            ...graph.findCircularDependencies().map(cycle => ({
+                type: "circularDependency",
+                identifier: cycle[0],
+                message: `Circular dependency detected: ${cycle.map(describeIdentifier).join(" -> ")}`
+            })),
+            ...graph.findCaptiveDependencies().map(({ dependent, identifier, lifetime }) => ({
+                type: "captiveDependency",
+                identifier: dependent,
+                message: `Singleton ${describeIdentifier(dependent)} ` +
+                         `depends on ${lifetime} ${describeIdentifier(identifier)}`
+            }))
+        ];
+
+        if (problems.length > 0) {
+            throw new ValidationError(problems);
+        }
+    }
+
+    /**
+     * Ensure the given configuration values exist.
+     *
+     * Every missing value is reported at once.
+     *
+     * @public
+     * @param {(string|Array.<string>)} paths Paths of the required values in dot notation.
+     * @throws {ConfigurationError} If any of the values is missing.
+     */
+    requireConfig(paths) {
+        const missingPaths = [paths].flat().filter(path => this.lookupConfig(path) === null);
+
+        if (missingPaths.length > 0) {
+            throw new ConfigurationError(missingPaths);
+        }
+    }
+
+    /**
+     * Register a service provider.
+     *
+     * The provider registers its bindings right away, which means that every
+     * provider is registered before any of them is booted by
+     * {@link Container#boot}. A deferred provider isn't registered until one
+     * of the identifiers it provides is resolved. If the container is already
+     * booted the provider is booted right away.
+     *
+     * @public
+     * @param {(ServiceProvider|Function)} provider Provider object or class.
+     * @return {*} Whatever the boot function returns if the container is already booted.
+     * @throws {Error} If the provider is already registered.
+     */
+    registerProvider(provider) {
+        const key = typeof provider === "function" || [Object, undefined].includes(provider.constructor) ?
+            provider :
+            provider.constructor;
+
+        if (this.registeredProviders.has(key)) {
+            const description = typeof key === "function" ? describeIdentifier(key) : "anonymous provider";
+
+            throw new Error(`Provider already registered: ${description}`);
+        }
+
+        this.registeredProviders.add(key);
+
+        if (Array.isArray(provider.provides) && provider.provides.length > 0) {
+            for (const identifier of provider.provides) {
+                this.deferredProviders.set(identifier, provider);
+            }
+
+            return;
+        }
+
+        const instance = this.registerProviderBindings(provider);
+
+        if (this.booted) {
+            return this.bootProvider(instance);
+        }
+    }
+
+    /**
+     * Boot every registered provider.
+     *
+     * The providers are booted one at a time in the order they were
+     * registered. Each boot function is injected with its dependencies and
+     * awaited before moving on to the next provider, including providers
+     * registered while booting. The container is only booted once every
+     * provider is, booting it again after a failure boots the providers that
+     * aren't booted yet. Booting an already booted container does nothing.
+     *
+     * @public
+     * @async
+     */
+    async boot() {
+        if (this.booted) {
+            return;
+        }
+
+        for (const provider of this.providers) {
+            if (this.bootedProviders.has(provider)) {
+                continue;
+            }
+
+            this.bootedProviders.add(provider);
+
+            try {
+                await this.bootProviderAsync(provider);
+            } catch (error) {
+                this.bootedProviders.delete(provider);
+
+                throw error;
+            }
+        }
+
+        this.booted = true;
+    }
+
+    /**
+     * Register a concrete object instance to the container.
+     *
+     * The instance is only disposed along with the container if asked to,
+     * since it wasn't created by the container.
+     *
+     * @public
+     * @param {Identifier} identifier Object identifier.
+     * @param {*} instance Concrete object instance.
+     * @param {?InstanceOptions} options Instance options.
+     * @throws {Error} If a multi instance is added to an identifier that is already bound or extended.
+     */
+    bindInstance(identifier, instance, { dispose = false, multi = false } = {}) {
+        identifier = this.findRegistrationIdentifier(identifier, multi);
+
+        this.replaceRegistration(identifier, () => {
+            this.instances.set(identifier, this.extendObject(identifier, instance));
+        });
+
+        if (dispose) {
+            this.disposables.push({
+                identifier,
+                value: instance,
+                disposer: typeof dispose === "function" ? dispose : null
+            });
+        }
+    }
+
+    /**
+     * Registers a constructor to the container.
+     *
+     * The options may be given as just a lifetime. Any identifiers given to
+     * inject take precedence over the parameter names in the constructor
+     * signature. A lazy binding is injected as a lazy proxy. A multi binding
+     * is added to the ones of the identifier, see {@link Container#getAll}.
+     *
+     * @public
+     * @param {Identifier} identifier Constructor identifier.
+     * @param {Function} constructor Object constructor.
+     * @param {?(Lifetime|boolean|BindingOptions)} options Binding options, true for a singleton.
+     * @throws {Error} If a multi binding is added to an identifier that is already bound or extended.
+     */
+    bindConstructor(identifier, constructor, options = Lifetime.TRANSIENT) {
+        identifier = this.findRegistrationIdentifier(identifier, options?.multi);
+
+        this.replaceRegistration(identifier, () => this.bindings.set(identifier, {
+            kind: "constructor",
+            concrete: constructor,
+            ...this.normalizeBindingOptions(options)
+        }));
+    }
+
+    /**
+     * Registers an object factory to the container.
+     *
+     * The options may be given as just a lifetime. Any identifiers given to
+     * inject take precedence over the parameter names in the factory
+     * signature. A lazy binding is injected as a lazy proxy. A multi binding
+     * is added to the ones of the identifier, see {@link Container#getAll}.
+     *
+     * @public
+     * @param {Identifier} identifier Factory identifier.
+     * @param {Function} factory Object factory.
+     * @param {?(Lifetime|boolean|BindingOptions)} options Binding options, true for a singleton.
+     * @throws {Error} If a multi binding is added to an identifier that is already bound or extended.
+     */
+    bindFactory(identifier, factory, options = Lifetime.TRANSIENT) {
+        identifier = this.findRegistrationIdentifier(identifier, options?.multi);
+
+        this.replaceRegistration(identifier, () => this.bindings.set(identifier, {
+            kind: "factory",
+            concrete: factory,
+            ...this.normalizeBindingOptions(options)
+        }));
+    }
+
+    /**
+     * Make sure the binding is a singleton.
+     *
+     * @public
+     * @param {Identifier} identifier Binding identifier.
+     */
+    makeSingleton(identifier) {
+        if (!this.has(identifier)) {
+            throw new Error(`Unknown identifier: ${describeIdentifier(identifier)}`);
+        }
+
+        identifier = this.resolveIdentifier(identifier);
+
+        this.loadDeferredProvider(identifier);
+
+        const owner = this.findOwner(identifier);
+
+        if (owner.instances.has(identifier)) {
+            return;
+        }
+
+        if (owner.multiBindings.has(identifier)) {
+            throw new Error(`Unable to make multi binding ${describeIdentifier(identifier)} a singleton`);
+        }
+
+        owner.bindings.get(identifier).lifetime = Lifetime.SINGLETON;
+    }
+
+    /**
+     * Tag one or more identifiers.
+     *
+     * Every object with a tag can be retrieved at once using
+     * {@link Container#getTagged}. A parameter named after a tag that isn't
+     * itself bound is injected with the tagged objects.
+     *
+     * @public
+     * @param {(Identifier|Array.<Identifier>)} identifiers Identifiers to tag.
+     * @param {(string|symbol)} tag Tag to add.
+     */
+    tag(identifiers, tag) {
+        this.tags.set(tag, [...(this.tags.get(tag) ?? []), ...[identifiers].flat()]);
+    }
+
+    /**
+     * Bind a source of configuration values.
+     *
+     * The source may be given as a nested object or as any object with a
+     * lookup function, e.g. an {@link EnvironmentConfigSource}. Parameters
+     * without a binding are injected with the configuration value matching
+     * their name, where words of a camel cased name may point into nested
+     * objects, e.g. dbHost is filled from db.host. Identifiers prefixed with
+     * "config:" are always read from the configuration. Sources bound later
+     * take precedence over earlier ones.
+     *
+     * @public
+     * @param {(Object|ConfigSource)} source Configuration values or configuration source.
+     */
+    bindConfig(source) {
+        this.configSources.push(typeof source.lookup === "function" ? source : new ObjectConfigSource(source));
+    }
+
+    /**
+     * Register a hook run before an object is resolved.
+     *
+     * Hooks run for every object resolved by {@link Container#get}, including
+     * dependencies, as well as for {@link Container#construct} and
+     * {@link Container#invoke} where the identifier is the class or function.
+     * Use "*" to run the hook for every identifier. The hook is given a
+     * {@link ResolutionEvent} without the value, duration and cached flag.
+     *
+     * @public
+     * @param {(Identifier|Function)} identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param {Function} hook Function given the resolution event.
+     */
+    onResolving(identifier, hook) {
+        this.resolvingHooks.push({ identifier: this.resolveHookIdentifier(identifier), hook });
+    }
+
+    /**
+     * Register a hook run after an object is resolved.
+     *
+     * Works like {@link Container#onResolving} but the hook is given the
+     * complete {@link ResolutionEvent}.
+     *
+     * @public
+     * @param {(Identifier|Function)} identifier Identifier to run the hook for, or "*" for every identifier.
+     * @param {Function} hook Function given the resolution event.
+     */
+    afterResolving(identifier, hook) {
+        this.afterResolvingHooks.push({ identifier: this.resolveHookIdentifier(identifier), hook });
+    }
+
+    /**
+     * Define a binding that only applies when resolving parameters of the given targets.
+     *
+     * The binding applies to parameters with the name or the identifier the
+     * targets need, e.g. when(A).needs("logger").give("auditLogger"). Classes
+     * inheriting the constructor of a target are covered by the binding too.
+     *
+     * @public
+     * @param {(Function|Array.<Function>)} targets Functions or classes the binding applies to.
+     * @return {ContextualBindingBuilder} Contextual binding builder.
+     */
+    when(targets) {
+        return new ContextualBindingBuilder([targets].flat(), (target, need, binding) => {
+            if (!this.contextualBindings.has(target)) {
+                this.contextualBindings.set(target, new Map());
+            }
+
+            this.contextualBindings.get(target).set(need, binding);
+        });
+    }
+
+    /**
+     * Extend an object as it is resolved.
+     *
+     * The extender is given the object and the container and returns the
+     * object to use in its place, e.g. a decorator wrapping it. Extenders are
+     * applied in the order they were registered every time the object is
+     * created, which means only once for shared objects. Objects that already
+     * exist are extended right away and instances bound later are extended as
+     * well. Instances and singletons of a parent container are shared with
+     * every other child, which is why they can only be extended in the
+     * container they belong to. The entries of a multi binding are resolved
+     * one by one, which is why a multi binding can't be extended.
+     *
+     * @public
+     * @param {Identifier} identifier Binding identifier.
+     * @param {Function} extender Function extending the object.
+     * @throws {Error} If the object is an instance or a singleton of a parent container.
+     * @throws {Error} If the identifier refers to a multi binding.
+     */
+    extend(identifier, extender) {
+        identifier = this.resolveIdentifier(identifier);
+
+        if (this.isMultiBinding(identifier)) {
+            throw new Error(`Unable to extend multi binding ${describeIdentifier(identifier)}`);
+        }
+
+        if (this.isSharedByParent(identifier)) {
+            throw new Error(
+                `Unable to extend ${describeIdentifier(identifier)} in a child container, it is shared by a parent`
+            );
+        }
+
+        if (this.instances.has(identifier)) {
+            this.instances.set(identifier, extender(this.instances.get(identifier), this));
+        }
+
+        if (this.sharedInstances.has(identifier)) {
+            this.sharedInstances.set(identifier, extender(this.sharedInstances.get(identifier), this));
+        }
+
+        this.extenders.set(identifier, [...(this.extenders.get(identifier) ?? []), extender]);
+    }
+
+    /**
+     * Create a binding alias.
+     *
+     * @public
+     * @param {Identifier} identifier Binding identifier.
+     * @param {Identifier} alias Binding alias.
+     */
+    alias(identifier, alias) {
+        while (this.aliases.has(identifier)) {
+            identifier = this.aliases.get(identifier);
+        }
+
+        this.aliases.set(alias, identifier);
+    }
+
+    /**
+     * Remove the binding or instance of an identifier from this container.
+     *
+     * Unbinding an alias only removes the alias. Aliases referring to the
+     * identifier are only removed along with it if asked to, otherwise
+     * unbinding it is an error. The identifier is removed from its tags as
+     * well. Shared objects are still disposed along with the container.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier to remove.
+     * @param {?{cascade: ?boolean}} options Whether to remove aliases referring to the identifier.
+     * @throws {Error} If the identifier is unknown to this container or has aliases and cascade isn't set.
+     */
+    unbind(identifier, { cascade = false } = {}) {
+        if (this.aliases.has(identifier)) {
+            this.aliases.delete(identifier);
+
+            return;
+        }
+
+        if (!this.isBound(identifier) && !this.deferredProviders.has(identifier)) {
+            throw new Error(`Unknown identifier: ${describeIdentifier(identifier)}`);
+        }
+
+        const aliases = [...this.aliases].filter(([, target]) => target === identifier).map(([alias]) => alias);
+
+        if (aliases.length > 0 && !cascade) {
+            throw new Error(
+                `Unable to unbind ${describeIdentifier(identifier)}, ` +
+                `it is aliased by ${aliases.map(describeIdentifier).join(", ")}`
+            );
+        }
+
+        for (const alias of aliases) {
+            this.aliases.delete(alias);
+        }
+
+        for (const [tag, identifiers] of this.tags) {
+            this.tags.set(tag, identifiers.filter(taggedIdentifier => taggedIdentifier !== identifier));
+        }
+
+        if (this.multiBindings.has(identifier)) {
+            this.removeMultiBinding(identifier);
+        }
+
+        this.bindings.delete(identifier);
+        this.instances.delete(identifier);
+        this.sharedInstances.delete(identifier);
+        this.deferredProviders.delete(identifier);
+    }
+
+    /**
+     * Replace the object of a known identifier with a new instance.
+     *
+     * The rebind callbacks of the identifier are run with the new instance,
+     * starting with the callbacks of this container followed by those of its
+     * parents, even if the identifier was only known by a parent.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the object to replace.
+     * @param {*} instance New object instance.
+     * @param {?InstanceOptions} options Instance options.
+     * @throws {Error} If the identifier is unknown.
+     */
+    rebind(identifier, instance, options = {}) {
+        if (!this.has(identifier)) {
+            throw new Error(`Unknown identifier: ${describeIdentifier(identifier)}`);
+        }
+
+        identifier = this.resolveIdentifier(identifier);
+
+        const owned = this.bindings.has(identifier) || this.instances.has(identifier);
+        const containers = [];
+
+        this.bindInstance(identifier, instance, options);
+
+        for (let container = owned ? this.parent : this; container; container = container.parent) {
+            containers.push(container);
+        }
+
+        this.runRebindCallbacks(identifier, containers);
+    }
+
+    /**
+     * Register a callback run when an identifier is bound again.
+     *
+     * Binding an identifier that already has a binding or instance in this
+     * container, using {@link Container#rebind} or any bind method, forgets
+     * the shared object of the previous binding and runs the callbacks with
+     * the new object. Rebinding the identifier in a child container runs the
+     * callbacks as well. This lets dependents refresh whatever they got from
+     * the previous binding.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier to watch.
+     * @param {Function} callback Function given the new object and the container.
+     */
+    onRebind(identifier, callback) {
+        identifier = this.resolveIdentifier(identifier);
+
+        this.rebindCallbacks.set(identifier, [...(this.rebindCallbacks.get(identifier) ?? []), callback]);
+    }
+
+    /**
+     * Replace an object with another value until the returned function is called.
+     *
+     * Meant for replacing services with fakes in tests. The value takes the
+     * place of any binding or instance of the identifier in this container,
+     * or of the identifier an alias refers to, and isn't extended. Shared
+     * objects that already depend on the replaced object keep it until
+     * {@link Container#clearSharedInstances} is called.
+     *
+     * @public
+     * @param {Identifier} identifier Identifier of the object to replace.
+     * @param {*} value Value to use in place of the object.
+     * @return {Function} Function restoring the replaced binding or instance.
+     */
+    override(identifier, value) {
+        identifier = this.resolveIdentifier(identifier);
+
+        const entries = [this.bindings, this.instances, this.sharedInstances]
+            .map(map => ({ map, exists: map.has(identifier), value: map.get(identifier) }));
+
+        this.bindings.delete(identifier);
+        this.sharedInstances.delete(identifier);
+        this.instances.set(identifier, value);
+
+        return () => {
+            for (const entry of entries) {
+                if (entry.exists) {
+                    entry.map.set(identifier, entry.value);
+                } else {
+                    entry.map.delete(identifier);
+                }
+            }
+        };
+    }
+
+    /**
+     * Forget every shared object created by this container.
+     *
+     * Singleton and scoped objects are created again the next time they are
+     * resolved, which makes them pick up any overridden dependencies. The
+     * forgotten objects are still disposed along with the container.
+     *
+     * @public
+     */
+    clearSharedInstances() {
+        this.sharedInstances.clear();
+    }
+
+    /**
+     * Take a snapshot of the registrations of this container.
+     *
+     * The snapshot covers bindings, instances, shared objects, aliases, tags,
+     * extenders, contextual bindings, configuration sources, resolution hooks,
+     * rebind callbacks and providers, including deferred providers not yet
+     * loaded. Objects awaiting disposal aren't covered.
+     *
+     * @public
+     * @return {ContainerSnapshot} Snapshot of the registrations.
+     */
+    snapshot() {
+        return this.copyState(this);
+    }
+
+    /**
+     * Restore the registrations of a snapshot.
+     *
+     * Anything registered or shared since the snapshot was taken is
+     * forgotten. The same snapshot may be restored any number of times.
+     *
+     * @public
+     * @param {ContainerSnapshot} snapshot Snapshot taken by {@link Container#snapshot}.
+     */
+    restore(snapshot) {
+        Object.assign(this, this.copyState(snapshot));
+    }
+
+    /**
+     * Split a callable into its target and method name.
+     *
+     * @private
+     * @param {Callable} callable Method to call.
+     * @return {Array} Identifier or object, and method name.
+     * @throws {Error} If the callable is invalid.
+     */
+    parseCallable(callable) {
+        if (typeof callable === "string" && callable.lastIndexOf("@") > 0) {
+            const index = callable.lastIndexOf("@");
+
+            return [callable.slice(0, index), callable.slice(index + 1)];
+        }
+
+        if (Array.isArray(callable) && callable.length === 2) {
+            return callable;
+        }
+
+        throw new Error(`Invalid callable: ${describeIdentifier(callable)}, expected "identifier@method" or a pair`);
+    }
+
+    /**
+     * Determine if the target of a callable is an identifier rather than an object.
+     *
+     * @private
+     * @param {*} target Target of the callable.
+     * @return {boolean} True if the target is an identifier.
+     */
+    isCallableIdentifier(target) {
+        return ["string", "symbol", "function"].includes(typeof target) || target instanceof InjectionToken;
+    }
+
+    /**
+     * Find a method of an object.
+     *
+     * @private
+     * @param {*} object Object to find the method on.
+     * @param {(string|symbol)} method Method name.
+     * @param {*} target Identifier or object the object was found by.
+     * @return {Function} Method function.
+     * @throws {Error} If the object has no such method.
+     */
+    findMethod(object, method, target) {
+        if (typeof object?.[method] !== "function") {
+            const description = this.isCallableIdentifier(target) ?
+                describeIdentifier(target) :
+                object?.constructor?.name ?? "object";
+
+            throw new Error(`Unknown method: ${description}@${describeIdentifier(method)}`);
+        }
+
+        return object[method];
+    }
+
+    /**
+     * Inject the declared properties and setter methods of an object.
+     *
+     * @private
+     * @param {Object} object Object to inject dependencies into.
+     * @param {Object.<string, *>} parameters Named values taking precedence.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Object} Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    injectObject(object, parameters, path) {
+        const target = object.constructor;
+
+        for (const property of this.findInjectableProperties(target)) {
+            const value = this.resolveParameter(property, parameters, target, path);
+
+            if (value !== undefined) {
+                object[property.name] = value;
+            }
+        }
+
+        for (const [method, inject] of this.findInjectableMethods(target)) {
+            const func = this.findMethod(object, method, object);
+
+            this.execute(func.bind(object), parameters, func, path, this.extractFunctionParameters(func, null, inject));
+        }
+
+        return object;
+    }
+
+    /**
+     * Inject the declared properties and setter methods of an object waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {Object} object Object to inject dependencies into.
+     * @param {Object.<string, *>} parameters Named values taking precedence.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Promise.<Object>} Same object.
+     * @throws {UnresolvableParameterError} If a property or parameter can't be resolved in strict mode.
+     * @throws {Error} If the object has no such setter method.
+     */
+    async injectObjectAsync(object, parameters, path) {
+        const target = object.constructor;
+
+        for (const property of this.findInjectableProperties(target)) {
+            const value = await this.resolveParameterAsync(property, parameters, target, path);
+
+            if (value !== undefined) {
+                object[property.name] = value;
+            }
+        }
+
+        for (const [method, inject] of this.findInjectableMethods(target)) {
+            const func = this.findMethod(object, method, object);
+
+            await this.executeAsync(
+                func.bind(object),
+                parameters,
+                func,
+                path,
+                this.extractFunctionParameters(func, null, inject)
+            );
+        }
+
+        return object;
+    }
+
+    /**
+     * Find the properties to inject into objects of a class.
+     *
+     * A property declared again by a subclass is only injected once, using
+     * the declaration of the subclass.
+     *
+     * @private
+     * @param {Function} constructor Class of the objects.
+     * @return {Array.<InjectableParameter>} Properties to inject, named after the property.
+     */
+    findInjectableProperties(constructor) {
+        const properties = new Map();
+
+        for (const target of this.findClassHierarchy(constructor)) {
+            const metadata = this.findOwnMetadata(target, "injectProperties");
+            const names = Array.isArray(metadata) ? metadata : Reflect.ownKeys(metadata ?? {});
+            const parameterList = names.map(
+                name => ({ name, hasDefault: false, rest: false, destructured: false, properties: null })
+            );
+
+            for (const property of this.applyInjectMetadata(parameterList, Array.isArray(metadata) ? null : metadata)) {
+                properties.set(property.name, property);
+            }
+        }
+
+        return [...properties.values()];
+    }
+
+    /**
+     * Find the setter methods to call on objects of a class.
+     *
+     * @private
+     * @param {Function} constructor Class of the objects.
+     * @return {Map.<(string|symbol), ?InjectMetadata>} Injection metadata by method name.
+     */
+    findInjectableMethods(constructor) {
+        const methods = new Map();
+
+        for (const target of this.findClassHierarchy(constructor)) {
+            const metadata = this.findOwnMetadata(target, "injectMethods");
+
+            if (Array.isArray(metadata)) {
+                metadata.forEach(method => methods.set(method, null));
+            } else if (metadata) {
+                Reflect.ownKeys(metadata).forEach(method => methods.set(method, metadata[method]));
+            }
+        }
+
+        return methods;
+    }
+
+    /**
+     * Find a metadata property declared on the target itself.
+     *
+     * @private
+     * @param {Function} target Class to inspect.
+     * @param {string} property Name of the static metadata property.
+     * @return {?(Array|Object)} Declared metadata if any.
+     */
+    findOwnMetadata(target, property) {
+        if (!Object.prototype.hasOwnProperty.call(target, property)) {
+            return null;
+        }
+
+        return typeof target[property] === "object" ? target[property] : null;
+    }
+
+    /**
+     * Find the classes a class inherits from.
+     *
+     * @private
+     * @param {Function} constructor Class to start from.
+     * @return {Array.<Function>} The parent classes, starting with the base class, followed by the class itself.
+     */
+    findClassHierarchy(constructor) {
+        const classes = [];
+
+        for (let current = constructor; current && current !== Object.getPrototypeOf(Object);) {
+            classes.unshift(current);
+            current = Object.getPrototypeOf(current);
+        }
+
+        return classes;
+    }
+
+    /**
+     * Find the scope started by {@link Container#runInScope} for the current asynchronous context.
+     *
+     * @private
+     * @return {Container} Active scope, or this container outside of any scope.
+     */
+    findActiveScope() {
+        return this.scopeStorage?.getStore() ?? this;
+    }
+
+    /**
+     * Retrieve an object as part of a resolution path.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier of the object.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to a transient constructor or factory.
+     * @return {*} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     */
+    resolve(identifier, path, parameters = {}) {
+        const depth = path.length;
+
+        [identifier, path] = this.enterResolutionPath(identifier, path);
+
+        this.loadDeferredProvider(identifier);
+
+        return this.observe(
+            identifier,
+            depth,
+            this.isCached(identifier),
+            () => this.resolveValue(identifier, path, parameters)
+        );
+    }
+
+    /**
+     * Retrieve an object from its original binding identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Original binding identifier.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the transient constructor or factory.
+     * @return {*} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     */
+    resolveValue(identifier, path, parameters = {}) {
+        const owner = this.findOwner(identifier);
+
+        this.assertParametersAccepted(identifier, owner, parameters);
+
+        if (owner.instances.has(identifier)) {
+            return owner.instances.get(identifier);
+        }
+
+        if (owner.multiBindings.has(identifier)) {
+            return owner.findMultiEntries(identifier).map(entry => this.resolve(entry, path));
+        }
+
+        const binding = owner.bindings.get(identifier);
+
+        if (binding.lifetime === Lifetime.TRANSIENT) {
+            return this.extendObject(identifier, this.build(binding, path, parameters));
+        }
+
+        return this.resolveSharingContainer(owner, binding).share(identifier, binding, path);
+    }
+
+    /**
+     * Retrieve an object as part of a resolution path waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {Identifier} identifier Identifier of the object.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the transient constructor or factory.
+     * @return {Promise.<*>} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     */
+    async resolveAsync(identifier, path, parameters = {}) {
+        const depth = path.length;
+
+        [identifier, path] = this.enterResolutionPath(identifier, path);
+
+        await this.loadDeferredProviderAsync(identifier);
+
+        return this.observeAsync(
+            identifier,
+            depth,
+            this.isCached(identifier),
+            () => this.resolveValueAsync(identifier, path, parameters)
+        );
+    }
+
+    /**
+     * Retrieve an object from its original binding identifier waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {Identifier} identifier Original binding identifier.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the transient constructor or factory.
+     * @return {Promise.<*>} Object matching the identifier.
+     * @throws {CircularDependencyError} If the object depends on itself.
+     */
+    async resolveValueAsync(identifier, path, parameters = {}) {
+        const owner = this.findOwner(identifier);
+
+        this.assertParametersAccepted(identifier, owner, parameters);
+
+        if (owner.instances.has(identifier)) {
+            return owner.instances.get(identifier);
+        }
+
+        if (owner.multiBindings.has(identifier)) {
+            const values = [];
+
+            for (const entry of owner.findMultiEntries(identifier)) {
+                values.push(await this.resolveAsync(entry, path));
+            }
+
+            return values;
+        }
+
+        const binding = owner.bindings.get(identifier);
+
+        if (binding.lifetime === Lifetime.TRANSIENT) {
+            return this.extendObjectAsync(identifier, await this.buildAsync(binding, path, parameters));
+        }
+
+        return this.resolveSharingContainer(owner, binding).shareAsync(identifier, binding, path);
+    }
+
+    /**
+     * Retrieve every object with the given tag as part of a resolution path.
+     *
+     * @private
+     * @param {(string|symbol)} tag Tag to retrieve objects for.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Array.<*>} Objects with the tag.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    resolveTagged(tag, path) {
+        return this.findTaggedIdentifiers(tag).map(identifier => this.resolve(identifier, path));
+    }
+
+    /**
+     * Retrieve every object with the given tag as part of a resolution path waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {(string|symbol)} tag Tag to retrieve objects for.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Promise.<Array.<*>>} Objects with the tag.
+     * @throws {CircularDependencyError} If any of the objects depends on itself.
+     */
+    async resolveTaggedAsync(tag, path) {
+        const values = [];
+
+        for (const identifier of this.findTaggedIdentifiers(tag)) {
+            values.push(await this.resolveAsync(identifier, path));
+        }
+
+        return values;
+    }
+
+    /**
+     * Construct a new object instance as part of a resolution path.
+     *
+     * @private
+     * @param {Function} constructor Object constructor.
+     * @param {Object.<string, *>} parameters Any named parameters to pass to the constructor.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Array.<InjectableParameter>} parameterList Parameters of the constructor if already extracted.
+     * @return {*} Object instance.
+     */
+    instantiate(
+        constructor,
+        parameters,
+        path,
+        parameterList = this.extractConstructorParameters(constructor, null)
+    ) {
+        return Reflect.construct(constructor, this.resolveParameters(parameterList, parameters, constructor, path));
+    }
+
+    /**
+     * Construct a new object instance as part of a resolution path waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {Function} constructor Object constructor.
+     * @param {Object.<string, *>} parameters Any named parameters to pass to the constructor.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Array.<InjectableParameter>} parameterList Parameters of the constructor if already extracted.
+     * @return {Promise.<*>} Object instance.
+     */
+    async instantiateAsync(
+        constructor,
+        parameters,
+        path,
+        parameterList = this.extractConstructorParameters(constructor, null)
+    ) {
+        return Reflect.construct(
+            constructor,
+            await this.resolveParametersAsync(parameterList, parameters, constructor, path)
+        );
+    }
+
+    /**
+     * Invoke function as part of a resolution path.
+     *
+     * @private
+     * @param {Function} func Function to be invoked.
+     * @param {Object.<string, *>} parameters Any named parameters to pass to the function.
+     * @param {?Function} signature Original function signature in case the function is bound.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Array.<InjectableParameter>} parameterList Parameters of the function if already extracted.
+     * @return {*} Whatever the invoked function returns.
+     */
+    execute(func, parameters, signature, path, parameterList = this.extractFunctionParameters(func, signature, null)) {
+        return func.apply(func, this.resolveParameters(parameterList, parameters, func, path));
+    }
+
+    /**
+     * Invoke function as part of a resolution path waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {Function} func Function to be invoked.
+     * @param {Object.<string, *>} parameters Any named parameters to pass to the function.
+     * @param {?Function} signature Original function signature in case the function is bound.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Array.<InjectableParameter>} parameterList Parameters of the function if already extracted.
+     * @return {Promise.<*>} Whatever the invoked function returns.
+     */
+    async executeAsync(
+        func,
+        parameters,
+        signature,
+        path,
+        parameterList = this.extractFunctionParameters(func, signature, null)
+    ) {
+        return func.apply(func, await this.resolveParametersAsync(parameterList, parameters, func, path));
+    }
+
+    /**
+     * Collect everything resolvable from the container.
+     *
+     * Bindings and instances of a closer container shadow the ones of its
+     * parents.
+     *
+     * @private
+     * @return {Map.<Identifier, {kind: string, binding: ?Binding}>} Definitions by identifier.
+     */
+    collectDefinitions() {
+        const definitions = this.parent?.collectDefinitions() ?? new Map();
+
+        for (const identifier of this.deferredProviders.keys()) {
+            definitions.set(identifier, { kind: "deferred", binding: null });
+        }
+
+        for (const [identifier, binding] of this.bindings) {
+            definitions.set(identifier, { kind: binding.kind, binding });
+        }
+
+        for (const identifier of this.multiBindings.keys()) {
+            definitions.set(identifier, { kind: "multi", binding: null });
+        }
+
+        for (const identifier of this.instances.keys()) {
+            definitions.set(identifier, { kind: "instance", binding: null });
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Find the aliases referring to identifiers missing from the graph.
+     *
+     * @private
+     * @param {DependencyGraph} graph Dependency graph of the container.
+     * @return {Array.<Array.<Identifier>>} Pairs of an alias and the unknown identifier it refers to.
+     */
+    findDanglingAliases(graph) {
+        const danglingAliases = new Map();
+
+        for (let container = this; container; container = container.parent) {
+            for (const alias of container.aliases.keys()) {
+                const identifier = this.resolveIdentifier(alias);
+
+                if (!danglingAliases.has(alias) && !graph.nodes.some(node => node.identifier === identifier)) {
+                    danglingAliases.set(alias, identifier);
+                }
+            }
+        }
+
+        return [...danglingAliases];
+    }
+
+    /**
+     * Find the aliases of an identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Original binding identifier.
+     * @return {Array.<Identifier>} Aliases resolving to the identifier.
+     */
+    findAliases(identifier) {
+        const aliases = new Set();
+
+        for (let container = this; container; container = container.parent) {
+            for (const alias of container.aliases.keys()) {
+                if (alias !== identifier && this.resolveIdentifier(alias) === identifier) {
+                    aliases.add(alias);
+                }
+            }
+        }
+
+        return [...aliases];
+    }
+
+    /**
+     * Find the tags of an identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Original binding identifier.
+     * @return {Array.<(string|symbol)>} Tags of the identifier.
+     */
+    findTags(identifier) {
+        const tags = new Set();
+
+        for (let container = this; container; container = container.parent) {
+            for (const tag of container.tags.keys()) {
+                if (this.findTaggedIdentifiers(tag).some(tagged => this.resolveIdentifier(tagged) === identifier)) {
+                    tags.add(tag);
+                }
+            }
+        }
+
+        return [...tags];
+    }
+
+    /**
+     * Register a binding or instance, running the rebind callbacks if it replaces another one.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier to register.
+     * @param {Function} register Function registering the binding or instance.
+     */
+    replaceRegistration(identifier, register) {
+        const rebinding = this.bindings.has(identifier) || this.instances.has(identifier);
+
+        if (this.multiBindings.has(identifier)) {
+            this.removeMultiBinding(identifier);
+        }
+
+        register();
+
+        if (!rebinding) {
+            return;
+        }
+
+        this.sharedInstances.delete(identifier);
+        this.runRebindCallbacks(identifier, [this]);
+    }
+
+    /**
+     * Run the rebind callbacks registered for an identifier in the given containers.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier that was bound again.
+     * @param {Array.<Container>} containers Containers whose callbacks to run, in order.
+     */
+    runRebindCallbacks(identifier, containers) {
+        const callbacks = containers.flatMap(container => container.rebindCallbacks.get(identifier) ?? []);
+
+        if (callbacks.length > 0) {
+            const value = this.get(identifier);
+
+            for (const callback of callbacks) {
+                callback(value, this);
+            }
+        }
+    }
+
+    /**
+     * Copy the registrations of a container or a snapshot.
+     *
+     * Bindings are copied one by one since their lifetime may change.
+     *
+     * @private
+     * @param {(Container|ContainerSnapshot)} state Container or snapshot to copy.
+     * @return {ContainerSnapshot} Copy of the registrations.
+     */
+    copyState(state) {
+        return {
+            bindings: new Map([...state.bindings].map(([identifier, binding]) => [identifier, { ...binding }])),
+            instances: new Map(state.instances),
+            multiBindings: new Map([...state.multiBindings].map(([identifier, entries]) => [identifier, [...entries]])),
+            sharedInstances: new Map(state.sharedInstances),
+            aliases: new Map(state.aliases),
+            tags: new Map([...state.tags].map(([tag, identifiers]) => [tag, [...identifiers]])),
+            extenders: new Map([...state.extenders].map(([identifier, extenders]) => [identifier, [...extenders]])),
+            contextualBindings: new Map(
+                [...state.contextualBindings].map(([target, needs]) => [target, new Map(needs)])
+            ),
+            configSources: [...state.configSources],
+            resolvingHooks: [...state.resolvingHooks],
+            afterResolvingHooks: [...state.afterResolvingHooks],
+            rebindCallbacks: new Map(
+                [...state.rebindCallbacks].map(([identifier, callbacks]) => [identifier, [...callbacks]])
+            ),
+            providers: [...state.providers],
+            deferredProviders: new Map(state.deferredProviders),
+            registeredProviders: new Set(state.registeredProviders),
+            bootedProviders: new Set(state.bootedProviders)
+        };
+    }
+
+    /**
+     * Find the dependencies of a multi binding, one for each of its entries.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier of the multi binding.
+     * @return {Array.<DependencyGraphDependency>} Dependencies of the multi binding.
+     */
+    findMultiDependencies(identifier) {
+        return this.findMultiEntries(identifier).map(entry => ({ identifier: entry, optional: false, lazy: false }));
+    }
+
+    /**
+     * Find the dependencies of a constructor or factory binding.
+     *
+     * @private
+     * @param {Binding} binding Binding definition.
+     * @return {Array.<DependencyGraphDependency>} Dependencies of the binding.
+     */
+    findDependencies(binding) {
+        const { concrete } = binding;
+        const { parameterList } = this.findResolutionPlan(binding);
+
+        return this.flattenParameters(parameterList).flatMap(parameter => {
+            const contextualBinding = this.findContextualBinding(parameter, concrete);
+            const identifier = contextualBinding?.identifier ?? parameter.identifier ?? parameter.name;
+
+            if (contextualBinding?.factory || identifier === null) {
+                return [];
+            }
+
+            const lazy = identifier instanceof LazyIdentifier;
+
+            if (!lazy && !this.has(identifier) && this.findParameterConfig(identifier) !== null) {
+                return [];
+            }
+
+            return [{
+                identifier: this.resolveIdentifier(lazy ? identifier.identifier : identifier),
+                optional: Boolean(parameter.hasDefault || parameter.rest),
+                lazy: lazy || this.isLazy(identifier)
+            }];
+        });
+    }
+
+    /**
+     * Replace destructured parameters with their properties.
+     *
+     * @private
+     * @param {Array.<InjectableParameter>} parameterList List of parameters.
+     * @return {Array.<InjectableParameter>} List of parameters without destructured parameters.
+     */
+    flattenParameters(parameterList) {
+        return parameterList.flatMap(
+            parameter => parameter.properties ? this.flattenParameters(parameter.properties) : [parameter]
+        );
+    }
+
+    /**
+     * Run the resolution hooks around a resolution.
+     *
+     * @private
+     * @param {(Identifier|Function)} identifier Resolved identifier, or the constructed class or invoked function.
+     * @param {number} depth Depth of the resolution in the dependency tree.
+     * @param {boolean} cached Whether the value is an instance or an already created shared object.
+     * @param {Function} resolve Function resolving the value.
+     * @return {*} Resolved value.
+     * @throws {ResolutionHookError} If any of the hooks fails.
+     */
+    observe(identifier, depth, cached, resolve) {
+        const resolvingHooks = this.findHooks("resolvingHooks", identifier);
+        const afterResolvingHooks = this.findHooks("afterResolvingHooks", identifier);
+
+        if (resolvingHooks.length === 0 && afterResolvingHooks.length === 0) {
+            return resolve();
+        }
+
+        this.runHooks(resolvingHooks, { identifier, depth });
+
+        const start = performance.now();
+        const value = resolve();
+
+        this.runHooks(afterResolvingHooks, { identifier, depth, value, duration: performance.now() - start, cached });
+
+        return value;
+    }
+
+    /**
+     * Run the resolution hooks around a resolution waiting for the value.
+     *
+     * The hooks themselves are not awaited.
+     *
+     * @private
+     * @async
+     * @param {(Identifier|Function)} identifier Resolved identifier, or the constructed class or invoked function.
+     * @param {number} depth Depth of the resolution in the dependency tree.
+     * @param {boolean} cached Whether the value is an instance or an already created shared object.
+     * @param {Function} resolve Function resolving the value.
+     * @return {Promise.<*>} Resolved value.
+     * @throws {ResolutionHookError} If any of the hooks fails.
+     */
+    async observeAsync(identifier, depth, cached, resolve) {
+        const resolvingHooks = this.findHooks("resolvingHooks", identifier);
+        const afterResolvingHooks = this.findHooks("afterResolvingHooks", identifier);
+
+        if (resolvingHooks.length === 0 && afterResolvingHooks.length === 0) {
+            return resolve();
+        }
+
+        this.runHooks(resolvingHooks, { identifier, depth });
+
+        const start = performance.now();
+        const value = await resolve();
+
+        this.runHooks(afterResolvingHooks, { identifier, depth, value, duration: performance.now() - start, cached });
+
+        return value;
+    }
+
+    /**
+     * Find the hooks to run for an identifier.
+     *
+     * Hooks registered in a parent container run before the ones registered
+     * in this container.
+     *
+     * @private
+     * @param {string} property Name of the property holding the hooks.
+     * @param {(Identifier|Function)} identifier Resolved identifier, or the constructed class or invoked function.
+     * @return {Array.<Function>} Hooks to run in order.
+     */
+    findHooks(property, identifier) {
+        return [
+            ...(this.parent?.findHooks(property, identifier) ?? []),
+            ...this[property]
+                .filter(hook => hook.identifier === "*" || hook.identifier === identifier)
+                .map(({ hook }) => hook)
+        ];
+    }
+
+    /**
+     * Run resolution hooks.
+     *
+     * @private
+     * @param {Array.<Function>} hooks Hooks to run.
+     * @param {ResolutionEvent} event Resolution event.
+     * @throws {ResolutionHookError} If any of the hooks fails.
+     */
+    runHooks(hooks, event) {
+        for (const hook of hooks) {
+            try {
+                hook(event);
+            } catch (error) {
+                throw new ResolutionHookError(event.identifier, error);
+            }
+        }
+    }
+
+    /**
+     * Resolve the identifier to register a hook for.
+     *
+     * @private
+     * @param {(Identifier|Function)} identifier Identifier to run the hook for, or "*" for every identifier.
+     * @return {(Identifier|Function)} Original binding identifier, or "*" for every identifier.
+     */
+    resolveHookIdentifier(identifier) {
+        return identifier === "*" ? identifier : this.resolveIdentifier(identifier);
+    }
+
+    /**
+     * Determine if resolving the identifier returns an existing object.
+     *
+     * @private
+     * @param {Identifier} identifier Original binding identifier.
+     * @return {boolean} True if the object is an instance or an already created shared object.
+     * @throws {Error} If the identifier is unknown.
+     */
+    isCached(identifier) {
+        const owner = this.findOwner(identifier);
+
+        if (owner.instances.has(identifier)) {
+            return true;
+        }
+
+        if (owner.multiBindings.has(identifier)) {
+            return false;
+        }
+
+        const binding = owner.bindings.get(identifier);
+
+        return binding.lifetime !== Lifetime.TRANSIENT &&
+               this.resolveSharingContainer(owner, binding).sharedInstances.has(identifier);
+    }
+
+    /**
+     * Construct a provider if needed and let it register its bindings.
+     *
+     * @private
+     * @param {(ServiceProvider|Function)} provider Provider object or class.
+     * @return {ServiceProvider} Registered provider.
+     */
+    registerProviderBindings(provider) {
+        const instance = typeof provider === "function" ? this.construct(provider) : provider;
+
+        this.providers.push(instance);
+        instance.register(this);
+
+        return instance;
+    }
+
+    /**
+     * Boot a provider injecting the dependencies of its boot function.
+     *
+     * @private
+     * @param {ServiceProvider} provider Registered provider.
+     * @return {*} Whatever the boot function returns.
+     */
+    bootProvider(provider) {
+        if (typeof provider.boot !== "function") {
+            return;
+        }
+
+        return this.invoke(provider.boot.bind(provider), {}, provider.boot);
+    }
+
+    /**
+     * Boot a provider waiting for any asynchronous dependencies.
+     *
+     * @private
+     * @async
+     * @param {ServiceProvider} provider Registered provider.
+     * @return {Promise.<*>} Whatever the boot function returns.
+     */
+    async bootProviderAsync(provider) {
+        if (typeof provider.boot !== "function") {
+            return;
+        }
+
+        return this.invokeAsync(provider.boot.bind(provider), {}, provider.boot);
+    }
+
+    /**
+     * Find the boot function of a provider object or class.
+     *
+     * @private
+     * @param {(ServiceProvider|Function)} provider Provider object or class.
+     * @return {?Function} Boot function if declared.
+     */
+    findBootFunction(provider) {
+        const boot = typeof provider === "function" ? provider.prototype?.boot : provider.boot;
+
+        return typeof boot === "function" ? boot : null;
+    }
+
+    /**
+     * Determine if a function is declared async.
+     *
+     * @private
+     * @param {?Function} func Function to inspect.
+     * @return {boolean} True if the function is an async function.
+     */
+    isAsyncFunction(func) {
+        return Object.prototype.toString.call(func) === "[object AsyncFunction]";
+    }
+
+    /**
+     * Find the container with a deferred provider for the identifier.
+     *
+     * A binding or an instance in a closer container shadows the provider.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {?Container} Container with the deferred provider if any.
+     */
+    findDeferringContainer(identifier) {
+        for (let container = this; container; container = container.parent) {
+            if (container.isBound(identifier)) {
+                return null;
+            }
+
+            if (container.deferredProviders.has(identifier)) {
+                return container;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Register the deferred provider of an identifier.
+     *
+     * The provider is registered in the container it was registered to and is
+     * no longer deferred for any of the identifiers it provides. If that
+     * container is already booted the provider is booted right away, which
+     * requires the boot function to be synchronous. An async boot function is
+     * rejected before the provider is registered.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @throws {Error} If the provider has to be booted asynchronously.
+     */
+    loadDeferredProvider(identifier) {
+        const container = this.findDeferringContainer(identifier);
+
+        if (!container) {
+            return;
+        }
+
+        const message = `Unable to boot the provider of ${describeIdentifier(identifier)} synchronously, ` +
+            "use getAsync() instead";
+
+        const boot = this.findBootFunction(container.deferredProviders.get(identifier));
+
+        if (container.booted && this.isAsyncFunction(boot)) {
+            throw new Error(message);
+        }
+
+        const provider = container.releaseDeferredProvider(identifier);
+        const result = container.booted ? container.bootProvider(provider) : undefined;
+
+        if (typeof result?.then === "function") {
+            // The failure can't be reported synchronously, the thrown error points to getAsync() instead.
+            result.then(null, () => {});
+
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Register the deferred provider of an identifier waiting for it to boot.
+     *
+     * @private
+     * @async
+     * @param {Identifier} identifier Binding identifier.
+     */
+    async loadDeferredProviderAsync(identifier) {
+        const container = this.findDeferringContainer(identifier);
+
+        if (container) {
+            const provider = container.releaseDeferredProvider(identifier);
+
+            if (container.booted) {
+                await container.bootProviderAsync(provider);
+            }
+        }
+    }
+
+    /**
+     * Stop deferring the provider of an identifier and let it register its bindings.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {ServiceProvider} Registered provider.
+     */
+    releaseDeferredProvider(identifier) {
+        const provider = this.deferredProviders.get(identifier);
+
+        for (const [providedIdentifier, deferredProvider] of this.deferredProviders) {
+            if (deferredProvider === provider) {
+                this.deferredProviders.delete(providedIdentifier);
+            }
+        }
+
+        return this.registerProviderBindings(provider);
+    }
+
+    /**
+     * Add an identifier to the resolution path.
+     *
+     * Any aliases followed to find the original binding identifier are part
+     * of the path to make it easier to trace where a cycle originates.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier about to be resolved.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Array} Original binding identifier and the extended resolution path.
+     * @throws {CircularDependencyError} If the identifier is already being resolved.
+     */
+    enterResolutionPath(identifier, path) {
+        const aliasChain = this.resolveAliasChain(identifier);
+
+        identifier = aliasChain[aliasChain.length - 1];
+
+        if (path.includes(identifier)) {
+            throw new CircularDependencyError([...path.slice(path.indexOf(identifier)), ...aliasChain]);
+        }
+
+        return [identifier, [...path, ...aliasChain]];
+    }
+
+    /**
+     * Resolve binding identifier.
+     *
+     * In case the identifier is an alias the original binding identifier is
+     * resolved. Aliases are looked up through the parent containers unless a
+     * closer container has a binding or an instance for the identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {Identifier} Original binding identifier.
+     */
+    resolveIdentifier(identifier) {
+        const aliasChain = this.resolveAliasChain(identifier);
+
+        return aliasChain[aliasChain.length - 1];
+    }
+
+    /**
+     * Determine if the object of an identifier may be a function without resolving it.
+     *
+     * A bound instance or an already created shared object is inspected.
+     * Anything else may only be a function if it's created by a factory.
+     *
+     * @private
+     * @param {Identifier} identifier Object identifier.
+     * @return {boolean} True if the object is or may be a function.
+     */
+    mayBeFunction(identifier) {
+        identifier = this.resolveIdentifier(identifier);
+
+        for (let container = this; container; container = container.parent) {
+            const values = [container.instances, container.sharedInstances].find(values => values.has(identifier));
+
+            if (values) {
+                return typeof values.get(identifier) === "function";
+            }
+
+            if (container.bindings.has(identifier)) {
+                return container.bindings.get(identifier).kind === "factory";
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Resolve the chain of aliases leading to the original binding identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {Array.<Identifier>} Followed identifiers ending with the original binding identifier.
+     */
+    resolveAliasChain(identifier) {
+        const aliasChain = [identifier];
+        let container = this;
+
+        while (container) {
+            if (container.isBound(identifier)) {
+                break;
+            }
+
+            if (container.aliases.has(identifier) && !aliasChain.includes(container.aliases.get(identifier))) {
+                identifier = container.aliases.get(identifier);
+                aliasChain.push(identifier);
+                container = this;
+
+                continue;
+            }
+
+            container = container.parent;
+        }
+
+        return aliasChain;
+    }
+
+    /**
+     * Determine if this container itself binds the identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {boolean} True if the container has a binding, an instance or a multi binding for the identifier.
+     */
+    isBound(identifier) {
+        return this.instances.has(identifier) || this.bindings.has(identifier) || this.multiBindings.has(identifier);
+    }
+
+    /**
+     * Determine if the identifier resolves to a multi binding.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {boolean} True if the closest binding of the identifier is a multi binding.
+     */
+    isMultiBinding(identifier) {
+        identifier = this.resolveIdentifier(identifier);
+
+        for (let container = this; container; container = container.parent) {
+            if (container.isBound(identifier)) {
+                return !container.instances.has(identifier) && container.multiBindings.has(identifier);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Find the identifier to register a binding or an instance under.
+     *
+     * A multi binding is registered under a new entry identifier added to
+     * the entries of the identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @param {?boolean} multi Whether to add the binding to the ones of the identifier.
+     * @return {Identifier} Identifier to register the binding or instance under.
+     * @throws {Error} If a multi binding is added to an identifier that is already bound or extended.
+     */
+    findRegistrationIdentifier(identifier, multi) {
+        if (!multi) {
+            return identifier;
+        }
+
+        if (this.bindings.has(identifier) || this.instances.has(identifier)) {
+            throw new Error(`Unable to add multi binding to ${describeIdentifier(identifier)}, it is already bound`);
+        }
+
+        if (this.findExtenders(identifier).length > 0) {
+            throw new Error(`Unable to add multi binding to ${describeIdentifier(identifier)}, it is extended`);
+        }
+
+        const entries = this.multiBindings.get(identifier) ?? [];
+        const entry = Symbol(`${describeIdentifier(identifier)}[${entries.length}]`);
+
+        this.multiBindings.set(identifier, [...entries, entry]);
+
+        return entry;
+    }
+
+    /**
+     * Remove a multi binding and all of its entries from this container.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier of the multi binding.
+     */
+    removeMultiBinding(identifier) {
+        const entries = this.multiBindings.get(identifier);
+
+        for (const entry of entries) {
+            this.bindings.delete(entry);
+            this.instances.delete(entry);
+            this.sharedInstances.delete(entry);
+        }
+
+        this.multiBindings.delete(identifier);
+    }
+
+    /**
+     * Find the entry identifiers of a multi binding.
+     *
+     * @private
+     * @param {Identifier} identifier Identifier of the multi binding.
+     * @return {Array.<symbol>} Entry identifiers, starting with the ones added in the parent containers.
+     */
+    findMultiEntries(identifier) {
+        return [...(this.parent?.findMultiEntries(identifier) ?? []), ...(this.multiBindings.get(identifier) ?? [])];
+    }
+
+    /**
+     * Ensure that named parameters are only given for objects created for each resolution.
+     *
+     * @private
+     * @param {Identifier} identifier Original binding identifier.
+     * @param {Container} owner Container owning the binding or instance.
+     * @param {Object.<string, *>} parameters Named parameters to pass to the constructor or factory.
+     * @throws {Error} If parameters are given for a shared object or an instance.
+     */
+    assertParametersAccepted(identifier, owner, parameters) {
+        if (Object.keys(parameters).length === 0) {
+            return;
+        }
+
+        if (owner.multiBindings.has(identifier) && !owner.instances.has(identifier)) {
+            throw new Error(`Unable to pass parameters to multi binding ${describeIdentifier(identifier)}`);
+        }
+
+        if (owner.instances.has(identifier) || owner.bindings.get(identifier).lifetime !== Lifetime.TRANSIENT) {
+            throw new Error(`Unable to pass parameters to shared object ${describeIdentifier(identifier)}`);
+        }
+    }
+
+    /**
+     * Determine if the identifier is an instance or a singleton owned by a parent container.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {boolean} True if the closest owner is a parent container sharing the object.
+     */
+    isSharedByParent(identifier) {
+        for (let container = this; container; container = container.parent) {
+            if (container.isBound(identifier)) {
+                return container !== this && (
+                    container.instances.has(identifier) ||
+                    container.bindings.get(identifier)?.lifetime === Lifetime.SINGLETON
+                );
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Find the closest container with a binding or an instance for the identifier.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {Container} Container owning the identifier.
+     * @throws {Error} If the identifier is unknown.
+     */
+    findOwner(identifier) {
+        for (let container = this; container; container = container.parent) {
+            if (container.isBound(identifier)) {
+                return container;
+            }
+        }
+
+        throw new Error(`Unknown identifier: ${describeIdentifier(identifier)}`);
+    }
+
+    /**
+     * Determine which container should hold the shared object of a binding.
+     *
+     * Singletons are held by the container they were registered in so that
+     * every child shares them. Scoped objects are held by the container they
+     * are resolved from.
+     *
+     * @private
+     * @param {Container} owner Container owning the binding.
+     * @param {{lifetime: Lifetime}} binding Binding definition.
+     * @return {Container} Container holding the shared object.
+     */
+    resolveSharingContainer(owner, { lifetime }) {
+        return lifetime === Lifetime.SINGLETON ? owner : this;
+    }
+
+    /**
+     * Retrieve the shared object of a binding, creating it the first time.
+     *
+     * An object still being created by an asynchronous resolution can't be
+     * handed out synchronously since it doesn't exist yet.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @param {{kind: string, concrete: Function, dispose: ?Function}} binding Binding definition.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {*} Shared object.
+     * @throws {Error} If the object is being resolved asynchronously.
+     */
+    share(identifier, binding, path) {
+        if (this.sharedInstances.has(identifier)) {
+            return this.sharedInstances.get(identifier);
+        }
+
+        if (this.pending.has(identifier)) {
+            throw new Error(
+                `Unable to resolve ${describeIdentifier(identifier)} while it is being resolved asynchronously, ` +
+                "use getAsync() instead"
+            );
+        }
+
+        const value = this.build(binding, path);
+
+        this.disposables.push({ identifier, value, disposer: binding.dispose });
+
+        const extendedValue = this.extendObject(identifier, value);
+
+        this.sharedInstances.set(identifier, extendedValue);
+
+        return extendedValue;
+    }
+
+    /**
+     * Retrieve the shared object of a binding waiting for any asynchronous dependencies.
+     *
+     * Concurrent resolutions share one pending promise until the object is
+     * created.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @param {{kind: string, concrete: Function, dispose: ?Function}} binding Binding definition.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Promise.<*>} Shared object.
+     */
+    shareAsync(identifier, binding, path) {
+        if (this.sharedInstances.has(identifier)) {
+            return Promise.resolve(this.sharedInstances.get(identifier));
+        }
+
+        if (this.pending.has(identifier)) {
+            return this.pending.get(identifier);
+        }
+
+        const value = this.buildAsync(binding, path)
+            .then(instance => {
+                this.disposables.push({ identifier, value: instance, disposer: binding.dispose });
+
+                return this.extendObjectAsync(identifier, instance);
+            })
+            .then(instance => {
+                this.sharedInstances.set(identifier, instance);
+
+                return instance;
+            })
+            .finally(() => this.pending.delete(identifier));
+
+        this.pending.set(identifier, value);
+
+        return value;
+    }
+
+    /**
+     * Determine if any identifier is tagged with the given tag.
+     *
+     * @private
+     * @param {(string|symbol)} tag Tag to look for.
+     * @return {boolean} True if the tag is in use.
+     */
+    hasTag(tag) {
+        return this.tags.has(tag) || (this.parent?.hasTag(tag) ?? false);
+    }
+
+    /**
+     * Find the identifiers tagged with the given tag.
+     *
+     * @private
+     * @param {(string|symbol)} tag Tag to look for.
+     * @return {Array.<Identifier>} Tagged identifiers in the order they were tagged.
+     */
+    findTaggedIdentifiers(tag) {
+        return [...new Set([...(this.parent?.findTaggedIdentifiers(tag) ?? []), ...(this.tags.get(tag) ?? [])])];
+    }
+
+    /**
+     * Find the functions extending an object.
+     *
+     * Extenders registered in a parent container are applied before the ones
+     * registered in this container.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @return {Array.<Function>} Functions extending the object.
+     */
+    findExtenders(identifier) {
+        return [...(this.parent?.findExtenders(identifier) ?? []), ...(this.extenders.get(identifier) ?? [])];
+    }
+
+    /**
+     * Apply any registered extenders to an object.
+     *
+     * @private
+     * @param {Identifier} identifier Binding identifier.
+     * @param {*} value Object to extend.
+     * @return {*} Extended object.
+     */
+    extendObject(identifier, value) {
+        return this.findExtenders(identifier).reduce((value, extender) => extender(value, this), value);
+    }
+
+    /**
+     * Apply any registered extenders to an object waiting for any asynchronous extenders.
+     *
+     * @private
+     * @async
+     * @param {Identifier} identifier Binding identifier.
+     * @param {*} value Object to extend.
+     * @return {Promise.<*>} Extended object.
+     */
+    async extendObjectAsync(identifier, value) {
+        for (const extender of this.findExtenders(identifier)) {
+            value = await extender(value, this);
+        }
+
+        return value;
+    }
+
+    /**
+     * Normalize binding options.
+     *
+     * @private
+     * @param {Lifetime|boolean|BindingOptions} options Binding options.
+     * @return {{lifetime: Lifetime, inject: ?InjectMetadata, dispose: ?Function, lazy: boolean}} Normalized options.
+     */
+    normalizeBindingOptions(options) {
+        const { lifetime = Lifetime.TRANSIENT, inject = null, dispose = null, lazy = false } =
+            typeof options === "object" && options !== null ? options : { lifetime: options };
+
+        return { lifetime: this.normalizeLifetime(lifetime), inject, dispose, lazy };
+    }
+
+    /**
+     * Take the objects to dispose, most recently created first.
+     *
+     * Shared objects are forgotten so that they are created anew if resolved
+     * again after being disposed.
+     *
+     * @private
+     * @return {Array.<Disposable>} Objects to dispose.
+     */
+    releaseDisposables() {
+        const disposables = this.disposables.reverse();
+
+        this.disposables = [];
+        this.sharedInstances.clear();
+
+        return disposables;
+    }
+
+    /**
+     * Dispose an object.
+     *
+     * @private
+     * @param {*} value Object to dispose.
+     * @param {?Function} disposer Function disposing the object instead of its own dispose method.
+     * @param {Array.<(string|symbol)>} methods Dispose methods to look for in order of preference.
+     * @return {*} Whatever the disposer returns.
+     */
+    disposeObject(value, disposer, methods) {
+        if (disposer) {
+            return disposer(value);
+        }
+
+        const method = methods.find(method => typeof value?.[method] === "function");
+
+        return method ? value[method]() : undefined;
+    }
+
+    /**
+     * Normalize a binding lifetime.
      *
-     * @public
+     * Booleans are accepted for backwards compatibility where true means a
+     * singleton and false a transient binding.
+     *
+     * @private
+     * @param {Lifetime|boolean} lifetime Binding lifetime.
+     * @return {Lifetime} Normalized binding lifetime.
+     * @throws {Error} If the lifetime is unknown.
      */
-    constructor() {
-        /**
-         * Set of registered bindings.
-         *
-         * A binding is a definition of how to create an object and an
-         * identifier for that object within the container.
-         *
-         * @private
-         * @type {Map.<string, {factory: Function, singleton: boolean}>}
-         */
-        this.bindings = new Map();
+    normalizeLifetime(lifetime) {
+        if (typeof lifetime === "boolean") {
+            return lifetime ? Lifetime.SINGLETON : Lifetime.TRANSIENT;
+        }
 
-        /**
-         * Set of concrete object instances.
-         *
-         * @private
-         * @type {Map.<string, *>}
-         */
-        this.instances = new Map();
+        if (!Object.values(Lifetime).includes(lifetime)) {
+            throw new Error(`Unknown lifetime: ${lifetime}`);
+        }
 
-        /**
-         * Set of aliases for bindings or instances.
-         *
-         * @private
-         * @type {Map.<string, string>}
-         */
-        this.aliases = new Map();
+        return lifetime;
     }
 
     /**
-     * Determine if the container has a binding for the given identifier.
+     * Create a new object from the given binding.
      *
-     * @public
-     * @param {string} identifier Binding identifier.
-     * @return {boolean} True if a binding exists.
+     * @private
+     * @param {Binding} binding Binding definition.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor or factory.
+     * @return {*} Object created from the binding.
      */
-    has(identifier) {
-        return this.bindings.has(identifier) ||
-               this.instances.has(identifier) ||
-               this.aliases.has(identifier);
+    build(binding, path, parameters = {}) {
+        const { kind, concrete } = binding;
+        const { parameterList } = this.findResolutionPlan(binding);
+
+        return kind === "constructor" ?
+            this.instantiate(concrete, parameters, path, parameterList) :
+            this.execute(concrete, parameters, null, path, parameterList);
     }
 
     /**
-     * Retrieve an object.
+     * Create a new object from the given binding waiting for any asynchronous dependencies.
      *
-     * @public
-     * @param {string} identifier Identifier of the object.
-     * @return {*} Object matching the identifier.
+     * @private
+     * @param {Binding} binding Binding definition.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor or factory.
+     * @return {Promise.<*>} Object created from the binding.
      */
-    get(identifier) {
-        if (!this.has(identifier)) {
-            throw new Error(`Unknown identifier: ${identifier}`);
-        }
+    buildAsync(binding, path, parameters = {}) {
+        const { kind, concrete } = binding;
+        const { parameterList } = this.findResolutionPlan(binding);
 
-        identifier = this.resolveIdentifier(identifier);
+        return kind === "constructor" ?
+            this.instantiateAsync(concrete, parameters, path, parameterList) :
+            this.executeAsync(concrete, parameters, null, path, parameterList);
+    }
 
-        if (this.instances.has(identifier)) {
-            return this.instances.get(identifier);
+    /**
+     * Find the resolution plan of a binding, creating it on first use.
+     *
+     * The plan holds the parameters of the constructor or factory with any
+     * injection metadata applied, which saves parsing the signature and
+     * walking the prototype chain on every resolution. Plans are kept per
+     * binding object, which means they are dropped as soon as the binding is
+     * replaced, removed or restored from a snapshot. Injection metadata is
+     * therefore read once per binding.
+     *
+     * @private
+     * @param {Binding} binding Binding definition.
+     * @return {{parameterList: Array.<InjectableParameter>}} Resolution plan.
+     */
+    findResolutionPlan(binding) {
+        if (!this.resolutionPlans.has(binding)) {
+            const { kind, concrete, inject } = binding;
+
+            this.resolutionPlans.set(binding, {
+                parameterList: kind === "constructor" ?
+                    this.extractConstructorParameters(concrete, inject) :
+                    this.extractFunctionParameters(concrete, null, inject)
+            });
         }
 
-        const { factory, singleton } = this.bindings.get(identifier);
-        const value = this.invoke(factory);
+        return this.resolutionPlans.get(binding);
+    }
 
-        if (singleton) {
-            this.createSingletonFromBinding(identifier, value);
-        }
+    /**
+     * Extracts the names of the parameters in the target signature.
+     *
+     * @private
+     * @param {Function} target Function signature.
+     * @return {Array.<string>} List of parameter names.
+     */
+    extractParameterNames(target) {
+        return this.extractParameters(target).map(({ name }) => name);
+    }
 
-        return value;
+    /**
+     * Extracts the parameters in the target signature.
+     *
+     * @private
+     * @param {Function} target Function signature.
+     * @return {Array.<Parameter>} List of parameters.
+     */
+    extractParameters(target) {
+        return this.parameterParser.parse(target);
     }
 
     /**
-     * Construct a new object instance injecting any resolvable dependencies.
+     * Extracts the parameters to inject into a constructor.
      *
-     * @public
+     * The parameters are extracted from the first explicit constructor in the
+     * prototype chain. Given identifiers take precedence over any metadata.
+     *
+     * @private
      * @param {Function} constructor Object constructor.
-     * @param {?Object.<string, *>} parameters Any named parameters to pass to the constructor.
-     * @return {*} Object instance.
+     * @param {?InjectMetadata} inject Identifiers to inject instead of the parameter names.
+     * @return {Array.<InjectableParameter>} List of parameters.
      */
-    construct(constructor, parameters = {}) {
-        return Reflect.construct(
-            constructor,
-            this.resolveParameters(this.extractParameterNames(this.firstExplicitConstructor(constructor)), parameters)
+    extractConstructorParameters(constructor, inject) {
+        const signature = this.firstExplicitConstructor(constructor);
+
+        return this.applyInjectMetadata(
+            this.extractParameters(signature),
+            inject ?? this.findInjectMetadata(signature)
         );
     }
 
     /**
-     * Invoke function injecting any resolvable dependencies.
+     * Extracts the parameters to inject into a function.
      *
-     * If the given function is bound we don't have access to the original
-     * function signature. This makes it impossible to extract the functions
-     * parameters. In this case you can pass the original function as a
-     * parameter and we will extract the parameters from that signature.
+     * Metadata on the function itself takes precedence over metadata on the
+     * original function signature since a bound function might have been
+     * given metadata of its own.
      *
-     * @public
+     * @private
      * @param {Function} func Function to be invoked.
-     * @param {?Object.<string, *>} parameters Any named parameters to pass to the function.
      * @param {?Function} signature Original function signature in case the function is bound.
-     * @return {*} Whatever the invoked function returns.
+     * @param {?InjectMetadata} inject Identifiers to inject instead of the parameter names.
+     * @return {Array.<InjectableParameter>} List of parameters.
      */
-    invoke(func, parameters = {}, signature = null) {
-        return func.apply(func, this.resolveParameters(this.extractParameterNames(signature ?? func), parameters));
+    extractFunctionParameters(func, signature, inject) {
+        return this.applyInjectMetadata(
+            this.extractParameters(signature ?? func),
+            inject ?? this.findInjectMetadata(func) ?? (signature && this.findInjectMetadata(signature))
+        );
     }
 
     /**
-     * Register a concrete object instance to the container.
+     * Find explicit injection metadata declared on the target.
      *
-     * @public
-     * @param {string} identifier Object identifier.
-     * @param {*} instance Concrete object instance.
+     * Metadata is declared in a static inject or $inject property, either as
+     * a list of identifiers or as identifiers by parameter name. Only
+     * properties declared on the target itself are considered since a
+     * subclass doesn't share its parent's signature.
+     *
+     * @private
+     * @param {Function} target Function or class to inspect.
+     * @return {?InjectMetadata} Identifiers to inject if declared.
      */
-    bindInstance(identifier, instance) {
-        this.instances.set(identifier, instance);
+    findInjectMetadata(target) {
+        const property = INJECT_PROPERTIES.find(
+            property => Object.prototype.hasOwnProperty.call(target, property) &&
+                        typeof target[property] === "object" &&
+                        target[property] !== null
+        );
+
+        return property ? target[property] : null;
     }
 
     /**
-     * Registers a constructor to the container.
+     * Replace the parameter names with explicitly declared identifiers.
      *
-     * @public
-     * @param {string} identifier Constructor identifier.
-     * @param {Function} constructor Object constructor.
-     * @param {?boolean} singleton Whether this binding is a singleton.
+     * A list of identifiers replaces the parameters by position. Anything else
+     * known about the parameter at the same position, like a default value,
+     * is kept since it survives minification. Parameters beyond the end of
+     * the list are resolved as declared in the signature. Identifiers by parameter name
+     * only change which identifier is resolved for the named parameters,
+     * including the properties of destructured parameters. A parameter with
+     * an optional identifier is treated as if it had a default value.
+     *
+     * @private
+     * @param {Array.<InjectableParameter>} parameterList List of parameters.
+     * @param {?InjectMetadata} inject Identifiers to inject.
+     * @return {Array.<InjectableParameter>} List of parameters.
      */
-    bindConstructor(identifier, constructor, singleton = false) {
-        this.bindings.set(identifier, {
-            factory: () => this.construct(constructor),
-            singleton
+    applyInjectMetadata(parameterList, inject) {
+        if (!inject) {
+            return parameterList;
+        }
+
+        if (Array.isArray(inject)) {
+            return [
+                ...inject.map((name, index) => ({
+                    hasDefault: (parameterList[index]?.hasDefault ?? false) || name instanceof OptionalIdentifier,
+                    rest: parameterList[index]?.rest ?? false,
+                    name: name instanceof OptionalIdentifier ? name.identifier : name,
+                    destructured: false,
+                    properties: null
+                })),
+                ...parameterList.slice(inject.length)
+            ];
+        }
+
+        return parameterList.map(parameter => {
+            if (parameter.properties) {
+                return { ...parameter, properties: this.applyInjectMetadata(parameter.properties, inject) };
+            }
+
+            if (parameter.name === null || !Object.prototype.hasOwnProperty.call(inject, parameter.name)) {
+                return parameter;
+            }
+
+            const identifier = inject[parameter.name];
+
+            if (identifier instanceof OptionalIdentifier) {
+                return { ...parameter, identifier: identifier.identifier, hasDefault: true };
+            }
+
+            return { ...parameter, identifier };
         });
     }
 
     /**
-     * Registers an object factory to the container.
+     * Resolve parameter values from the container.
      *
-     * @public
-     * @param {string} identifier Factory identifier.
-     * @param {Function} factory Object factory.
-     * @param {?boolean} singleton Whether this binding is a singleton.
+     * @private
+     * @param {Array.<InjectableParameter>} parameterList List of parameters to find values for.
+     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
+     * @param {Function} target Function or class the parameters belong to.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Array.<*>} List of resolved values.
      */
-    bindFactory(identifier, factory, singleton = false) {
-        this.bindings.set(identifier, {
-            factory,
-            singleton
-        });
+    resolveParameters(parameterList, parameters, target, path) {
+        return parameterList.flatMap(
+            parameter => this.spreadParameter(parameter, this.resolveParameter(parameter, parameters, target, path))
+        );
     }
 
     /**
-     * Make sure the binding is a singleton.
+     * Resolve parameter values from the container waiting for any asynchronous values.
      *
-     * @public
-     * @param {string} identifier Binding identifier.
+     * Parameters are resolved one at a time to keep the resolution order
+     * predictable.
+     *
+     * @private
+     * @async
+     * @param {Array.<InjectableParameter>} parameterList List of parameters to find values for.
+     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
+     * @param {Function} target Function or class the parameters belong to.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Promise.<Array.<*>>} List of resolved values.
      */
-    makeSingleton(identifier) {
-        if (!this.has(identifier)) {
-            throw new Error(`Unknown identifier: ${identifier}`);
+    async resolveParametersAsync(parameterList, parameters, target, path) {
+        const values = [];
+
+        for (const parameter of parameterList) {
+            const value = await this.resolveParameterAsync(parameter, parameters, target, path);
+
+            values.push(...this.spreadParameter(parameter, value));
         }
 
-        identifier = this.resolveIdentifier(identifier);
+        return values;
+    }
 
-        if (this.instances.has(identifier)) {
-            return;
+    /**
+     * Resolve parameter value from the container.
+     *
+     * A destructured object parameter is resolved to an object with each of
+     * its properties resolved as if it was a parameter of its own. Contextual
+     * bindings of the target take precedence over the parameter identifier. A
+     * lazy identifier or binding is resolved to a lazy proxy, which isn't part
+     * of the resolution path. A parameter identifying a tag rather than a
+     * binding is resolved to the tagged objects.
+     *
+     * @private
+     * @param {InjectableParameter} parameter Parameter to find a value for.
+     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
+     * @param {Function} target Function or class the parameter belongs to.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {*} Resolved value.
+     * @throws {UnresolvableParameterError} If the parameter can't be resolved in strict mode.
+     */
+    resolveParameter(parameter, parameters, target, path) {
+        if (parameter.properties) {
+            return Object.fromEntries(
+                parameter.properties.map(
+                    property => [property.name, this.resolveParameter(property, parameters, target, path)]
+                )
+            );
+        }
+
+        if (this.hasNamedParameter(parameters, parameter.name)) {
+            return parameters[parameter.name];
+        }
+
+        const contextualBinding = this.findContextualBinding(parameter, target);
+
+        if (contextualBinding?.factory) {
+            return this.execute(contextualBinding.factory, {}, null, path);
+        }
+
+        const identifier = contextualBinding?.identifier ?? parameter.identifier ?? parameter.name;
+
+        if (identifier instanceof LazyIdentifier || this.isLazy(identifier)) {
+            return this.getLazy(identifier?.identifier ?? identifier);
+        }
+
+        if (identifier !== null && this.has(identifier)) {
+            return this.resolve(identifier, path);
+        }
+
+        const config = this.findParameterConfig(identifier);
+
+        if (config !== null) {
+            return config.value;
         }
 
-        this.bindings.get(identifier).singleton = true;
+        if (identifier !== null && this.hasTag(identifier)) {
+            return this.resolveTagged(identifier, path);
+        }
+
+        return this.resolveUnresolvableParameter(parameter, target, path);
     }
 
     /**
-     * Create a binding alias.
+     * Resolve parameter value from the container waiting for any asynchronous value.
      *
-     * @public
-     * @param {string} identifier Binding identifier.
-     * @param {string} alias Binding alias.
+     * @private
+     * @async
+     * @param {InjectableParameter} parameter Parameter to find a value for.
+     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
+     * @param {Function} target Function or class the parameter belongs to.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {Promise.<*>} Resolved value.
+     * @throws {UnresolvableParameterError} If the parameter can't be resolved in strict mode.
      */
-    alias(identifier, alias) {
-        while (this.aliases.has(identifier)) {
-            identifier = this.aliases.get(identifier);
+    async resolveParameterAsync(parameter, parameters, target, path) {
+        if (parameter.properties) {
+            const value = {};
+
+            for (const property of parameter.properties) {
+                value[property.name] = await this.resolveParameterAsync(property, parameters, target, path);
+            }
+
+            return value;
         }
 
-        this.aliases.set(alias, identifier);
+        if (this.hasNamedParameter(parameters, parameter.name)) {
+            return parameters[parameter.name];
+        }
+
+        const contextualBinding = this.findContextualBinding(parameter, target);
+
+        if (contextualBinding?.factory) {
+            return this.executeAsync(contextualBinding.factory, {}, null, path);
+        }
+
+        const identifier = contextualBinding?.identifier ?? parameter.identifier ?? parameter.name;
+
+        if (identifier instanceof LazyIdentifier || this.isLazy(identifier)) {
+            return this.getLazy(identifier?.identifier ?? identifier);
+        }
+
+        if (identifier !== null && this.has(identifier)) {
+            return this.resolveAsync(identifier, path);
+        }
+
+        const config = this.findParameterConfig(identifier);
+
+        if (config !== null) {
+            return config.value;
+        }
+
+        if (identifier !== null && this.hasTag(identifier)) {
+            return this.resolveTaggedAsync(identifier, path);
+        }
+
+        return this.resolveUnresolvableParameter(parameter, target, path);
     }
 
     /**
-     * Resolve binding identifier.
+     * Find the configuration value of a parameter identifier.
      *
-     * In case the identifier is an alias the original binding identifier is
-     * resolved.
+     * Only string identifiers are looked up, either by their name or by the
+     * path following the "config:" prefix.
      *
      * @private
-     * @param {string} identifier Binding identifier.
-     * @return {string} Original binding identifier.
+     * @param {?Identifier} identifier Parameter identifier.
+     * @return {?{value: *}} Configuration value if found.
      */
-    resolveIdentifier(identifier) {
-        return this.aliases.get(identifier) || identifier;
+    findParameterConfig(identifier) {
+        if (typeof identifier !== "string") {
+            return null;
+        }
+
+        return this.lookupConfig(identifier);
     }
 
     /**
-     * Ensure the binding is a singleton.
+     * Look up a configuration value in every source.
      *
      * @private
-     * @param {string} identifier Binding identifier.
-     * @param {*} value Concrete object instance.
+     * @param {string} path Path of the value in dot notation, optionally prefixed with "config:".
+     * @return {?{value: *}} Configuration value if found.
      */
-    createSingletonFromBinding(identifier, value) {
-        this.instances.set(identifier, value);
-        this.bindings.delete(identifier);
+    lookupConfig(path) {
+        const words = this.splitConfigPath(path.startsWith(CONFIG_PREFIX) ? path.slice(CONFIG_PREFIX.length) : path);
+
+        if (words.length === 0) {
+            return null;
+        }
+
+        for (let container = this; container; container = container.parent) {
+            for (const source of [...container.configSources].reverse()) {
+                const result = source.lookup(words);
+
+                if (result) {
+                    return result;
+                }
+            }
+        }
+
+        return null;
     }
 
     /**
-     * Extracts the names of the parameters in the target signature.
+     * Split a configuration path into words.
+     *
+     * Both dots and camel case boundaries separate words, e.g.
+     * "database.maxConnections" is split into database, max and connections.
      *
      * @private
-     * @param {Function} target Function signature.
-     * @return {Array.<string>} List of parameter names.
+     * @param {string} path Path in dot notation.
+     * @return {Array.<string>} Lower cased words of the path.
      */
-    extractParameterNames(target) {
-        const captureGroups = [
-            // Matches class constructor arguments.
-            "^class .*?constructor\\((.*?)\\)",
+    splitConfigPath(path) {
+        return path
+            .split(".")
+            .flatMap(segment => segment.replace(/([a-z0-9])([A-Z])/g, "$1.$2").split("."))
+            .filter(word => word !== "")
+            .map(word => word.toLowerCase());
+    }
+
+    /**
+     * Determine if the identifier refers to a lazy binding.
+     *
+     * @private
+     * @param {?Identifier} identifier Binding identifier.
+     * @return {boolean} True if the binding is lazy.
+     */
+    isLazy(identifier) {
+        if (identifier === null) {
+            return false;
+        }
 
-            // Matches function arguments.
-            "^(?:async )?function.*?\\((.*?)\\)",
+        identifier = this.resolveIdentifier(identifier);
 
-            // Matches arrow function arguments within parentheses.
-            "^(?:async )?\\((.*?)\\) ?=>",
+        for (let container = this; container; container = container.parent) {
+            if (container.instances.has(identifier)) {
+                return false;
+            }
 
-            // Matches instance methods.
-            "^(?:async )?.*?\\((.*?)\\)",
+            if (container.bindings.has(identifier)) {
+                return container.bindings.get(identifier).lazy;
+            }
+        }
 
-            // Matches a single arrow function argument without any parentheses.
-            "^(?:async )?(.*?) ?=>"
-        ];
-        const parameterMatch = target.toString()
-            .match(new RegExp(captureGroups.join("|"), "ms"));
+        return false;
+    }
 
-        if (!parameterMatch) {
-            return [];
+    /**
+     * Find the contextual binding of a parameter.
+     *
+     * The bindings of the target are consulted before the bindings of the
+     * classes it inherits its constructor from. Bindings of a closer container
+     * take precedence over the ones of its parents.
+     *
+     * @private
+     * @param {InjectableParameter} parameter Parameter to find a binding for.
+     * @param {Function} target Function or class the parameter belongs to.
+     * @return {?{identifier: ?Identifier, factory: ?Function}} Contextual binding if any.
+     */
+    findContextualBinding({ name, identifier }, target) {
+        const containers = [];
+
+        for (let container = this; container; container = container.parent) {
+            if (container.contextualBindings.size > 0) {
+                containers.push(container);
+            }
         }
 
-        const parameterString = parameterMatch.slice(1)
-            .reduce((defaultValue, match) => match || defaultValue, "");
+        if (containers.length === 0) {
+            return null;
+        }
+
+        const needs = [name, identifier].filter(need => need !== null && need !== undefined);
+
+        for (const contextualTarget of this.findContextualTargets(target)) {
+            for (const container of containers) {
+                const bindings = container.contextualBindings.get(contextualTarget);
+                const need = needs.find(need => bindings?.has(need));
+
+                if (need !== undefined) {
+                    return bindings.get(need);
+                }
+            }
+        }
 
-        return parameterString
-            // Remove line comments.
-            .replace(/\/\/.*$/gm, "")
-            // Remove block comments.
-            .replace(/\/\*.*?\*\//gm, "")
-            // Remove whitespace.
-            .replace(/\s/gm, "")
-            // Remove any enclosing parentheses
-            .replace(/^\(|\)$/, "")
-            // Remove default values.
-            .replace(/=.*?(?=,|$)/g, "")
-            .split(",");
+        return null;
     }
 
     /**
-     * Resolve parameter values from the container.
+     * Find the targets whose contextual bindings apply to the parameters of a target.
      *
      * @private
-     * @param {Array.<string>} parameterNames List of parameter names to find values for.
-     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
-     * @return {Array.<*>} List of resolved values.
+     * @param {Function} target Function or class the parameters belong to.
+     * @return {Array.<Function>} The target followed by the classes it inherits its constructor from.
      */
-    resolveParameters(parameterNames, parameters) {
-        return parameterNames.map(name => this.resolveParameter(name, parameters));
+    findContextualTargets(target) {
+        const signature = this.firstExplicitConstructor(target);
+        const targets = [target];
+
+        for (let current = target; current !== signature;) {
+            current = Object.getPrototypeOf(current);
+            targets.push(current);
+        }
+
+        return targets;
     }
 
     /**
-     * Resolve parameter value from the container.
+     * Resolve the value of a parameter the container has no value for.
+     *
+     * Even if the parameter doesn't have a default value in the signature the
+     * parameter could still be assigned a value in the function/constructor
+     * itself. Therefore the parameter is left undefined unless the container
+     * is in strict mode. Rest parameters are always optional.
      *
      * @private
-     * @param {string} name Parameter name.
-     * @param {Object.<string, *>} parameters Named parameters who takes precedence.
-     * @return {*} Resolved value.
+     * @param {InjectableParameter} parameter Unresolvable parameter.
+     * @param {Function} target Function or class the parameter belongs to.
+     * @param {Array.<Identifier>} path Identifiers currently being resolved.
+     * @return {undefined} Nothing, letting any default value apply.
+     * @throws {UnresolvableParameterError} If the parameter has no default value in strict mode.
      */
-    resolveParameter(name, parameters) {
-        if (name in parameters) {
-            return parameters[name];
+    resolveUnresolvableParameter({ name, identifier, hasDefault, rest }, target, path) {
+        if (this.options.strict && !hasDefault && !rest) {
+            throw new UnresolvableParameterError(
+                describeIdentifier(name ?? identifier ?? "[destructured]"),
+                target,
+                path
+            );
         }
 
-        if (this.has(name)) {
-            return this.get(name);
+        return;
+    }
+
+    /**
+     * Determine if a value is given for the named parameter.
+     *
+     * @private
+     * @param {Object.<string, *>} parameters Named parameters.
+     * @param {?Identifier} name Parameter name.
+     * @return {boolean} True if a value is given for the parameter.
+     */
+    hasNamedParameter(parameters, name) {
+        return (typeof name === "string" || typeof name === "symbol") && name in parameters;
+    }
+
+    /**
+     * Turn a resolved parameter value into function arguments.
+     *
+     * A rest parameter receives each item of a resolved list as a separate
+     * argument while any other parameter receives exactly one argument.
+     *
+     * @private
+     * @param {InjectableParameter} parameter Resolved parameter.
+     * @param {*} value Resolved value.
+     * @return {Array.<*>} List of arguments.
+     */
+    spreadParameter({ rest }, value) {
+        if (!rest) {
+            return [value];
         }
 
-        // NOTE: Even if the parameter doesn't have a default value in the
-        //       signature the parameter could still be assigned a value in the
-        //       function/constructor itself. Therefore we probably shouldn't
-        //       throw an exception here.
-        //
-        //       This could perhaps be configured in the future if there's a
-        //       desire to be really strict about this. But for now it would
-        //       probably break a lot of existing libraries.
-        return;
+        return value === undefined ? [] : [].concat(value);
     }
 
     /**
      * Finds and returns the first explicit constructor in the prototype chain.
      *
+     * A constructor declaring injection metadata counts as explicit.
+     *
      * @private
      * @param {Function} constructor Constructor to start searching from.
      * @return {Function} First explicit constructor in the prototype chain.
@@ -324,7 +3544,10 @@ class Container {
         let parentConstructor = constructor;
 
         while (parentConstructor !== Object.getPrototypeOf(Object)) {
-            if (/^class .*?constructor\((.*?)\)/ms.test(parentConstructor.toString())) {
+            if (
+                this.findInjectMetadata(parentConstructor) ||
+                this.parameterParser.hasExplicitConstructor(parentConstructor)
+            ) {
                 return parentConstructor;
             }
 
@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Builder of bindings that only apply when resolving the parameters of given targets.
+ */
+class ContextualBindingBuilder {
+    /**
+     * Create a new contextual binding builder instance.
+     *
+     * @public
+     * @param {Array.<Function>} targets Functions or classes the binding applies to.
+     * @param {Function} register Function registering the binding for a target and a need.
+     */
+    constructor(targets, register) {
+        /**
+         * Functions or classes the binding applies to.
+         *
+         * @private
+         * @type {Array.<Function>}
+         */
+        this.targets = targets;
+
+        /**
+         * Function registering the binding for a target and a need.
+         *
+         * @private
+         * @type {Function}
+         */
+        this.register = register;
+
+        /**
+         * Parameter name or identifier the targets need.
+         *
+         * @private
+         * @type {?(string|symbol|Function|InjectionToken)}
+         */
+        this.need = null;
+    }
+
+    /**
+     * Declare which parameter the binding applies to.
+     *
+     * @public
+     * @param {(string|symbol|Function|InjectionToken)} need Parameter name or identifier the targets need.
+     * @return {ContextualBindingBuilder} Same builder instance.
+     */
+    needs(need) {
+        this.need = need;
+
+        return this;
+    }
+
+    /**
+     * Give the targets the object of another identifier.
+     *
+     * A lazy identifier gives the targets a lazy proxy for the object.
+     *
+     * @public
+     * @param {(string|symbol|Function|InjectionToken|LazyIdentifier)} identifier Identifier of the object to give.
+     * @throws {Error} If no need is declared.
+     */
+    give(identifier) {
+        this.bind({ identifier, factory: null });
+    }
+
+    /**
+     * Give the targets whatever the factory returns.
+     *
+     * The factory is invoked by the container every time a value is needed.
+     *
+     * @public
+     * @param {Function} factory Object factory.
+     * @throws {Error} If no need is declared.
+     */
+    giveFactory(factory) {
+        this.bind({ identifier: null, factory });
+    }
+
+    /**
+     * Register the binding for every target.
+     *
+     * @private
+     * @param {{identifier: ?(string|symbol|Function|InjectionToken|LazyIdentifier), factory: ?Function}} binding Binding definition.
+     * @throws {Error} If no need is declared.
+     */
+    bind(binding) {
+        if (this.need === null) {
+            throw new Error("Declare what the targets need before giving it");
+        }
+
+        for (const target of this.targets) {
+            this.register(target, this.need, binding);
+        }
+    }
+}
+
+export default ContextualBindingBuilder;
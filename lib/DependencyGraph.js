@@ -0,0 +1,326 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+import Lifetime from "./Lifetime.js";
+
+/**
+ * A dependency of a node in the graph.
+ *
+ * @typedef {Object} DependencyGraphDependency
+ * @property {(string|symbol|Function|InjectionToken)} identifier Identifier or tag the node depends on.
+ * @property {boolean} optional Whether the parameter has a default value or is a rest parameter.
+ * @property {boolean} lazy Whether the dependency is injected as a lazy proxy.
+ */
+
+/**
+ * A dependency that can't be resolved.
+ *
+ * @typedef {Object} MissingDependency
+ * @property {(string|symbol|Function|InjectionToken)} dependent Identifier of the node with the dependency.
+ * @property {(string|symbol|Function|InjectionToken)} identifier Identifier that can't be resolved.
+ */
+
+/**
+ * A shared object depending on an object that is meant to live shorter.
+ *
+ * @typedef {Object} CaptiveDependency
+ * @property {(string|symbol|Function|InjectionToken)} dependent Identifier of the singleton.
+ * @property {(string|symbol|Function|InjectionToken)} identifier Identifier of the shorter lived dependency.
+ * @property {string} lifetime Lifetime of the dependency.
+ */
+
+/**
+ * An identifier known to the container.
+ *
+ * @typedef {Object} DependencyGraphNode
+ * @property {(string|symbol|Function|InjectionToken)} identifier Original binding identifier.
+ * @property {string} kind Either instance, constructor, factory, multi or deferred.
+ * @property {?string} lifetime Binding lifetime, null for instances and deferred identifiers.
+ * @property {Array.<(string|symbol|Function|InjectionToken)>} aliases Aliases of the identifier.
+ * @property {Array.<(string|symbol)>} tags Tags of the identifier.
+ * @property {Array.<DependencyGraphDependency>} dependencies Dependencies of the constructor or factory.
+ */
+
+/**
+ * A snapshot of the bindings in a container and how they depend on each other.
+ *
+ * A dependency is resolved by a binding if there is a node for its
+ * identifier, otherwise by a tag if any node has the tag. Anything else is
+ * missing unless the dependency is optional.
+ */
+class DependencyGraph {
+    /**
+     * Create a new dependency graph instance.
+     *
+     * @public
+     * @param {Array.<DependencyGraphNode>} nodes Identifiers known to the container.
+     */
+    constructor(nodes) {
+        /**
+         * Identifiers known to the container.
+         *
+         * @public
+         * @type {Array.<DependencyGraphNode>}
+         */
+        this.nodes = nodes;
+    }
+
+    /**
+     * Find the dependencies that can't be resolved.
+     *
+     * @public
+     * @return {Array.<MissingDependency>} Missing dependencies.
+     */
+    findMissingDependencies() {
+        return this.nodes.flatMap(node => node.dependencies
+            .filter(dependency => !dependency.optional && this.resolveDependency(dependency) === null)
+            .map(({ identifier }) => ({ dependent: node.identifier, identifier })));
+    }
+
+    /**
+     * Find the cycles among the dependencies.
+     *
+     * Lazy dependencies break cycles since they aren't resolved until they
+     * are used. Each cycle is reported once, starting and ending with the
+     * first of its identifiers in the graph.
+     *
+     * @public
+     * @return {Array.<Array.<(string|symbol|Function|InjectionToken)>>} Identifiers forming each cycle.
+     */
+    findCircularDependencies() {
+        const cycles = new Map();
+        const visited = new Set();
+        const visit = (node, path) => {
+            if (path.includes(node)) {
+                const cycle = path.slice(path.indexOf(node)).map(pathNode => this.nodes.indexOf(pathNode));
+                const start = cycle.indexOf(Math.min(...cycle));
+                const rotatedCycle = [...cycle.slice(start), ...cycle.slice(0, start)];
+
+                cycles.set(rotatedCycle.join(), [...rotatedCycle, rotatedCycle[0]]);
+
+                return;
+            }
+
+            if (visited.has(node)) {
+                return;
+            }
+
+            for (const dependency of node.dependencies.filter(({ lazy }) => !lazy)) {
+                for (const dependencyNode of this.findDependencyNodes(dependency)) {
+                    visit(dependencyNode, [...path, node]);
+                }
+            }
+
+            visited.add(node);
+        };
+
+        for (const node of this.nodes) {
+            visit(node, []);
+        }
+
+        return [...cycles.values()].map(cycle => cycle.map(index => this.nodes[index].identifier));
+    }
+
+    /**
+     * Find singletons depending on transient or scoped objects.
+     *
+     * A singleton holds on to its dependencies for as long as it lives, which
+     * means a shorter lived dependency would be shared anyway. The entries of
+     * a multi binding count as dependencies of their own.
+     *
+     * @public
+     * @return {Array.<CaptiveDependency>} Captive dependencies.
+     */
+    findCaptiveDependencies() {
+        return this.nodes
+            .filter(({ lifetime }) => lifetime === Lifetime.SINGLETON)
+            .flatMap(node => node.dependencies.flatMap(
+                dependency => this.findDependencyNodes(dependency)
+                    .flatMap(dependencyNode => dependencyNode.kind === "multi" ?
+                        dependencyNode.dependencies.flatMap(entry => this.findDependencyNodes(entry)) :
+                        [dependencyNode])
+                    .filter(({ lifetime }) => [Lifetime.TRANSIENT, Lifetime.SCOPED].includes(lifetime))
+                    .map(({ identifier, lifetime }) => ({ dependent: node.identifier, identifier, lifetime }))
+            ));
+    }
+
+    /**
+     * Find the identifiers no other binding depends on.
+     *
+     * These are either entry points resolved directly from the container or
+     * bindings that aren't used at all.
+     *
+     * @public
+     * @return {Array.<(string|symbol|Function|InjectionToken)>} Identifiers without dependents.
+     */
+    findUnusedIdentifiers() {
+        const used = new Set(
+            this.nodes.flatMap(({ dependencies }) => dependencies.flatMap(
+                dependency => this.findDependencyNodes(dependency).map(({ identifier }) => identifier)
+            ))
+        );
+
+        return this.nodes.map(({ identifier }) => identifier).filter(identifier => !used.has(identifier));
+    }
+
+    /**
+     * Create a serializable representation of the graph.
+     *
+     * Identifiers and tags are described as strings since symbols and
+     * classes can't be serialized.
+     *
+     * @public
+     * @return {{nodes: Array.<Object>}} Serializable representation of the graph.
+     */
+    toJSON() {
+        return {
+            nodes: this.nodes.map(node => ({
+                identifier: describeIdentifier(node.identifier),
+                kind: node.kind,
+                lifetime: node.lifetime,
+                aliases: node.aliases.map(describeIdentifier),
+                tags: node.tags.map(describeIdentifier),
+                dependencies: node.dependencies.map(dependency => ({
+                    identifier: describeIdentifier(dependency.identifier),
+                    optional: dependency.optional,
+                    lazy: dependency.lazy,
+                    resolvedBy: this.resolveDependency(dependency)
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Create a Graphviz DOT representation of the graph.
+     *
+     * Lazy dependencies are drawn dashed, dependencies resolved by a tag are
+     * labeled with the tag and missing dependencies are drawn in red.
+     * Optional dependencies that can't be resolved are left out.
+     *
+     * @public
+     * @return {string} DOT representation of the graph.
+     */
+    toDot() {
+        const nodeIds = new Map(this.nodes.map(({ identifier }, index) => [identifier, `n${index}`]));
+        const missingIds = new Map(
+            [...new Set(this.findMissingDependencies().map(({ identifier }) => identifier))]
+                .map((identifier, index) => [identifier, `m${index}`])
+        );
+        const lines = [];
+
+        for (const node of this.nodes) {
+            lines.push(`${nodeIds.get(node.identifier)} [label=${this.quote(this.describeNode(node))}];`);
+        }
+
+        for (const [identifier, id] of missingIds) {
+            lines.push(`${id} [label=${this.quote(describeIdentifier(identifier))}, color=red, fontcolor=red];`);
+        }
+
+        for (const node of this.nodes) {
+            for (const dependency of node.dependencies) {
+                const resolvedBy = this.resolveDependency(dependency);
+                const targetIds = resolvedBy === null ?
+                    (dependency.optional ? [] : [missingIds.get(dependency.identifier)]) :
+                    this.findDependencyNodes(dependency).map(({ identifier }) => nodeIds.get(identifier));
+
+                for (const targetId of targetIds) {
+                    lines.push(`${nodeIds.get(node.identifier)} -> ${targetId}${this.describeEdge(dependency)};`);
+                }
+            }
+        }
+
+        return ["digraph container {", ...lines.map(line => `    ${line}`), "}"].join("\n");
+    }
+
+    /**
+     * Determine how a dependency is resolved.
+     *
+     * @private
+     * @param {DependencyGraphDependency} dependency Dependency to resolve.
+     * @return {?string} Either binding or tag, null if the dependency can't be resolved.
+     */
+    resolveDependency({ identifier }) {
+        if (this.nodes.some(node => node.identifier === identifier)) {
+            return "binding";
+        }
+
+        if (this.nodes.some(({ tags }) => tags.includes(identifier))) {
+            return "tag";
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the nodes resolving a dependency.
+     *
+     * @private
+     * @param {DependencyGraphDependency} dependency Dependency to resolve.
+     * @return {Array.<DependencyGraphNode>} Nodes resolving the dependency.
+     */
+    findDependencyNodes(dependency) {
+        const resolvedBy = this.resolveDependency(dependency);
+
+        if (resolvedBy === "binding") {
+            return this.nodes.filter(({ identifier }) => identifier === dependency.identifier);
+        }
+
+        if (resolvedBy === "tag") {
+            return this.nodes.filter(({ tags }) => tags.includes(dependency.identifier));
+        }
+
+        return [];
+    }
+
+    /**
+     * Describe a node for a DOT label.
+     *
+     * @private
+     * @param {DependencyGraphNode} node Node to describe.
+     * @return {string} Description of the node.
+     */
+    describeNode({ identifier, kind, lifetime, aliases, tags }) {
+        return [
+            describeIdentifier(identifier),
+            [kind, lifetime].filter(Boolean).join(", "),
+            ...(aliases.length > 0 ? [`aliases: ${aliases.map(describeIdentifier).join(", ")}`] : []),
+            ...(tags.length > 0 ? [`tags: ${tags.map(describeIdentifier).join(", ")}`] : [])
+        ].join("\n");
+    }
+
+    /**
+     * Describe the attributes of a DOT edge.
+     *
+     * @private
+     * @param {DependencyGraphDependency} dependency Dependency the edge represents.
+     * @return {string} Edge attributes, empty if there are none.
+     */
+    describeEdge(dependency) {
+        const resolvedBy = this.resolveDependency(dependency);
+        const attributes = [
+            ...(dependency.lazy ? ["style=dashed"] : []),
+            ...(resolvedBy === "tag" ? [`label=${this.quote(describeIdentifier(dependency.identifier))}`] : []),
+            ...(resolvedBy === null ? ["color=red"] : [])
+        ];
+
+        return attributes.length > 0 ? ` [${attributes.join(", ")}]` : "";
+    }
+
+    /**
+     * Quote a string for use in DOT.
+     *
+     * @private
+     * @param {string} value String to quote.
+     * @return {string} Quoted string.
+     */
+    quote(value) {
+        return `"${value.replace(/["\\]/g, "\\$&").replace(/\n/g, "\\n")}"`;
+    }
+}
+
+export default DependencyGraph;
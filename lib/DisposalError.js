@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * Error thrown when one or more objects fail to be disposed.
+ */
+class DisposalError extends Error {
+    /**
+     * Create a new disposal error instance.
+     *
+     * @public
+     * @param {Array.<Error>} errors Errors thrown while disposing the objects.
+     * @param {Array.<(string|symbol|Function|InjectionToken)>} identifiers Identifiers of the objects that failed to be disposed.
+     */
+    constructor(errors, identifiers) {
+        super(`Unable to dispose ${identifiers.map(describeIdentifier).join(", ")}`);
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "DisposalError";
+
+        /**
+         * Errors thrown while disposing the objects.
+         *
+         * @public
+         * @type {Array.<Error>}
+         */
+        this.errors = errors;
+
+        /**
+         * Identifiers of the objects that failed to be disposed.
+         *
+         * @public
+         * @type {Array.<(string|symbol|Function|InjectionToken)>}
+         */
+        this.identifiers = identifiers;
+    }
+}
+
+export default DisposalError;
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A configuration source reading values from environment variables.
+ *
+ * A path given as a list of words, e.g. ["db", "max", "connections"], is
+ * read from the upper snake cased variable with the given prefix, e.g.
+ * APP_DB_MAX_CONNECTIONS. The prefix is required since parameters without a
+ * binding are filled from the configuration, which would otherwise inject
+ * variables like PATH or HOME into any parameter named path or home. An
+ * empty prefix has to be given explicitly to read every variable. Values are
+ * coerced to booleans, numbers, null or JSON unless coercion is turned off.
+ * Numbers are only coerced if they convert back to the same string, which
+ * keeps values like 02134 or numbers beyond the safe integer range as
+ * strings.
+ */
+class EnvironmentConfigSource {
+    /**
+     * Create a new environment configuration source instance.
+     *
+     * @public
+     * @param {?Object.<string, string>} environment Environment variables.
+     * @param {{prefix: string, coerce: ?boolean}} options Prefix of the variables and whether to coerce values.
+     * @throws {Error} If no prefix is given.
+     */
+    constructor(environment = process.env, { prefix, coerce = true } = {}) {
+        if (typeof prefix !== "string") {
+            throw new Error("Missing prefix of the environment variables, give an empty prefix to read every variable");
+        }
+
+        /**
+         * Environment variables.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.environment = environment;
+
+        /**
+         * Prefix of the variables.
+         *
+         * @private
+         * @type {string}
+         */
+        this.prefix = prefix;
+
+        /**
+         * Whether to coerce values.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.coerce = coerce;
+    }
+
+    /**
+     * Look up a configuration value.
+     *
+     * @public
+     * @param {Array.<string>} words Words forming the path of the value.
+     * @return {?{value: *}} The value if found.
+     */
+    lookup(words) {
+        const name = this.prefix + words.map(word => word.toUpperCase()).join("_");
+
+        if (!Object.prototype.hasOwnProperty.call(this.environment, name)) {
+            return null;
+        }
+
+        return { value: this.coerce ? this.coerceValue(this.environment[name]) : this.environment[name] };
+    }
+
+    /**
+     * Coerce an environment variable to the type it represents.
+     *
+     * @private
+     * @param {string} value Environment variable value.
+     * @return {*} Coerced value.
+     */
+    coerceValue(value) {
+        const trimmedValue = value.trim();
+
+        if (["true", "false"].includes(trimmedValue.toLowerCase())) {
+            return trimmedValue.toLowerCase() === "true";
+        }
+
+        if (trimmedValue === "null") {
+            return null;
+        }
+
+        if (/^-?(\d+|\d*\.\d+)$/.test(trimmedValue) && String(Number(trimmedValue)) === trimmedValue) {
+            return Number(trimmedValue);
+        }
+
+        if (/^[[{]/.test(trimmedValue)) {
+            try {
+                return JSON.parse(trimmedValue);
+            } catch (error) {
+                return value;
+            }
+        }
+
+        return value;
+    }
+}
+
+export default EnvironmentConfigSource;
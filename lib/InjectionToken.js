@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A unique identifier of an object within a container.
+ *
+ * Tokens are compared by reference, which means two tokens never collide even
+ * if they share a description. This makes them a good fit for identifying
+ * objects that aren't represented by a class, e.g. configuration values.
+ */
+class InjectionToken {
+    /**
+     * Create a new injection token instance.
+     *
+     * @public
+     * @param {string} description Description of the identified object.
+     */
+    constructor(description) {
+        /**
+         * Description of the identified object.
+         *
+         * @public
+         * @type {string}
+         */
+        this.description = description;
+    }
+
+    /**
+     * Create a string representation of the token.
+     *
+     * @public
+     * @return {string} String representation of the token.
+     */
+    toString() {
+        return `InjectionToken(${this.description})`;
+    }
+}
+
+export default InjectionToken;
@@ -0,0 +1,45 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * An identifier to inject as a lazy proxy.
+ *
+ * The object isn't resolved until the proxy is first used, which defers
+ * expensive dependencies and breaks cycles between objects that only use
+ * each other after they are created.
+ */
+class LazyIdentifier {
+    /**
+     * Create a new lazy identifier instance.
+     *
+     * @public
+     * @param {(string|symbol|Function|InjectionToken)} identifier Identifier of the object.
+     */
+    constructor(identifier) {
+        /**
+         * Identifier of the object.
+         *
+         * @public
+         * @type {(string|symbol|Function|InjectionToken)}
+         */
+        this.identifier = identifier;
+    }
+
+    /**
+     * Create a string representation of the lazy identifier.
+     *
+     * @public
+     * @return {string} String representation of the lazy identifier.
+     */
+    toString() {
+        return `Lazy(${describeIdentifier(this.identifier)})`;
+    }
+}
+
+export default LazyIdentifier;
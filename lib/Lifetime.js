@@ -0,0 +1,26 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Available binding lifetimes.
+ *
+ * A transient binding creates a new object every time it is resolved. A
+ * singleton binding creates one object that is shared by the container it was
+ * registered in and all of its children. A scoped binding creates one object
+ * for each container it is resolved from, which makes it possible to share
+ * state within a child container without sharing it with its siblings.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const Lifetime = Object.freeze({
+    TRANSIENT: "transient",
+    SINGLETON: "singleton",
+    SCOPED: "scoped"
+});
+
+export default Lifetime;
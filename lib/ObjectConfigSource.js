@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A configuration source reading values from a nested object.
+ *
+ * A path is given as a list of words, e.g. ["db", "max", "connections"],
+ * and may match camel cased keys at any level of nesting, e.g.
+ * db.maxConnections or dbMaxConnections. Longer keys are preferred.
+ */
+class ObjectConfigSource {
+    /**
+     * Create a new object configuration source instance.
+     *
+     * @public
+     * @param {Object} values Nested configuration values.
+     */
+    constructor(values) {
+        /**
+         * Nested configuration values.
+         *
+         * @private
+         * @type {Object}
+         */
+        this.values = values;
+    }
+
+    /**
+     * Look up a configuration value.
+     *
+     * @public
+     * @param {Array.<string>} words Words forming the path of the value.
+     * @return {?{value: *}} The value if found.
+     */
+    lookup(words) {
+        return this.lookupIn(this.values, words);
+    }
+
+    /**
+     * Look up a configuration value in a nested object.
+     *
+     * @private
+     * @param {*} values Nested configuration values.
+     * @param {Array.<string>} words Words forming the path of the value.
+     * @return {?{value: *}} The value if found.
+     */
+    lookupIn(values, words) {
+        if (typeof values !== "object" || values === null) {
+            return null;
+        }
+
+        for (let count = words.length; count > 0; count--) {
+            const key = words.slice(0, count)
+                .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+                .join("");
+
+            if (!Object.prototype.hasOwnProperty.call(values, key)) {
+                continue;
+            }
+
+            const result = count === words.length ?
+                { value: values[key] } :
+                this.lookupIn(values[key], words.slice(count));
+
+            if (result) {
+                return result;
+            }
+        }
+
+        return null;
+    }
+}
+
+export default ObjectConfigSource;
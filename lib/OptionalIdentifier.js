@@ -0,0 +1,44 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * An identifier that may be left unresolved.
+ *
+ * A parameter or property marked as optional is left without a value rather
+ * than failing in strict mode when the container has nothing to inject.
+ */
+class OptionalIdentifier {
+    /**
+     * Create a new optional identifier instance.
+     *
+     * @public
+     * @param {(string|symbol|Function|InjectionToken|LazyIdentifier)} identifier Identifier of the object.
+     */
+    constructor(identifier) {
+        /**
+         * Identifier of the object.
+         *
+         * @public
+         * @type {(string|symbol|Function|InjectionToken|LazyIdentifier)}
+         */
+        this.identifier = identifier;
+    }
+
+    /**
+     * Create a string representation of the optional identifier.
+     *
+     * @public
+     * @return {string} String representation of the optional identifier.
+     */
+    toString() {
+        return `Optional(${describeIdentifier(this.identifier)})`;
+    }
+}
+
+export default OptionalIdentifier;
@@ -0,0 +1,531 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const IDENTIFIER_START = /[\p{ID_Start}$_\\\uD800-\uDFFF]/u;
+const IDENTIFIER_PART = /[\p{ID_Continue}$\\\u200C\u200D\uD800-\uDFFF]/u;
+const PUNCTUATORS = ["...", "=>", "?."];
+const OPENING_PUNCTUATORS = ["(", "[", "{"];
+const CLOSING_PUNCTUATORS = [")", "]", "}"];
+const KEYWORDS_PRECEDING_EXPRESSIONS = [
+    "await",
+    "case",
+    "delete",
+    "do",
+    "else",
+    "in",
+    "instanceof",
+    "new",
+    "of",
+    "return",
+    "throw",
+    "typeof",
+    "void",
+    "yield"
+];
+const CONSTRUCTOR_MODIFIERS = [".", "?.", "#", "*", "async", "get", "set", "static"];
+
+/**
+ * A parameter in a function signature.
+ *
+ * @typedef {Object} Parameter
+ * @property {?string} name Parameter name, null if the parameter is destructured.
+ * @property {boolean} hasDefault Whether the parameter has a default value.
+ * @property {boolean} rest Whether the parameter is a rest parameter.
+ * @property {boolean} destructured Whether the parameter is destructured.
+ * @property {?Array.<{name: string, hasDefault: boolean}>} properties Properties of a destructured object.
+ */
+
+/**
+ * A parser extracting parameters from function signatures.
+ *
+ * The source of the function is split into tokens, skipping comments, string
+ * literals, template literals and regular expressions, which makes it
+ * possible to find the parameter list no matter what the default values or
+ * the class body contain. Results are cached per function since the source
+ * of a function never changes.
+ */
+class ParameterParser {
+    /**
+     * Create a new parameter parser instance.
+     *
+     * @public
+     */
+    constructor() {
+        /**
+         * Parsed parameters by function.
+         *
+         * @private
+         * @type {WeakMap.<Function, Array.<Parameter>>}
+         */
+        this.parameterLists = new WeakMap();
+
+        /**
+         * Whether each function declares its own constructor.
+         *
+         * @private
+         * @type {WeakMap.<Function, boolean>}
+         */
+        this.explicitConstructors = new WeakMap();
+    }
+
+    /**
+     * Parse the parameters in the target signature.
+     *
+     * Classes are parsed from their explicit constructor. A class without an
+     * explicit constructor has no parameters of its own. The same list is
+     * returned every time the target is parsed and must not be modified.
+     *
+     * @public
+     * @param {Function} target Function signature.
+     * @return {Array.<Parameter>} List of parameters.
+     */
+    parse(target) {
+        if (!this.parameterLists.has(target)) {
+            const tokens = this.tokenize(target.toString());
+            const parameterList = this.findParameterList(tokens);
+
+            this.parameterLists.set(
+                target,
+                parameterList ? this.parseParameterList(tokens.slice(parameterList.start, parameterList.end)) : []
+            );
+        }
+
+        return this.parameterLists.get(target);
+    }
+
+    /**
+     * Determine if the target declares its own constructor.
+     *
+     * A class only declares its own constructor if the class body contains
+     * one. Any other function is its own constructor.
+     *
+     * @public
+     * @param {Function} target Constructor to inspect.
+     * @return {boolean} True if the target declares its own constructor.
+     */
+    hasExplicitConstructor(target) {
+        if (!this.explicitConstructors.has(target)) {
+            const tokens = this.tokenize(target.toString());
+
+            this.explicitConstructors.set(target, !this.isClass(tokens) || this.findConstructor(tokens) !== -1);
+        }
+
+        return this.explicitConstructors.get(target);
+    }
+
+    /**
+     * Split source code into tokens.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @return {Array.<{type: string, value: string}>} List of tokens.
+     */
+    tokenize(source) {
+        const tokens = [];
+
+        this.scan(source, 0, tokens, false);
+
+        return tokens;
+    }
+
+    /**
+     * Scan source code for tokens.
+     *
+     * When scanning a template literal substitution the scan stops at the
+     * closing brace of the substitution.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @param {number} index Position to start scanning from.
+     * @param {Array.<{type: string, value: string}>} tokens List to add the tokens to.
+     * @param {boolean} substitution Whether a template literal substitution is being scanned.
+     * @return {number} Position where the scan stopped.
+     */
+    scan(source, index, tokens, substitution) {
+        let depth = 0;
+
+        while (index < source.length) {
+            const character = source[index];
+
+            if (/\s/.test(character)) {
+                index++;
+            } else if (source.startsWith("//", index)) {
+                const end = source.indexOf("\n", index);
+
+                index = end === -1 ? source.length : end + 1;
+            } else if (source.startsWith("/*", index)) {
+                const end = source.indexOf("*/", index + 2);
+
+                index = end === -1 ? source.length : end + 2;
+            } else if (character === "\"" || character === "'") {
+                index = this.addToken(tokens, "string", source, index, this.scanString(source, index));
+            } else if (character === "`") {
+                index = this.addToken(tokens, "template", source, index, this.scanTemplate(source, index));
+            } else if (character === "/" && this.precedesExpression(tokens[tokens.length - 1])) {
+                index = this.addToken(tokens, "regexp", source, index, this.scanRegExp(source, index));
+            } else if (IDENTIFIER_START.test(character)) {
+                const end = this.scanWhile(source, index, IDENTIFIER_PART);
+
+                index = this.addToken(tokens, "identifier", source, index, end);
+            } else if (/\d/.test(character) || (character === "." && /\d/.test(source[index + 1]))) {
+                index = this.addToken(tokens, "number", source, index, this.scanWhile(source, index, /[\w.]/));
+            } else {
+                const punctuator = PUNCTUATORS.find(punctuator => source.startsWith(punctuator, index)) ?? character;
+
+                if (substitution && punctuator === "{") {
+                    depth++;
+                } else if (substitution && punctuator === "}" && depth-- === 0) {
+                    return index;
+                }
+
+                index = this.addToken(tokens, "punctuator", source, index, index + punctuator.length);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Add a token to the list of tokens.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens List of tokens.
+     * @param {string} type Token type.
+     * @param {string} source Source code.
+     * @param {number} start Position where the token starts.
+     * @param {number} end Position where the token ends.
+     * @return {number} Position where the token ends.
+     */
+    addToken(tokens, type, source, start, end) {
+        tokens.push({ type, value: source.slice(start, end) });
+
+        return end;
+    }
+
+    /**
+     * Find the end of a string literal.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @param {number} index Position of the opening quote.
+     * @return {number} Position after the closing quote.
+     */
+    scanString(source, index) {
+        const quote = source[index];
+
+        for (index++; index < source.length; index++) {
+            if (source[index] === "\\") {
+                index++;
+            } else if (source[index] === quote) {
+                return index + 1;
+            }
+        }
+
+        return source.length;
+    }
+
+    /**
+     * Find the end of a template literal.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @param {number} index Position of the opening backtick.
+     * @return {number} Position after the closing backtick.
+     */
+    scanTemplate(source, index) {
+        for (index++; index < source.length; index++) {
+            if (source[index] === "\\") {
+                index++;
+            } else if (source[index] === "`") {
+                return index + 1;
+            } else if (source.startsWith("${", index)) {
+                index = this.scan(source, index + 2, [], true);
+            }
+        }
+
+        return source.length;
+    }
+
+    /**
+     * Find the end of a regular expression literal.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @param {number} index Position of the opening slash.
+     * @return {number} Position after the flags.
+     */
+    scanRegExp(source, index) {
+        let characterClass = false;
+
+        for (index++; index < source.length && source[index] !== "\n"; index++) {
+            if (source[index] === "\\") {
+                index++;
+            } else if (source[index] === "[") {
+                characterClass = true;
+            } else if (source[index] === "]") {
+                characterClass = false;
+            } else if (source[index] === "/" && !characterClass) {
+                return this.scanWhile(source, index + 1, /\w/);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Find the end of a sequence of characters matching a pattern.
+     *
+     * @private
+     * @param {string} source Source code.
+     * @param {number} index Position of the first character in the sequence.
+     * @param {RegExp} pattern Pattern every character in the sequence matches.
+     * @return {number} Position after the sequence.
+     */
+    scanWhile(source, index, pattern) {
+        for (index++; index < source.length && pattern.test(source[index]); index++);
+
+        return index;
+    }
+
+    /**
+     * Determine if the token is followed by an expression rather than an operator.
+     *
+     * This is what tells a regular expression apart from a division.
+     *
+     * @private
+     * @param {?{type: string, value: string}} token Previous token.
+     * @return {boolean} True if an expression is expected after the token.
+     */
+    precedesExpression(token) {
+        if (!token) {
+            return true;
+        }
+
+        if (token.type === "identifier") {
+            return KEYWORDS_PRECEDING_EXPRESSIONS.includes(token.value);
+        }
+
+        return token.type === "punctuator" && !CLOSING_PUNCTUATORS.includes(token.value);
+    }
+
+    /**
+     * Determine if the tokens make up a class.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Function tokens.
+     * @return {boolean} True if the tokens make up a class.
+     */
+    isClass([first, second]) {
+        return first?.type === "identifier" && first.value === "class" && second?.value !== "(";
+    }
+
+    /**
+     * Find the range of tokens making up the parameter list.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Function tokens.
+     * @return {?{start: number, end: number}} Range of the parameter list if found.
+     */
+    findParameterList(tokens) {
+        if (this.isClass(tokens)) {
+            const index = this.findConstructor(tokens);
+
+            return index === -1 ? null : this.findEnclosedRange(tokens, index + 1);
+        }
+
+        const [first, second, third] = tokens;
+
+        if (first?.type === "identifier" && second?.value === "=>") {
+            return { start: 0, end: 1 };
+        }
+
+        if (first?.value === "async" && second?.type === "identifier" && third?.value === "=>") {
+            return { start: 1, end: 2 };
+        }
+
+        const index = this.findAtDepth(tokens, 0, "(");
+
+        return index === -1 ? null : this.findEnclosedRange(tokens, index);
+    }
+
+    /**
+     * Find the position of the explicit constructor in the tokens of a class.
+     *
+     * Only the members of the class body are inspected which means that
+     * anything found in field initializers, methods or static blocks is
+     * ignored.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Class tokens.
+     * @return {number} Position of the constructor name or -1 if not found.
+     */
+    findConstructor(tokens) {
+        const body = this.findAtDepth(tokens, 1, "{");
+        let depth = 0;
+
+        for (let index = body + 1; body !== -1 && index < tokens.length; index++) {
+            const { type, value } = tokens[index];
+
+            if (type === "punctuator" && OPENING_PUNCTUATORS.includes(value)) {
+                depth++;
+            } else if (type === "punctuator" && CLOSING_PUNCTUATORS.includes(value) && depth-- === 0) {
+                break;
+            } else if (depth === 0 && this.isConstructor(tokens, index)) {
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Determine if the token at the given position names the constructor of a class.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Class tokens.
+     * @param {number} index Position of the token.
+     * @return {boolean} True if the token names the constructor.
+     */
+    isConstructor(tokens, index) {
+        const { type, value } = tokens[index];
+        const isName = (type === "identifier" && value === "constructor") ||
+                       (type === "string" && value.slice(1, -1) === "constructor");
+
+        return isName &&
+               tokens[index + 1]?.value === "(" &&
+               !CONSTRUCTOR_MODIFIERS.includes(tokens[index - 1].value);
+    }
+
+    /**
+     * Find the first punctuator at the given nesting depth.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens List of tokens.
+     * @param {number} start Position to start searching from.
+     * @param {string} punctuator Punctuator to find.
+     * @return {number} Position of the punctuator or -1 if not found.
+     */
+    findAtDepth(tokens, start, punctuator) {
+        let depth = 0;
+
+        for (let index = start; index < tokens.length; index++) {
+            const { type, value } = tokens[index];
+
+            if (type !== "punctuator") {
+                continue;
+            }
+
+            if (depth === 0 && value === punctuator) {
+                return index;
+            }
+
+            if (OPENING_PUNCTUATORS.includes(value)) {
+                depth++;
+            } else if (CLOSING_PUNCTUATORS.includes(value)) {
+                depth--;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Find the range of tokens enclosed by the punctuator at the given position.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens List of tokens.
+     * @param {number} index Position of the opening punctuator.
+     * @return {{start: number, end: number}} Range of the enclosed tokens.
+     */
+    findEnclosedRange(tokens, index) {
+        const closing = CLOSING_PUNCTUATORS[OPENING_PUNCTUATORS.indexOf(tokens[index].value)];
+        const end = this.findAtDepth(tokens, index + 1, closing);
+
+        return { start: index + 1, end: end === -1 ? tokens.length : end };
+    }
+
+    /**
+     * Split tokens on commas that aren't nested within any brackets.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens List of tokens.
+     * @return {Array.<Array.<{type: string, value: string}>>} List of non-empty token groups.
+     */
+    splitOnCommas(tokens) {
+        const groups = [];
+        let start = 0;
+        let end;
+
+        while ((end = this.findAtDepth(tokens, start, ",")) !== -1) {
+            groups.push(tokens.slice(start, end));
+            start = end + 1;
+        }
+
+        groups.push(tokens.slice(start));
+
+        return groups.filter(group => group.length > 0);
+    }
+
+    /**
+     * Parse the tokens of a parameter list.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Parameter list tokens.
+     * @return {Array.<Parameter>} List of parameters.
+     */
+    parseParameterList(tokens) {
+        return this.splitOnCommas(tokens).map(parameter => this.parseParameter(parameter));
+    }
+
+    /**
+     * Parse the tokens of a single parameter.
+     *
+     * Destructured parameters have no name. The properties of destructured
+     * objects are listed instead.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Parameter tokens.
+     * @return {Parameter} Parameter.
+     */
+    parseParameter(tokens) {
+        const rest = tokens[0].value === "...";
+        const target = rest ? 1 : 0;
+        const destructured = ["{", "["].includes(tokens[target]?.value);
+        const pattern = destructured ? this.findEnclosedRange(tokens, target) : null;
+
+        return {
+            name: destructured ? null : tokens[target]?.value ?? null,
+            hasDefault: tokens[destructured ? pattern.end + 1 : target + 1]?.value === "=",
+            rest,
+            destructured,
+            properties: tokens[target].value === "{" ?
+                this.parseObjectPattern(tokens.slice(pattern.start, pattern.end)) :
+                null
+        };
+    }
+
+    /**
+     * Parse the tokens of an object destructuring pattern.
+     *
+     * Computed property names and rest properties can't be resolved by name
+     * and are left out.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} tokens Object pattern tokens.
+     * @return {Array.<{name: string, hasDefault: boolean}>} List of destructured properties.
+     */
+    parseObjectPattern(tokens) {
+        return this.splitOnCommas(tokens)
+            .filter(([key]) => key.type !== "punctuator")
+            .map(property => ({
+                name: property[0].type === "string" ? property[0].value.slice(1, -1) : property[0].value,
+                hasDefault: this.findAtDepth(property, 0, "=") !== -1
+            }));
+    }
+}
+
+export default ParameterParser;
@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * Error thrown when a resolution hook fails.
+ */
+class ResolutionHookError extends Error {
+    /**
+     * Create a new resolution hook error instance.
+     *
+     * @public
+     * @param {(string|symbol|Function|InjectionToken)} identifier Identifier that triggered the hook.
+     * @param {*} cause Error thrown by the hook.
+     */
+    constructor(identifier, cause) {
+        super(`Resolution hook failed for ${describeIdentifier(identifier)}: ${cause?.message ?? cause}`);
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "ResolutionHookError";
+
+        /**
+         * Identifier that triggered the hook.
+         *
+         * @public
+         * @type {(string|symbol|Function|InjectionToken)}
+         */
+        this.identifier = identifier;
+
+        /**
+         * Error thrown by the hook.
+         *
+         * @public
+         * @type {*}
+         */
+        this.cause = cause;
+    }
+}
+
+export default ResolutionHookError;
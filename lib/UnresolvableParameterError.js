@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import describeIdentifier from "./describeIdentifier.js";
+
+/**
+ * Error thrown when a required parameter can't be resolved in strict mode.
+ */
+class UnresolvableParameterError extends Error {
+    /**
+     * Create a new unresolvable parameter error instance.
+     *
+     * @public
+     * @param {string} parameter Name of the unresolvable parameter.
+     * @param {Function} target Function or class the parameter belongs to.
+     * @param {Array.<(string|symbol|Function|InjectionToken)>} path Identifiers being resolved when the error occurred.
+     */
+    constructor(parameter, target, path) {
+        super(
+            `Unable to resolve parameter "${parameter}" of ${describeIdentifier(target)}` +
+            (path.length > 0 ? ` while resolving ${path.map(describeIdentifier).join(" -> ")}` : "")
+        );
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "UnresolvableParameterError";
+
+        /**
+         * Name of the unresolvable parameter.
+         *
+         * @public
+         * @type {string}
+         */
+        this.parameter = parameter;
+
+        /**
+         * Function or class the parameter belongs to.
+         *
+         * @public
+         * @type {Function}
+         */
+        this.target = target;
+
+        /**
+         * Identifiers being resolved when the error occurred.
+         *
+         * @public
+         * @type {Array.<(string|symbol|Function|InjectionToken)>}
+         */
+        this.path = path;
+    }
+}
+
+export default UnresolvableParameterError;
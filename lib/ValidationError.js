@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A problem found while validating a container.
+ *
+ * @typedef {Object} ValidationProblem
+ * @property {string} type Either missingDependency, danglingAlias, circularDependency or captiveDependency.
+ * @property {(string|symbol|Function|InjectionToken)} identifier Identifier the problem was found in.
+ * @property {string} message Description of the problem.
+ */
+
+/**
+ * Error thrown when a container fails validation.
+ */
+class ValidationError extends Error {
+    /**
+     * Create a new validation error instance.
+     *
+     * @public
+     * @param {Array.<ValidationProblem>} problems Problems found in the container.
+     */
+    constructor(problems) {
+        super(`Container validation failed:\n${problems.map(({ message }) => `- ${message}`).join("\n")}`);
+
+        /**
+         * Error name.
+         *
+         * @public
+         * @type {string}
+         */
+        this.name = "ValidationError";
+
+        /**
+         * Problems found in the container.
+         *
+         * @public
+         * @type {Array.<ValidationProblem>}
+         */
+        this.problems = problems;
+    }
+}
+
+export default ValidationError;
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Create a proxy standing in for an object until it is first used.
+ *
+ * The object is resolved on first property access or call and every
+ * operation is forwarded to it after that. Methods are bound to the object to
+ * keep private fields working. Looking up then doesn't resolve the object
+ * since awaiting or returning the proxy from an async function does so, which
+ * means an unresolved proxy is never treated as a thenable. Only a callable
+ * proxy can be called and typeof reports it as a function, any other proxy
+ * is reported as an object.
+ *
+ * @param {Function} resolve Function resolving the object.
+ * @param {?boolean} callable Whether the object may be a function.
+ * @return {Proxy} Lazy proxy.
+ */
+function createLazyProxy(resolve, callable = false) {
+    let resolved = false;
+    let instance;
+    const boundMethods = new Map();
+    const resolveInstance = () => {
+        if (!resolved) {
+            instance = resolve();
+            resolved = true;
+        }
+
+        return instance;
+    };
+
+    return new Proxy(callable ? () => {} : {}, {
+        get(target, property) {
+            if (property === "then" && !resolved) {
+                return undefined;
+            }
+
+            const value = Reflect.get(resolveInstance(), property);
+
+            if (typeof value !== "function" || property === "constructor") {
+                return value;
+            }
+
+            if (boundMethods.get(property)?.method !== value) {
+                boundMethods.set(property, { method: value, bound: value.bind(instance) });
+            }
+
+            return boundMethods.get(property).bound;
+        },
+        set: (target, property, value) => Reflect.set(resolveInstance(), property, value),
+        has: (target, property) => Reflect.has(resolveInstance(), property),
+        deleteProperty: (target, property) => Reflect.deleteProperty(resolveInstance(), property),
+        defineProperty(target, property, descriptor) {
+            return Reflect.defineProperty(resolveInstance(), property, descriptor);
+        },
+        ownKeys: () => Reflect.ownKeys(resolveInstance()),
+        getOwnPropertyDescriptor(target, property) {
+            const descriptor = Reflect.getOwnPropertyDescriptor(resolveInstance(), property);
+
+            // A proxy can't report a property as non-configurable unless its target has it.
+            return descriptor && { ...descriptor, configurable: true };
+        },
+        getPrototypeOf: () => Reflect.getPrototypeOf(resolveInstance()),
+        setPrototypeOf: (target, prototype) => Reflect.setPrototypeOf(resolveInstance(), prototype),
+        apply: (target, thisArgument, parameters) => Reflect.apply(resolveInstance(), thisArgument, parameters)
+    });
+}
+
+export default createLazyProxy;
@@ -0,0 +1,57 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Respond with an internal server error unless a response is already sent.
+ *
+ * @param {Error} error Error thrown by the handler or while disposing the scope.
+ * @param {http.IncomingMessage} request Incoming request.
+ * @param {http.ServerResponse} response Outgoing response.
+ */
+function respondWithError(error, request, response) {
+    if (!response.headersSent) {
+        response.statusCode = 500;
+    }
+
+    response.end();
+}
+
+/**
+ * Create an http request listener running a handler in a request scope.
+ *
+ * Every request is handled in its own scope started by
+ * {@link Container#runInScope}, with the request and response bound as
+ * "request" and "response". The handler is given the request, the response
+ * and the scope. The scope is disposed once the handler is done and the
+ * response is finished or the connection is closed. Errors thrown by the
+ * handler or while disposing the scope are given to the error handler, which
+ * by default responds with an internal server error.
+ *
+ * @param {Container} container Container to start the scopes from.
+ * @param {Function} handler Request handler.
+ * @param {?{onError: ?Function}} options Function given any error, the request and the response.
+ * @return {Function} Request listener.
+ */
+function createScopeMiddleware(container, handler, { onError = respondWithError } = {}) {
+    return (request, response) => container.runInScope(async scope => {
+        const finished = new Promise(resolve => {
+            response.once("finish", resolve);
+            response.once("close", resolve);
+        });
+
+        scope.bindInstance("request", request);
+        scope.bindInstance("response", response);
+
+        await handler(request, response, scope);
+
+        if (!response.writableFinished && !response.destroyed) {
+            await finished;
+        }
+    }).catch(error => onError(error, request, response));
+}
+
+export default createScopeMiddleware;
@@ -0,0 +1,26 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Create a readable description of an identifier.
+ *
+ * Classes and functions are described by their name since their string
+ * representation is their entire source. Symbols can't be implicitly
+ * converted to strings which is why they need to be described explicitly.
+ *
+ * @param {(string|symbol|Function|InjectionToken)} identifier Identifier to describe.
+ * @return {string} Description of the identifier.
+ */
+function describeIdentifier(identifier) {
+    if (typeof identifier === "function") {
+        return identifier.name || "anonymous function";
+    }
+
+    return String(identifier);
+}
+
+export default describeIdentifier;
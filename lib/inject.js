@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Declare a property or setter method to inject with {@link Container#injectInto}.
+ *
+ * Meant to be used as a property or method decorator, e.g. @inject("logger")
+ * or @inject(optional(Logger)). A property without an identifier is injected
+ * with the object named after the property. A method is called with its
+ * parameters resolved like those of any other function, the given identifier
+ * taking the place of the first parameter. The declaration is added to the
+ * static injectProperties or injectMethods property of the class.
+ *
+ * @param {?(string|symbol|Function|InjectionToken|LazyIdentifier|OptionalIdentifier)} identifier Identifier to inject.
+ * @return {Function} Property or method decorator.
+ */
+function inject(identifier = null) {
+    return (prototype, key, descriptor) => {
+        if (typeof descriptor?.value === "function") {
+            declare(prototype.constructor, "injectMethods", key, identifier === null ? null : [identifier], () => null);
+        } else {
+            declare(prototype.constructor, "injectProperties", key, identifier ?? key, name => name);
+        }
+    };
+}
+
+/**
+ * Add a declaration to the injection metadata of a class.
+ *
+ * Metadata inherited from a parent class is left untouched since the
+ * container applies the metadata of every class in the hierarchy. Metadata
+ * declared as a list of names is turned into declarations by name.
+ *
+ * @private
+ * @param {Function} constructor Class to declare the injection for.
+ * @param {string} property Name of the static metadata property.
+ * @param {(string|symbol)} key Name of the property or method.
+ * @param {*} declaration What to inject.
+ * @param {Function} declareName Function creating the declaration of a listed name.
+ */
+function declare(constructor, property, key, declaration, declareName) {
+    const metadata = Object.prototype.hasOwnProperty.call(constructor, property) ? constructor[property] : {};
+    const declarations = Array.isArray(metadata) ?
+        Object.fromEntries(metadata.map(name => [name, declareName(name)])) :
+        metadata;
+
+    constructor[property] = { ...declarations, [key]: declaration };
+}
+
+export default inject;
@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import LazyIdentifier from "./LazyIdentifier.js";
+
+/**
+ * Mark an identifier to be injected as a lazy proxy.
+ *
+ * Meant to be used in injection metadata, e.g. static inject = {b: lazy("b")}.
+ *
+ * @param {(string|symbol|Function|InjectionToken)} identifier Identifier of the object.
+ * @return {LazyIdentifier} Lazy identifier.
+ */
+function lazy(identifier) {
+    return new LazyIdentifier(identifier);
+}
+
+export default lazy;
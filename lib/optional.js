@@ -0,0 +1,23 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import OptionalIdentifier from "./OptionalIdentifier.js";
+
+/**
+ * Mark an identifier as optional even in strict mode.
+ *
+ * Meant to be used in injection metadata, e.g. static injectProperties =
+ * {logger: optional("logger")}.
+ *
+ * @param {(string|symbol|Function|InjectionToken|LazyIdentifier)} identifier Identifier of the object.
+ * @return {OptionalIdentifier} Optional identifier.
+ */
+function optional(identifier) {
+    return new OptionalIdentifier(identifier);
+}
+
+export default optional;
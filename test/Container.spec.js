@@ -5,12 +5,45 @@
  * file that was distributed with this source code.
  */
 
-import { Container } from "@moonwalkingbits/apollo-container";
+import {
+    CircularDependencyError,
+    ConfigurationError,
+    Container,
+    DisposalError,
+    EnvironmentConfigSource,
+    InjectionToken,
+    LazyIdentifier,
+    Lifetime,
+    OptionalIdentifier,
+    ResolutionHookError,
+    UnresolvableParameterError,
+    ValidationError,
+    inject,
+    lazy,
+    optional
+} from "@moonwalkingbits/apollo-container";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
 const { expect } = require("chai");
 
+/**
+ * Determine if the runtime supports static initialization blocks.
+ *
+ * Classes using them are created from source since the syntax would keep the
+ * whole file from loading on runtimes without support.
+ */
+const supportsStaticBlocks = (() => {
+    try {
+        new Function("class A { static {} }");
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+const itWithStaticBlocks = supportsStaticBlocks ? it : it.skip;
+
 describe("Container", () => {
     let container;
 
@@ -57,286 +90,3727 @@ describe("Container", () => {
         });
     });
 
-    describe("#get()", () => {
-        it("should throw an error if binding is not found", () => {
-            expect(() => container.get("name")).to.throw();
+    describe("strict mode", () => {
+        class A { constructor(logger) { this.logger = logger } }
+        class B { constructor(a) { this.a = a } }
+
+        beforeEach(() => {
+            container = new Container({strict: true});
         });
 
-        it("should resolve a named binding", () => {
-            const value = "value";
-            container.bindFactory("name", () => value);
+        it("should throw an error if a parameter can't be resolved", () => {
+            expect(() => container.construct(A))
+                .to.throw(UnresolvableParameterError, 'Unable to resolve parameter "logger" of A');
+        });
 
-            expect(container.get("name")).to.equal(value);
+        it("should name the identifiers being resolved", () => {
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+
+            expect(() => container.get("b"))
+                .to.throw(UnresolvableParameterError, "while resolving b -> a")
+                .that.includes({parameter: "logger", target: A})
+                .and.has.property("path").that.deep.equals(["b", "a"]);
         });
 
-        it("should resolve a named instance", () => {
-            const value = "value";
-            container.bindInstance("name", value);
+        it("should allow parameters with default values", () => {
+            expect(container.invoke((logger = "default") => logger)).to.equal("default");
+        });
 
-            expect(container.get("name")).to.equal(value);
+        it("should use provided parameters", () => {
+            expect(container.construct(A, {logger: "logger"}).logger).to.equal("logger");
         });
 
-        it("should resolve an instance bound by an alias", () => {
-            const value = "value";
-            container.bindInstance("name", value);
-            container.alias("name", "alias");
+        it("should reject asynchronous resolutions", async () => {
+            container.bindConstructor("a", A);
 
-            expect(container.get("alias")).to.equal(value);
+            let error;
+
+            try {
+                await container.getAsync("a");
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.an.instanceof(UnresolvableParameterError);
         });
 
-        it("should resolve an instance bound by a nested alias", () => {
-            const value = "value";
-            container.bindInstance("name", value);
-            container.alias("name", "alias");
-            container.alias("alias", "secondAlias");
+        it("should be inherited by child containers", () => {
+            expect(() => container.createChild().construct(A)).to.throw(UnresolvableParameterError);
+        });
 
-            expect(container.get("secondAlias")).to.equal(value);
+        it("should not be enabled by default", () => {
+            expect(new Container().construct(A).logger).to.be.undefined;
         });
     });
 
-    describe("#bindInstance", () => {
-        it("should bind an instance value to the container", () => {
-            const value = "value";
-            container.bindInstance("name", value);
+    describe("#createChild()", () => {
+        it("should fall back to the parent container", () => {
+            container.bindInstance("name", "value");
 
-            expect(container.get("name")).to.equal(value);
+            const child = container.createChild();
+
+            expect(child.has("name")).to.be.true;
+            expect(child.get("name")).to.equal("value");
         });
 
-        it("should return the same instance every time", () => {
-            const value = ["value"];
-            container.bindInstance("name", value);
+        it("should not expose child registrations to the parent container", () => {
+            container.createChild().bindInstance("name", "value");
 
-            expect(container.get("name")).to.equal(value);
-            expect(container.get("name")).to.equal(value);
+            expect(container.has("name")).to.be.false;
         });
-    });
 
-    describe("#bindConstructor", () => {
-        class A {}
+        it("should shadow parent registrations", () => {
+            container.bindInstance("name", "parent");
 
-        it("should bind a constructor to the container", () => {
-            container.bindConstructor("name", A);
+            const child = container.createChild();
+            child.bindInstance("name", "child");
 
-            expect(container.get("name")).to.be.an.instanceof(A);
+            expect(child.get("name")).to.equal("child");
+            expect(container.get("name")).to.equal("parent");
         });
 
-        it("should invoke the constructor every time", () => {
-            container.bindConstructor("name", A);
+        it("should resolve parent aliases to child registrations", () => {
+            container.bindInstance("name", "parent");
+            container.alias("name", "alias");
 
-            expect(container.get("name")).not.to.equal(container.get("name"));
+            const child = container.createChild();
+            child.bindInstance("name", "child");
+
+            expect(child.get("alias")).to.equal("child");
         });
 
-        it("should create singleton if desired", () => {
-            container.bindConstructor("name", A, true);
+        it("should share parent singletons with children", () => {
+            class A {}
+            container.bindConstructor("name", A, Lifetime.SINGLETON);
 
-            expect(container.get("name")).to.equal(container.get("name"));
+            expect(container.createChild().get("name")).to.equal(container.createChild().get("name"));
+            expect(container.createChild().get("name")).to.equal(container.get("name"));
         });
-    });
 
-    describe("#bindFactory", () => {
-        it("should bind a factory to the container", () => {
-            const value = "value";
-            container.bindFactory("name", () => value);
+        it("should resolve parent singleton dependencies from the parent container", () => {
+            class A { constructor(b) { this.b = b } }
+            container.bindConstructor("a", A, true);
+            container.bindInstance("b", "parent");
 
-            expect(container.get("name")).to.equal(value);
+            const child = container.createChild();
+            child.bindInstance("b", "child");
+
+            expect(child.get("a").b).to.equal("parent");
         });
 
-        it("should invoke the factory every time", () => {
-            let value = 0;
-            container.bindFactory("name", () => ++value);
+        it("should resolve transient dependencies from the child container", () => {
+            class A { constructor(b) { this.b = b } }
+            container.bindConstructor("a", A);
+            container.bindInstance("b", "parent");
 
-            expect(container.get("name")).to.equal(1);
-            expect(container.get("name")).to.equal(2);
+            const child = container.createChild();
+            child.bindInstance("b", "child");
+
+            expect(child.get("a").b).to.equal("child");
         });
+    });
 
-        it("should create singleton if desired", () => {
-            let value = 0;
-            container.bindFactory("name", () => ++value, true);
+    describe("#createScope()", () => {
+        class A {}
 
-            expect(container.get("name")).to.equal(1);
-            expect(container.get("name")).to.equal(1);
+        it("should resolve scoped bindings once per scope", () => {
+            container.bindConstructor("name", A, Lifetime.SCOPED);
+
+            const scope = container.createScope();
+
+            expect(scope.get("name")).to.be.an.instanceof(A);
+            expect(scope.get("name")).to.equal(scope.get("name"));
         });
-    });
 
-    describe("#makeSingleton", () => {
-        it("should make value a singleton", () => {
-            let value = 0;
-            container.bindFactory("name", () => ++value);
-            container.makeSingleton("name");
+        it("should not share scoped objects between scopes", () => {
+            container.bindConstructor("name", A, Lifetime.SCOPED);
 
-            expect(container.get("name")).to.equal(1);
-            expect(container.get("name")).to.equal(1);
+            expect(container.createScope().get("name")).not.to.equal(container.createScope().get("name"));
         });
 
-        it("should throw an error if no binding is found", () => {
-            expect(() => container.makeSingleton("name")).to.throw();
+        it("should not share scoped objects with nested scopes", () => {
+            container.bindConstructor("name", A, Lifetime.SCOPED);
+
+            const scope = container.createScope();
+
+            expect(scope.get("name")).not.to.equal(scope.createScope().get("name"));
         });
 
-        it("should not throw an error if binding is already a singleton", () => {
+        it("should not share scoped objects with the parent container", () => {
+            container.bindConstructor("name", A, Lifetime.SCOPED);
+
+            expect(container.createScope().get("name")).not.to.equal(container.get("name"));
+        });
+
+        it("should share one pending promise between concurrent scoped resolutions", async () => {
             let value = 0;
-            container.bindInstance("name", ++value);
-            container.makeSingleton("name");
+            container.bindFactory("name", async () => ++value, Lifetime.SCOPED);
 
-            expect(container.get("name")).to.equal(1);
-            expect(container.get("name")).to.equal(1);
+            const scope = container.createScope();
+            const values = await Promise.all([scope.getAsync("name"), scope.getAsync("name")]);
+
+            expect(values).to.deep.equal([1, 1]);
+            expect(await container.createScope().getAsync("name")).to.equal(2);
         });
     });
 
-    describe("#alias", () => {
-        it("should create an alias", () => {
-            container.bindInstance("name", "value");
-            container.alias("name", "alias");
+    describe("#make", () => {
+        class Report {
+            constructor(userId, formatter) {
+                this.userId = userId;
+                this.formatter = formatter;
+            }
+        }
 
-            expect(container.has("alias")).to.equal(true);
+        beforeEach(() => {
+            container.bindInstance("formatter", "formatter");
         });
 
-        it("should create a nested alias", () => {
-            container.bindInstance("name", "value");
-            container.alias("name", "alias");
-            container.alias("alias", "nestedAlias");
+        it("should pass named parameters to bound constructors", () => {
+            container.bindConstructor("report", Report);
 
-            expect(container.has("nestedAlias")).to.equal(true);
+            const report = container.make("report", { userId: 1 });
+
+            expect(report).to.be.instanceOf(Report);
+            expect([report.userId, report.formatter]).to.deep.equal([1, "formatter"]);
         });
-    });
 
-    describe("#construct", () => {
-        class A {}
-        class B { constructor(a) { this.a = a } }
-        class C { constructor(b) { this.b = b } }
+        it("should pass named parameters to bound factories", () => {
+            container.bindFactory("report", (userId, formatter) => [userId, formatter]);
 
-        it("should construct an instance without arguments", () => {
-            expect(container.construct(A)).to.be.an.instanceof(A);
+            expect(container.make("report", { userId: 1 })).to.deep.equal([1, "formatter"]);
         });
 
-        it("should resolve dependency by name if bound", () => {
-            container.bindConstructor("a", A);
+        it("should prefer named parameters over bindings", () => {
+            container.bindConstructor("report", Report);
 
-            expect(container.construct(B).a).to.be.an.instanceof(A);
+            expect(container.make("report", { userId: 1, formatter: "custom" }).formatter).to.equal("custom");
         });
 
-        it("should recursively resolve dependencies by name if bound", () => {
-            container.bindConstructor("a", A);
-            container.bindConstructor("b", B);
+        it("should not pass named parameters to dependencies", () => {
+            container.bindFactory("header", userId => userId);
+            container.bindFactory("report", (userId, header) => [userId, header]);
 
-            const c = container.construct(C);
+            expect(container.make("report", { userId: 1 })).to.deep.equal([1, undefined]);
+        });
 
-            expect(c.b).to.be.an.instanceof(B);
-            expect(c.b.a).to.be.an.instanceof(A);
+        it("should follow aliases and extend the object", () => {
+            container.bindConstructor("report", Report);
+            container.alias("report", "userReport");
+            container.extend("report", report => Object.assign(report, { extended: true }));
+
+            const report = container.make("userReport", { userId: 1 });
+
+            expect([report.userId, report.extended]).to.deep.equal([1, true]);
         });
 
-        it("should resolve parameters for parent constructors", () => {
-            class D extends B {}
-            class E extends D {}
+        it("should behave like get without named parameters", () => {
+            container.bindConstructor("report", Report, Lifetime.SINGLETON);
 
-            container.bindConstructor("a", A);
+            expect(container.make("report")).to.equal(container.get("report"));
+            expect(container.make("report", {})).to.equal(container.get("report"));
+        });
 
-            const d = container.construct(D);
-            const e = container.construct(E);
+        it("should reject named parameters for shared objects and instances", () => {
+            container.bindConstructor("report", Report, Lifetime.SINGLETON);
+            container.bindConstructor("scopedReport", Report, Lifetime.SCOPED);
 
-            expect(d.a).to.be.an.instanceof(A);
-            expect(e.a).to.be.an.instanceof(A);
+            expect(() => container.make("report", { userId: 1 }))
+                .to.throw("Unable to pass parameters to shared object report");
+            expect(() => container.make("scopedReport", { userId: 1 }))
+                .to.throw("Unable to pass parameters to shared object scopedReport");
+            expect(() => container.make("formatter", { userId: 1 }))
+                .to.throw("Unable to pass parameters to shared object formatter");
         });
+    });
 
-        it("should use provided parameters", () => {
-            const b = new B(new A());
-            const c = container.construct(C, {b});
+    describe("#makeAsync", () => {
+        it("should pass named parameters waiting for asynchronous dependencies", async () => {
+            container.bindFactory("formatter", async () => "formatter");
+            container.bindFactory("report", async (userId, formatter) => [userId, formatter]);
 
-            expect(c.b).to.equal(b);
+            expect(await container.makeAsync("report", { userId: 1 })).to.deep.equal([1, "formatter"]);
         });
 
-        it("should use provided parameters over bindings", () => {
-            container.bindConstructor("a", A);
-            container.bindConstructor("b", B);
+        it("should reject named parameters for shared objects", async () => {
+            container.bindFactory("report", async userId => userId, Lifetime.SINGLETON);
 
-            const b = new B(new A());
-            const c = container.construct(C, {b});
+            let error;
 
-            expect(c.b).to.equal(b);
+            try {
+                await container.makeAsync("report", { userId: 1 });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).to.equal("Unable to pass parameters to shared object report");
         });
+    });
 
-        it("should not throw error if no parameters are found, eg. regexp fails", () => {
-            class A {}
-            A.toString = () => "";
+    describe("#factoryFor", () => {
+        it("should create objects with named parameters", () => {
+            container.bindFactory("report", (userId, formatter) => [userId, formatter]);
+            container.bindInstance("formatter", "formatter");
 
-            container.bindConstructor("a", A);
+            const createReport = container.factoryFor("report");
 
-            expect(container.get("a")).to.be.an.instanceof(A);
+            expect(createReport({ userId: 1 })).to.deep.equal([1, "formatter"]);
+            expect(createReport({ userId: 2 })).to.deep.equal([2, "formatter"]);
+            expect(createReport()).to.deep.equal([undefined, "formatter"]);
         });
 
-        it("should not throw exception if dependency is not found", () => {
-            container.bindConstructor("b", B);
+        it("should be injectable", () => {
+            class ReportController {
+                constructor(reportFactory) {
+                    this.reportFactory = reportFactory;
+                }
 
-            const c = container.construct(C);
+                show(userId) {
+                    return this.reportFactory({ userId });
+                }
+            }
 
-            expect(c.b).to.be.an.instanceof(B);
-            expect(c.b.a).to.be.undefined;
+            container.bindFactory("report", userId => ({ userId }));
+            container.bindInstance("reportFactory", container.factoryFor("report"));
+            container.bindConstructor("reportController", ReportController);
+
+            expect(container.call("reportController@show", { userId: 1 })).to.deep.equal({ userId: 1 });
         });
     });
 
-    describe("#invoke", () => {
-        const a = () => "a";
-        const b = a => `${a}b`;
+    describe("#runInScope", () => {
+        it("should resolve scoped bindings once per scope", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
 
-        it("should invoke a function without arguments", () => {
-            expect(container.invoke(a)).to.equal("a");
+            const [first, second] = await Promise.all([
+                container.runInScope(async () => [container.get("a"), await container.getAsync("a")]),
+                container.runInScope(async () => [container.get("a"), await container.getAsync("a")])
+            ]);
+
+            expect(first[0]).to.equal(first[1]);
+            expect(second[0]).to.equal(second[1]);
+            expect(first[0]).to.not.equal(second[0]);
+            expect(first[0]).to.not.equal(container.get("a"));
         });
 
-        it("should resolve dependency by name if bound", () => {
-            container.bindInstance("a", "a");
+        it("should give the callback the scope", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
 
-            expect(container.invoke(b)).to.equal("ab");
+            await container.runInScope(scope => {
+                expect(scope).to.not.equal(container);
+                expect(scope.get("a")).to.equal(container.get("a"));
+            });
         });
 
-        it("should use provided parameters", () => {
-            expect(container.invoke(b, {a: "a"})).to.equal("ab");
-        });
+        it("should track the scope across asynchronous calls", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
 
-        it("should use provided parameters over bindings", () => {
-            container.bindInstance("a", "c");
+            await container.runInScope(async scope => {
+                await new Promise(resolve => setTimeout(resolve, 1));
 
-            expect(container.invoke(b, {a: "a"})).to.equal("ab");
+                const value = await new Promise(resolve => setImmediate(() => resolve(container.get("a"))));
+
+                expect(value).to.equal(scope.get("a"));
+            });
         });
 
-        it("should not throw error if no parameters are found, eg. regexp fails", () => {
-            const a = () => "a";
-            a.toString = () => "";
+        it("should construct and invoke in the scope", async () => {
+            class A {
+                constructor(a) {
+                    this.a = a;
+                }
+            }
 
-            expect(container.invoke(a)).to.equal("a");
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
+
+            await container.runInScope(async scope => {
+                const a = scope.get("a");
+
+                expect(container.construct(A).a).to.equal(a);
+                expect((await container.constructAsync(A)).a).to.equal(a);
+                expect(container.invoke(a => a)).to.equal(a);
+                expect(await container.invokeAsync(a => a)).to.equal(a);
+            });
         });
 
-        it("should not throw exception if dependency is not found", () => {
-            expect(container.invoke(b)).to.equal("undefinedb");
+        it("should share singletons between scopes", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SINGLETON);
+
+            const values = await Promise.all([
+                container.runInScope(() => container.get("a")),
+                container.runInScope(() => container.get("a"))
+            ]);
+
+            expect(values[0]).to.equal(values[1]);
         });
 
-        it("should use provided parameters over default values", () => {
-            const a = (x = "default value") => x;
+        it("should dispose scoped objects when the callback settles", async () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SCOPED);
 
-            expect(container.invoke(a, {x: "value"})).to.equal("value");
+            const result = container.runInScope(async () => {
+                container.get("a");
+                await new Promise(resolve => setTimeout(resolve, 1));
+
+                expect(disposed).to.deep.equal([]);
+
+                return "result";
+            });
+
+            expect(await result).to.equal("result");
+            expect(disposed).to.deep.equal(["a"]);
         });
 
-        it("should resolve parameters for instance methods", () => {
-            class B {
-                method(a) {
-                    return `${a}b`;
-                }
+        it("should dispose scoped objects when the callback fails", async () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SCOPED);
+
+            let error;
+
+            try {
+                await container.runInScope(() => {
+                    container.get("a");
+
+                    throw new Error("failure");
+                });
+            } catch (e) {
+                error = e;
             }
 
-            container.bindInstance("a", "a");
+            expect(error.message).to.equal("failure");
+            expect(disposed).to.deep.equal(["a"]);
+        });
 
-            expect(container.invoke(new B().method)).to.equal("ab");
+        it("should nest scopes", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
+
+            await container.runInScope(async outer => {
+                await container.runInScope(inner => {
+                    expect(container.get("a")).to.equal(inner.get("a"));
+                    expect(container.get("a")).to.not.equal(outer.get("a"));
+                });
+
+                expect(container.get("a")).to.equal(outer.get("a"));
+            });
         });
 
-        it("should accept unbound function to extract parameters from when invoking a bound function", () => {
-            container.bindInstance("a", "a");
+        it("should leave the container alone outside of the scope", async () => {
+            container.bindFactory("a", () => ({}), Lifetime.SCOPED);
 
-            expect(container.invoke(b.bind(a), {}, b)).to.equal("ab");
+            const scopedValue = await container.runInScope(() => container.get("a"));
+
+            expect(container.get("a")).to.not.equal(scopedValue);
         });
+    });
 
-        it("should ignore parameter comments", () => {
-            const x = "value";
-            const a = (/* x = "default value" */) => x;
+    describe("#get()", () => {
+        it("should throw an error if binding is not found", () => {
+            expect(() => container.get("name")).to.throw();
+        });
 
-            expect(container.invoke(a)).to.equal(x);
+        it("should resolve a named binding", () => {
+            const value = "value";
+            container.bindFactory("name", () => value);
+
+            expect(container.get("name")).to.equal(value);
+        });
+
+        it("should resolve a named instance", () => {
+            const value = "value";
+            container.bindInstance("name", value);
+
+            expect(container.get("name")).to.equal(value);
+        });
+
+        it("should resolve an instance bound by an alias", () => {
+            const value = "value";
+            container.bindInstance("name", value);
+            container.alias("name", "alias");
+
+            expect(container.get("alias")).to.equal(value);
+        });
+
+        it("should resolve an instance bound by a nested alias", () => {
+            const value = "value";
+            container.bindInstance("name", value);
+            container.alias("name", "alias");
+            container.alias("alias", "secondAlias");
+
+            expect(container.get("secondAlias")).to.equal(value);
+        });
+
+        describe("circular dependencies", () => {
+            class A { constructor(b) { this.b = b } }
+            class B { constructor(a) { this.a = a } }
+            class C { constructor(c) { this.c = c } }
+
+            it("should throw an error naming the cycle", () => {
+                container.bindConstructor("a", A);
+                container.bindConstructor("b", B);
+
+                expect(() => container.get("a"))
+                    .to.throw(CircularDependencyError, "a -> b -> a")
+                    .with.property("path").that.deep.equals(["a", "b", "a"]);
+            });
+
+            it("should detect an object depending on itself", () => {
+                container.bindConstructor("c", C);
+
+                expect(() => container.get("c")).to.throw(CircularDependencyError, "c -> c");
+            });
+
+            it("should include followed aliases in the cycle", () => {
+                container.bindConstructor("a", A);
+                container.bindFactory("b", x => x);
+                container.alias("a", "x");
+
+                expect(() => container.get("a")).to.throw(CircularDependencyError, "a -> b -> x -> a");
+            });
+
+            it("should detect cycles between singletons", () => {
+                container.bindConstructor("a", A, true);
+                container.bindConstructor("b", B, true);
+
+                expect(() => container.get("a")).to.throw(CircularDependencyError, "a -> b -> a");
+            });
+
+            it("should detect cycles when constructing an object", () => {
+                container.bindConstructor("a", A);
+                container.bindConstructor("b", B);
+
+                expect(() => container.construct(A)).to.throw(CircularDependencyError, "b -> a -> b");
+            });
+
+            it("should allow resolving the same dependency in separate branches", () => {
+                class D { constructor(a, b) { this.a = a; this.b = b } }
+
+                container.bindInstance("x", "x");
+                container.bindFactory("a", x => x);
+                container.bindFactory("b", x => x);
+
+                const d = container.construct(D);
+
+                expect(d.a).to.equal("x");
+                expect(d.b).to.equal("x");
+            });
+
+            it("should reject asynchronous resolutions naming the cycle", async () => {
+                container.bindConstructor("a", A, true);
+                container.bindFactory("b", async a => a);
+
+                let error;
+
+                try {
+                    await container.getAsync("a");
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.an.instanceof(CircularDependencyError);
+                expect(error.path).to.deep.equal(["a", "b", "a"]);
+            });
+        });
+    });
+
+    describe("#getAsync()", () => {
+        it("should reject if binding is not found", async () => {
+            let error;
+
+            try {
+                await container.getAsync("name");
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.an.instanceof(Error);
+        });
+
+        it("should resolve a named instance", async () => {
+            container.bindInstance("name", "value");
+
+            expect(await container.getAsync("name")).to.equal("value");
+        });
+
+        it("should await an asynchronous factory", async () => {
+            container.bindFactory("name", async () => "value");
+
+            expect(await container.getAsync("name")).to.equal("value");
+        });
+
+        it("should await asynchronous dependencies before injecting them", async () => {
+            class A { constructor(client) { this.client = client } }
+
+            container.bindFactory("client", async () => "connected", true);
+            container.bindConstructor("a", A);
+
+            expect((await container.getAsync("a")).client).to.equal("connected");
+            expect(container.get("client")).to.equal("connected");
+        });
+
+        it("should share one pending promise between concurrent singleton resolutions", async () => {
+            let value = 0;
+            container.bindFactory("name", async () => ++value, true);
+
+            const values = await Promise.all([container.getAsync("name"), container.getAsync("name")]);
+
+            expect(values).to.deep.equal([1, 1]);
+            expect(await container.getAsync("name")).to.equal(1);
+        });
+
+        it("should not hand out a singleton synchronously while it is being resolved asynchronously", async () => {
+            class A { constructor(db) { this.db = db } }
+
+            let connect;
+            const connection = new Promise(resolve => connect = resolve);
+
+            container.bindFactory("db", async () => connection, true);
+            container.bindConstructor("a", A);
+
+            const db = container.getAsync("db");
+            const message = "Unable to resolve db while it is being resolved asynchronously, use getAsync() instead";
+
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(() => container.get("db")).to.throw(Error, message);
+            expect(() => container.get("a")).to.throw(Error, message);
+
+            connect("connected");
+
+            expect(await db).to.equal("connected");
+            expect(container.get("db")).to.equal("connected");
+        });
+
+        it("should retry a singleton whose factory rejected", async () => {
+            let attempts = 0;
+            container.bindFactory("name", async () => {
+                if (++attempts === 1) {
+                    throw new Error();
+                }
+
+                return attempts;
+            }, true);
+
+            await container.getAsync("name").catch(() => {});
+
+            expect(await container.getAsync("name")).to.equal(2);
+        });
+
+        it("should invoke asynchronous transient factories every time", async () => {
+            let value = 0;
+            container.bindFactory("name", async () => ++value);
+
+            expect(await container.getAsync("name")).to.equal(1);
+            expect(await container.getAsync("name")).to.equal(2);
+        });
+
+        it("should resolve an instance bound by an alias", async () => {
+            container.bindFactory("name", async () => "value");
+            container.alias("name", "alias");
+
+            expect(await container.getAsync("alias")).to.equal("value");
+        });
+    });
+
+    describe("#dispose()", () => {
+        it("should dispose singletons in reverse creation order", () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SINGLETON);
+            container.bindFactory("b", () => ({ close: () => disposed.push("b") }), Lifetime.SINGLETON);
+            container.bindFactory("c", () => ({ dispose: () => disposed.push("c") }), Lifetime.SINGLETON);
+
+            container.get("b");
+            container.get("a");
+            container.get("c");
+            container.dispose();
+
+            expect(disposed).to.deep.equal(["c", "a", "b"]);
+        });
+
+        (Symbol.dispose ? it : it.skip)("should dispose objects with a Symbol.dispose method", () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ [Symbol.dispose]: () => disposed.push("a") }), Lifetime.SINGLETON);
+
+            container.get("a");
+            container.dispose();
+
+            expect(disposed).to.deep.equal(["a"]);
+        });
+
+        it("should prefer a custom disposer", () => {
+            const disposed = [];
+            const value = { dispose: () => disposed.push("method") };
+            container.bindFactory("name", () => value, {
+                lifetime: Lifetime.SINGLETON,
+                dispose: object => disposed.push(object)
+            });
+
+            container.get("name");
+            container.dispose();
+
+            expect(disposed).to.deep.equal([value]);
+        });
+
+        it("should not dispose transient objects", () => {
+            let disposed = false;
+            container.bindFactory("name", () => ({ dispose: () => disposed = true }));
+
+            container.get("name");
+            container.dispose();
+
+            expect(disposed).to.be.false;
+        });
+
+        it("should only dispose bound instances when asked to", () => {
+            const disposed = [];
+            container.bindInstance("a", { dispose: () => disposed.push("a") });
+            container.bindInstance("b", { dispose: () => disposed.push("b") }, { dispose: true });
+            container.bindInstance("c", "value", { dispose: value => disposed.push(value) });
+
+            container.dispose();
+
+            expect(disposed).to.deep.equal(["value", "b"]);
+        });
+
+        it("should dispose scoped objects with their scope", () => {
+            const disposed = [];
+            container.bindFactory("name", () => ({ dispose: () => disposed.push("name") }), Lifetime.SCOPED);
+
+            const scope = container.createScope();
+
+            scope.get("name");
+            container.dispose();
+
+            expect(disposed).to.be.empty;
+
+            scope.dispose();
+
+            expect(disposed).to.deep.equal(["name"]);
+        });
+
+        it("should dispose objects only once", () => {
+            let disposed = 0;
+            container.bindFactory("name", () => ({ dispose: () => ++disposed }), Lifetime.SINGLETON);
+
+            container.get("name");
+            container.dispose();
+            container.dispose();
+
+            expect(disposed).to.equal(1);
+        });
+
+        it("should create singletons anew after being disposed", () => {
+            container.bindFactory("name", () => ({}), Lifetime.SINGLETON);
+
+            const value = container.get("name");
+            container.dispose();
+
+            expect(container.get("name")).not.to.equal(value);
+        });
+
+        it("should collect errors thrown while disposing", () => {
+            const disposed = [];
+            const failure = new Error("failure");
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SINGLETON);
+            container.bindFactory("b", () => ({ dispose: () => { throw failure; } }), Lifetime.SINGLETON);
+            container.bindFactory("c", () => ({ dispose: () => { throw failure; } }), Lifetime.SINGLETON);
+
+            container.get("a");
+            container.get("b");
+            container.get("c");
+
+            expect(() => container.dispose())
+                .to.throw(DisposalError, "Unable to dispose c, b")
+                .with.property("errors")
+                .that.deep.equals([failure, failure]);
+            expect(disposed).to.deep.equal(["a"]);
+        });
+
+        it("should report objects closed asynchronously without leaving the rejection unhandled", async () => {
+            const rejections = [];
+            const onRejection = reason => rejections.push(reason);
+            const close = () => Promise.reject(new Error("failure"));
+            container.bindFactory("pool", () => ({ close }), Lifetime.SINGLETON);
+            container.get("pool");
+
+            process.on("unhandledRejection", onRejection);
+
+            try {
+                expect(() => container.dispose())
+                    .to.throw(DisposalError, "Unable to dispose pool")
+                    .with.property("errors")
+                    .that.satisfies(([error]) => error.message.includes("use disposeAsync() instead"));
+
+                await new Promise(resolve => setImmediate(resolve));
+            } finally {
+                process.off("unhandledRejection", onRejection);
+            }
+
+            expect(rejections).to.deep.equal([]);
+        });
+    });
+
+    describe("#disposeAsync()", () => {
+        it("should wait for each object to be disposed in reverse creation order", async () => {
+            const disposed = [];
+            const dispose = name => new Promise(resolve => setTimeout(() => resolve(disposed.push(name)), 5));
+            container.bindFactory("a", () => ({ close: () => dispose("a") }), Lifetime.SINGLETON);
+            container.bindFactory("b", () => ({ dispose: () => dispose("b") }), Lifetime.SINGLETON);
+
+            container.get("a");
+            container.get("b");
+            await container.disposeAsync();
+
+            expect(disposed).to.deep.equal(["b", "a"]);
+        });
+
+        (Symbol.asyncDispose ? it : it.skip)("should dispose objects with a Symbol.asyncDispose method", async () => {
+            const disposed = [];
+            const object = { [Symbol.asyncDispose]: async () => disposed.push("a"), dispose: () => {} };
+            container.bindInstance("a", object, { dispose: true });
+
+            await container.disposeAsync();
+
+            expect(disposed).to.deep.equal(["a"]);
+        });
+
+        it("should dispose singletons created asynchronously", async () => {
+            let disposed = false;
+            container.bindFactory("name", async () => ({ dispose: async () => disposed = true }), Lifetime.SINGLETON);
+
+            await container.getAsync("name");
+            await container.disposeAsync();
+
+            expect(disposed).to.be.true;
+        });
+
+        it("should collect rejections while disposing", async () => {
+            const failure = new Error("failure");
+            const symbol = Symbol("symbol");
+            container.bindFactory(symbol, () => ({}), {
+                lifetime: Lifetime.SINGLETON,
+                dispose: async () => { throw failure; }
+            });
+
+            container.get(symbol);
+
+            let error;
+
+            try {
+                await container.disposeAsync();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.an.instanceof(DisposalError);
+            expect(error.errors).to.deep.equal([failure]);
+            expect(error.identifiers).to.deep.equal([symbol]);
+            expect(error.message).to.equal("Unable to dispose Symbol(symbol)");
+        });
+    });
+
+    describe("#bindInstance", () => {
+        it("should bind an instance value to the container", () => {
+            const value = "value";
+            container.bindInstance("name", value);
+
+            expect(container.get("name")).to.equal(value);
+        });
+
+        it("should return the same instance every time", () => {
+            const value = ["value"];
+            container.bindInstance("name", value);
+
+            expect(container.get("name")).to.equal(value);
+            expect(container.get("name")).to.equal(value);
+        });
+    });
+
+    describe("#bindConstructor", () => {
+        class A {}
+
+        it("should bind a constructor to the container", () => {
+            container.bindConstructor("name", A);
+
+            expect(container.get("name")).to.be.an.instanceof(A);
+        });
+
+        it("should invoke the constructor every time", () => {
+            container.bindConstructor("name", A);
+
+            expect(container.get("name")).not.to.equal(container.get("name"));
+        });
+
+        it("should create singleton if desired", () => {
+            container.bindConstructor("name", A, true);
+
+            expect(container.get("name")).to.equal(container.get("name"));
+        });
+
+        it("should accept a lifetime", () => {
+            container.bindConstructor("name", A, Lifetime.SINGLETON);
+
+            expect(container.get("name")).to.equal(container.get("name"));
+        });
+
+        it("should throw an error if the lifetime is unknown", () => {
+            expect(() => container.bindConstructor("name", A, "unknown")).to.throw();
+        });
+    });
+
+    describe("#bindFactory", () => {
+        it("should bind a factory to the container", () => {
+            const value = "value";
+            container.bindFactory("name", () => value);
+
+            expect(container.get("name")).to.equal(value);
+        });
+
+        it("should invoke the factory every time", () => {
+            let value = 0;
+            container.bindFactory("name", () => ++value);
+
+            expect(container.get("name")).to.equal(1);
+            expect(container.get("name")).to.equal(2);
+        });
+
+        it("should create singleton if desired", () => {
+            let value = 0;
+            container.bindFactory("name", () => ++value, true);
+
+            expect(container.get("name")).to.equal(1);
+            expect(container.get("name")).to.equal(1);
+        });
+
+        it("should accept a lifetime", () => {
+            let value = 0;
+            container.bindFactory("name", () => ++value, Lifetime.TRANSIENT);
+
+            expect(container.get("name")).to.equal(1);
+            expect(container.get("name")).to.equal(2);
+        });
+    });
+
+    describe("#makeSingleton", () => {
+        it("should make value a singleton", () => {
+            let value = 0;
+            container.bindFactory("name", () => ++value);
+            container.makeSingleton("name");
+
+            expect(container.get("name")).to.equal(1);
+            expect(container.get("name")).to.equal(1);
+        });
+
+        it("should throw an error if no binding is found", () => {
+            expect(() => container.makeSingleton("name")).to.throw();
+        });
+
+        it("should not throw an error if binding is already a singleton", () => {
+            let value = 0;
+            container.bindInstance("name", ++value);
+            container.makeSingleton("name");
+
+            expect(container.get("name")).to.equal(1);
+            expect(container.get("name")).to.equal(1);
+        });
+    });
+
+    describe("#alias", () => {
+        it("should create an alias", () => {
+            container.bindInstance("name", "value");
+            container.alias("name", "alias");
+
+            expect(container.has("alias")).to.equal(true);
+        });
+
+        it("should create a nested alias", () => {
+            container.bindInstance("name", "value");
+            container.alias("name", "alias");
+            container.alias("alias", "nestedAlias");
+
+            expect(container.has("nestedAlias")).to.equal(true);
+        });
+    });
+
+    describe("#unbind", () => {
+        it("should remove bindings, instances and shared objects", () => {
+            container.bindInstance("a", "a");
+            container.bindFactory("b", () => ({}), Lifetime.SINGLETON);
+            container.get("b");
+            container.unbind("a");
+            container.unbind("b");
+
+            expect(container.has("a")).to.be.false;
+            expect(container.has("b")).to.be.false;
+        });
+
+        it("should only remove the alias when unbinding an alias", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.unbind("b");
+
+            expect(container.has("b")).to.be.false;
+            expect(container.get("a")).to.equal("a");
+        });
+
+        it("should refuse to unbind identifiers with aliases", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.alias("b", "c");
+
+            expect(() => container.unbind("a")).to.throw("Unable to unbind a, it is aliased by b, c");
+            expect(container.get("c")).to.equal("a");
+        });
+
+        it("should remove aliases along with the identifier if asked to", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.unbind("a", { cascade: true });
+
+            expect(container.has("b")).to.be.false;
+            expect(() => container.validate()).to.not.throw();
+        });
+
+        it("should remove the identifier from its tags", () => {
+            container.bindInstance("a", "a");
+            container.bindInstance("b", "b");
+            container.tag(["a", "b"], "tag");
+            container.unbind("a");
+
+            expect(container.getTagged("tag")).to.deep.equal(["b"]);
+        });
+
+        it("should throw an error for identifiers unknown to the container", () => {
+            const child = container.createChild();
+            container.bindInstance("a", "a");
+
+            expect(() => child.unbind("a")).to.throw("Unknown identifier: a");
+        });
+
+        it("should still dispose shared objects along with the container", () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SINGLETON);
+            container.get("a");
+            container.unbind("a");
+            container.dispose();
+
+            expect(disposed).to.deep.equal(["a"]);
+        });
+    });
+
+    describe("#rebind", () => {
+        it("should replace the object with a new instance", () => {
+            container.bindFactory("a", () => "a", Lifetime.SINGLETON);
+            container.get("a");
+            container.rebind("a", "new a");
+
+            expect(container.get("a")).to.equal("new a");
+        });
+
+        it("should replace the identifier an alias refers to", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.rebind("b", "new a");
+
+            expect(container.get("a")).to.equal("new a");
+        });
+
+        it("should throw an error for unknown identifiers", () => {
+            expect(() => container.rebind("a", "a")).to.throw("Unknown identifier: a");
+        });
+    });
+
+    describe("#onRebind", () => {
+        it("should run callbacks with the new object when rebinding", () => {
+            const calls = [];
+            container.bindInstance("flags", { enabled: false });
+            container.onRebind("flags", (flags, rebindingContainer) => calls.push([flags, rebindingContainer]));
+            container.rebind("flags", { enabled: true });
+
+            expect(calls).to.deep.equal([[{ enabled: true }, container]]);
+        });
+
+        it("should run callbacks of the container chain when rebinding an identifier of a parent", () => {
+            const calls = [];
+            container.bindInstance("flag", false);
+            container.onRebind("flag", (flag, rebindingContainer) => calls.push(["parent", flag, rebindingContainer]));
+
+            const child = container.createChild();
+            child.onRebind("flag", (flag, rebindingContainer) => calls.push(["child", flag, rebindingContainer]));
+            child.rebind("flag", true);
+
+            expect(calls).to.deep.equal([["child", true, child], ["parent", true, child]]);
+            expect(container.get("flag")).to.be.false;
+        });
+
+        it("should run callbacks of parents when rebinding an identifier of the child", () => {
+            const calls = [];
+            container.onRebind("flag", flag => calls.push(["parent", flag]));
+
+            const child = container.createChild();
+            child.bindInstance("flag", false);
+            child.onRebind("flag", flag => calls.push(["child", flag]));
+            child.rebind("flag", true);
+
+            expect(calls).to.deep.equal([["child", true], ["parent", true]]);
+        });
+
+        it("should run callbacks when any bind method replaces a registration", () => {
+            const values = [];
+            container.bindFactory("a", () => "a", Lifetime.SINGLETON);
+            container.get("a");
+            container.onRebind("a", value => values.push(value));
+            container.bindFactory("a", () => "b", Lifetime.SINGLETON);
+            container.bindConstructor("a", class C {});
+
+            expect(values.map(value => typeof value === "string" ? value : value.constructor.name))
+                .to.deep.equal(["b", "C"]);
+        });
+
+        it("should let shared dependents refresh", () => {
+            class Service {
+                constructor(config) {
+                    this.config = config;
+                }
+            }
+
+            container.bindInstance("config", { debug: false });
+            container.bindConstructor("service", Service, Lifetime.SINGLETON);
+            container.onRebind("config", (config, rebindingContainer) => {
+                rebindingContainer.get("service").config = config;
+            });
+            container.get("service");
+            container.rebind("config", { debug: true });
+
+            expect(container.get("service").config).to.deep.equal({ debug: true });
+        });
+
+        it("should not run callbacks for first time bindings", () => {
+            const values = [];
+            container.onRebind("a", value => values.push(value));
+            container.bindInstance("a", "a");
+
+            expect(values).to.deep.equal([]);
+        });
+
+        it("should register callbacks for the identifier an alias refers to", () => {
+            const values = [];
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.onRebind("b", value => values.push(value));
+            container.bindInstance("a", "new a");
+
+            expect(values).to.deep.equal(["new a"]);
+        });
+    });
+
+    describe("#override", () => {
+        it("should replace bindings until restored", () => {
+            container.bindConstructor("a", class A {});
+
+            const restore = container.override("a", "fake");
+
+            expect(container.get("a")).to.equal("fake");
+
+            restore();
+
+            expect(container.get("a").constructor.name).to.equal("A");
+        });
+
+        it("should replace instances and shared objects until restored", () => {
+            container.bindInstance("a", "a");
+            container.bindFactory("b", () => ({}), Lifetime.SINGLETON);
+
+            const b = container.get("b");
+            const restoreA = container.override("a", "fake a");
+            const restoreB = container.override("b", "fake b");
+
+            expect([container.get("a"), container.get("b")]).to.deep.equal(["fake a", "fake b"]);
+
+            restoreA();
+            restoreB();
+
+            expect(container.get("a")).to.equal("a");
+            expect(container.get("b")).to.equal(b);
+        });
+
+        it("should remove the value if nothing was replaced", () => {
+            const restore = container.override("a", "fake");
+
+            restore();
+
+            expect(container.has("a")).to.be.false;
+        });
+
+        it("should replace the identifier an alias refers to", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "b");
+            container.override("b", "fake");
+
+            expect(container.get("a")).to.equal("fake");
+        });
+
+        it("should shadow parent bindings in child containers", () => {
+            const child = container.createChild();
+            container.bindInstance("a", "a");
+            child.override("a", "fake");
+
+            expect([container.get("a"), child.get("a")]).to.deep.equal(["a", "fake"]);
+        });
+
+        it("should inject the value into objects created after the override", () => {
+            container.bindFactory("a", () => "a");
+            container.bindFactory("b", a => `${a}b`);
+            container.override("a", "fake ");
+
+            expect(container.get("b")).to.equal("fake b");
+        });
+    });
+
+    describe("#clearSharedInstances", () => {
+        it("should create shared objects again against overridden dependencies", () => {
+            container.bindFactory("a", () => "a");
+            container.bindFactory("b", a => ({ a }), Lifetime.SINGLETON);
+
+            const b = container.get("b");
+
+            container.override("a", "fake");
+
+            expect(container.get("b")).to.equal(b);
+
+            container.clearSharedInstances();
+
+            expect(container.get("b")).to.not.equal(b);
+            expect(container.get("b").a).to.equal("fake");
+        });
+
+        it("should keep bound instances", () => {
+            container.bindInstance("a", "a");
+            container.clearSharedInstances();
+
+            expect(container.get("a")).to.equal("a");
+        });
+
+        it("should still dispose forgotten objects along with the container", () => {
+            const disposed = [];
+            container.bindFactory("a", () => ({ dispose: () => disposed.push("a") }), Lifetime.SINGLETON);
+            container.get("a");
+            container.clearSharedInstances();
+            container.dispose();
+
+            expect(disposed).to.deep.equal(["a"]);
+        });
+    });
+
+    describe("#snapshot", () => {
+        it("should restore bindings, instances and aliases", () => {
+            container.bindInstance("a", "a");
+            container.bindFactory("b", () => "b");
+
+            const snapshot = container.snapshot();
+
+            container.bindInstance("a", "fake a");
+            container.bindFactory("b", () => "fake b");
+            container.bindInstance("c", "c");
+            container.alias("c", "d");
+            container.restore(snapshot);
+
+            expect([container.get("a"), container.get("b")]).to.deep.equal(["a", "b"]);
+            expect(container.has("c")).to.be.false;
+            expect(container.has("d")).to.be.false;
+        });
+
+        it("should restore tags, extenders, contextual bindings, configuration and hooks", () => {
+            const events = [];
+            const target = a => a;
+            container.bindFactory("a", () => "a");
+
+            const snapshot = container.snapshot();
+
+            container.tag("a", "tag");
+            container.extend("a", a => `${a}!`);
+            container.when(target).needs("a").giveFactory(() => "contextual");
+            container.bindConfig({ b: "b" });
+            container.onResolving("*", ({ identifier }) => events.push(identifier));
+            container.restore(snapshot);
+
+            expect(container.getTagged("tag")).to.deep.equal([]);
+            expect(container.invoke(target)).to.equal("a");
+            expect(container.getConfig("b")).to.be.undefined;
+            expect(events).to.deep.equal([]);
+        });
+
+        it("should forget shared objects created after the snapshot", () => {
+            container.bindFactory("a", () => ({}), Lifetime.SINGLETON);
+
+            const a = container.get("a");
+            const snapshot = container.snapshot();
+
+            container.bindFactory("b", () => ({}), Lifetime.SINGLETON);
+
+            const b = container.get("b");
+
+            container.restore(snapshot);
+            container.bindFactory("b", () => ({}), Lifetime.SINGLETON);
+
+            expect(container.get("a")).to.equal(a);
+            expect(container.get("b")).to.not.equal(b);
+        });
+
+        it("should restore lifetimes changed after the snapshot", () => {
+            container.bindFactory("a", () => ({}));
+
+            const snapshot = container.snapshot();
+
+            container.makeSingleton("a");
+            container.restore(snapshot);
+
+            expect(container.get("a")).to.not.equal(container.get("a"));
+        });
+
+        it("should restore deferred providers loaded after the snapshot", () => {
+            const provider = {
+                provides: ["mailer"],
+                register: container => container.bindFactory("mailer", () => "mailer")
+            };
+
+            container.registerProvider(provider);
+
+            const snapshot = container.snapshot();
+
+            container.get("mailer");
+            container.restore(snapshot);
+
+            expect(container.has("mailer")).to.be.true;
+            expect(container.get("mailer")).to.equal("mailer");
+            expect(() => container.registerProvider(provider)).to.throw("Provider already registered");
+        });
+
+        it("should forget providers registered after the snapshot", () => {
+            const provider = { register: container => container.bindInstance("mailer", "mailer") };
+            const snapshot = container.snapshot();
+
+            container.registerProvider(provider);
+            container.restore(snapshot);
+
+            expect(container.has("mailer")).to.be.false;
+            expect(() => container.registerProvider(provider)).to.not.throw();
+        });
+
+        it("should restore the same snapshot more than once", () => {
+            const snapshot = container.snapshot();
+
+            container.bindInstance("a", "a");
+            container.restore(snapshot);
+            container.bindInstance("a", "a");
+            container.restore(snapshot);
+
+            expect(container.has("a")).to.be.false;
+        });
+    });
+
+    describe("#extend", () => {
+        it("should extend an object as it is resolved", () => {
+            container.bindFactory("name", () => "value");
+            container.extend("name", (value, resolvingContainer) => {
+                expect(resolvingContainer).to.equal(container);
+
+                return `extended ${value}`;
+            });
+
+            expect(container.get("name")).to.equal("extended value");
+        });
+
+        it("should apply extenders in registration order", () => {
+            container.bindFactory("name", () => "value");
+            container.extend("name", value => `${value} a`);
+            container.extend("name", value => `${value} b`);
+
+            expect(container.get("name")).to.equal("value a b");
+        });
+
+        it("should extend singletons once", () => {
+            let extended = 0;
+            container.bindFactory("name", () => ({}), Lifetime.SINGLETON);
+            container.extend("name", value => ({ value, extended: ++extended }));
+
+            expect(container.get("name")).to.equal(container.get("name"));
+            expect(extended).to.equal(1);
+        });
+
+        it("should extend transient objects every time", () => {
+            let extended = 0;
+            container.bindFactory("name", () => ({}));
+            container.extend("name", () => ++extended);
+
+            container.get("name");
+            container.get("name");
+
+            expect(extended).to.equal(2);
+        });
+
+        it("should extend an existing instance right away", () => {
+            let extended = 0;
+            container.bindInstance("name", "value");
+            container.extend("name", value => `${value} ${++extended}`);
+
+            expect(container.get("name")).to.equal("value 1");
+            expect(container.get("name")).to.equal("value 1");
+        });
+
+        it("should extend an instance bound after the extender", () => {
+            container.extend("name", value => `extended ${value}`);
+            container.bindInstance("name", "value");
+
+            expect(container.get("name")).to.equal("extended value");
+        });
+
+        it("should extend a singleton that is already resolved", () => {
+            container.bindFactory("name", () => "value", Lifetime.SINGLETON);
+            container.get("name");
+            container.extend("name", value => `extended ${value}`);
+
+            expect(container.get("name")).to.equal("extended value");
+        });
+
+        it("should extend an object resolved through an alias", () => {
+            container.bindFactory("name", () => "value");
+            container.alias("name", "alias");
+            container.extend("alias", value => `${value} a`);
+            container.extend("name", value => `${value} b`);
+
+            expect(container.get("alias")).to.equal("value a b");
+            expect(container.get("name")).to.equal("value a b");
+        });
+
+        it("should apply parent extenders before child extenders", () => {
+            container.bindFactory("name", () => "value");
+            container.extend("name", value => `${value} parent`);
+
+            const child = container.createChild();
+            child.extend("name", value => `${value} child`);
+
+            expect(child.get("name")).to.equal("value parent child");
+            expect(container.get("name")).to.equal("value parent");
+        });
+
+        it("should keep extending an instance after it is bound again", () => {
+            container.bindInstance("name", "value");
+            container.extend("name", value => `extended ${value}`);
+            container.rebind("name", "other");
+
+            expect(container.get("name")).to.equal("extended other");
+
+            container.bindInstance("name", "third");
+
+            expect(container.get("name")).to.equal("extended third");
+        });
+
+        it("should not extend an object shared by a parent container", () => {
+            container.bindFactory("singleton", () => "value", Lifetime.SINGLETON);
+            container.bindInstance("instance", "value");
+            container.bindFactory("scoped", () => "value", Lifetime.SCOPED);
+
+            const child = container.createChild();
+
+            expect(() => child.extend("singleton", value => value))
+                .to.throw(Error, "Unable to extend singleton in a child container, it is shared by a parent");
+            expect(() => child.extend("instance", value => value))
+                .to.throw(Error, "Unable to extend instance in a child container, it is shared by a parent");
+
+            child.extend("scoped", value => `extended ${value}`);
+
+            expect(child.get("scoped")).to.equal("extended value");
+        });
+
+        it("should wait for asynchronous extenders", async () => {
+            container.bindFactory("name", async () => "value", Lifetime.SINGLETON);
+            container.extend("name", async value => `extended ${value}`);
+
+            expect(await container.getAsync("name")).to.equal("extended value");
+            expect(await container.getAsync("name")).to.equal("extended value");
+        });
+
+        it("should dispose the original object", () => {
+            let disposed = false;
+            container.bindFactory("name", () => ({ dispose: () => disposed = true }), Lifetime.SINGLETON);
+            container.extend("name", value => ({ value }));
+
+            container.get("name");
+            container.dispose();
+
+            expect(disposed).to.be.true;
+        });
+    });
+
+    describe("#getLazy", () => {
+        class A {
+            #secret = "secret";
+
+            constructor() {
+                this.value = "value";
+            }
+
+            reveal() {
+                return this.#secret;
+            }
+        }
+
+        it("should not resolve the object until it is used", () => {
+            let constructed = 0;
+            container.bindFactory("name", () => ++constructed && new A());
+
+            const proxy = container.getLazy("name");
+
+            expect(constructed).to.equal(0);
+            expect(proxy.value).to.equal("value");
+            expect(proxy.reveal()).to.equal("secret");
+            expect(constructed).to.equal(1);
+        });
+
+        it("should keep instanceof working", () => {
+            container.bindConstructor("name", A);
+
+            expect(container.getLazy("name")).to.be.an.instanceof(A);
+        });
+
+        it("should forward every operation to the object", () => {
+            container.bindConstructor("name", A, Lifetime.SINGLETON);
+
+            const proxy = container.getLazy("name");
+            proxy.other = "other";
+
+            expect(container.get("name").other).to.equal("other");
+            expect("other" in proxy).to.be.true;
+            expect(Object.keys(proxy)).to.deep.equal(["value", "other"]);
+            expect({ ...proxy }).to.deep.equal({ value: "value", other: "other" });
+            expect(proxy.reveal).to.equal(proxy.reveal);
+            expect(proxy.constructor).to.equal(A);
+
+            delete proxy.other;
+
+            expect(container.get("name")).not.to.have.property("other");
+        });
+
+        it("should forward calls to a function", () => {
+            container.bindInstance("name", value => `called with ${value}`);
+
+            expect(container.getLazy("name")("value")).to.equal("called with value");
+        });
+
+        it("should report a proxy as an object unless the object may be a function", () => {
+            container.bindConstructor("name", A, Lifetime.SINGLETON);
+            container.bindFactory("object", () => ({}), Lifetime.SINGLETON);
+            container.get("object");
+
+            const proxy = container.getLazy("name");
+
+            expect(typeof proxy).to.equal("object");
+            expect(typeof container.getLazy("object")).to.equal("object");
+            expect(JSON.stringify(proxy)).to.equal('{"value":"value"}');
+        });
+
+        it("should forward calls to a function created by a factory", () => {
+            let created = 0;
+            container.bindFactory("factory", () => ++created && (value => `called with ${value}`));
+
+            const proxy = container.getLazy("factory");
+
+            expect(created).to.equal(0);
+            expect(proxy("value")).to.equal("called with value");
+            expect(created).to.equal(1);
+        });
+
+        it("should not resolve the object when looking up then", async () => {
+            let constructed = 0;
+            container.bindFactory("name", () => ++constructed && new A());
+
+            const proxy = container.getLazy("name");
+
+            expect(proxy.then).to.be.undefined;
+            expect(await Promise.resolve(proxy)).to.equal(proxy);
+            expect(constructed).to.equal(0);
+        });
+
+        it("should throw on first use if the identifier is unknown", () => {
+            const proxy = container.getLazy("name");
+
+            expect(() => proxy.value).to.throw(Error, "Unknown identifier: name");
+        });
+    });
+
+    describe("lazy injection", () => {
+        class A {
+            constructor(b) {
+                this.b = b;
+            }
+        }
+
+        class B {
+            constructor(a) {
+                this.a = a;
+            }
+        }
+
+        it("should inject a lazy binding as a lazy proxy", () => {
+            let constructed = 0;
+            container.bindFactory("b", () => ++constructed && new B(), { lazy: true });
+
+            const a = container.construct(A);
+
+            expect(constructed).to.equal(0);
+            expect(a.b).to.be.an.instanceof(B);
+            expect(constructed).to.equal(1);
+        });
+
+        it("should inject a lazy function created by a factory as a callable proxy", () => {
+            container.bindFactory("fn", () => () => 42, { lazy: true });
+
+            expect(container.invoke(fn => fn())).to.equal(42);
+        });
+
+        it("should retrieve a lazy binding directly", () => {
+            container.bindConstructor("b", B, { lazy: true });
+
+            expect(container.get("b")).to.be.an.instanceof(B);
+        });
+
+        it("should inject an identifier declared lazy by injection metadata", () => {
+            class C {
+                static inject = { b: lazy("b") };
+
+                constructor(b) {
+                    this.b = b;
+                }
+            }
+
+            let constructed = 0;
+            container.bindFactory("b", () => ++constructed && new B());
+
+            const c = container.construct(C);
+
+            expect(constructed).to.equal(0);
+            expect(c.b).to.be.an.instanceof(B);
+            expect(constructed).to.equal(1);
+        });
+
+        it("should break circular dependencies", () => {
+            container.bindConstructor("a", A, Lifetime.SINGLETON);
+            container.bindConstructor("b", B, { lifetime: Lifetime.SINGLETON, lazy: true });
+
+            const a = container.get("a");
+
+            expect(a.b.a).to.equal(a);
+            expect(container.get("b").a).to.equal(a);
+        });
+
+        it("should break circular dependencies declared by injection metadata", () => {
+            container.bindConstructor("a", A, Lifetime.SINGLETON);
+            container.bindConstructor("b", B, { lifetime: Lifetime.SINGLETON, inject: [lazy("a")] });
+
+            const b = container.get("b");
+
+            expect(b.a.b).to.equal(b);
+        });
+
+        it("should inject a lazy proxy asynchronously without resolving the object", async () => {
+            class C {
+                static inject = { b: lazy("b") };
+
+                constructor(b) {
+                    this.b = b;
+                }
+            }
+
+            let constructed = 0;
+            container.bindFactory("b", () => ++constructed && new B());
+            container.bindConstructor("c", C);
+
+            const c = await container.getAsync("c");
+            await container.constructAsync(C);
+
+            expect(constructed).to.equal(0);
+            expect(c.b).to.be.an.instanceof(B);
+            expect(constructed).to.equal(1);
+        });
+
+        it("should break circular dependencies asynchronously", async () => {
+            let constructed = 0;
+            container.bindConstructor("a", A, { lifetime: Lifetime.SINGLETON, lazy: true });
+            container.bindFactory("b", a => ++constructed && new B(a), Lifetime.SINGLETON);
+
+            const b = await container.getAsync("b");
+
+            expect(b.a.b).to.equal(b);
+            expect(constructed).to.equal(1);
+        });
+
+        it("should describe a lazy identifier", () => {
+            expect(String(lazy(A))).to.equal("Lazy(A)");
+            expect(lazy("a")).to.be.an.instanceof(LazyIdentifier);
+        });
+    });
+
+    describe("multi bindings", () => {
+        class Cors {}
+        class Compression {}
+
+        it("should retrieve every object of a multi binding in registration order", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+            container.bindFactory("middleware", () => "logger", { multi: true });
+            container.bindInstance("middleware", "static", { multi: true });
+
+            const middleware = container.getAll("middleware");
+
+            expect(middleware).to.have.lengthOf(3);
+            expect(middleware[0]).to.be.an.instanceOf(Cors);
+            expect(middleware.slice(1)).to.deep.equal(["logger", "static"]);
+            expect(container.get("middleware")).to.have.lengthOf(3);
+        });
+
+        it("should report a multi binding as bound", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+
+            expect(container.has("middleware")).to.be.true;
+        });
+
+        it("should retrieve a list of the only object of a regular binding", () => {
+            container.bindInstance("middleware", "value");
+
+            expect(container.getAll("middleware")).to.deep.equal(["value"]);
+            expect(container.getAll("unknown")).to.deep.equal([]);
+        });
+
+        it("should keep the lifetime of every entry", () => {
+            container.bindConstructor("middleware", Cors, { lifetime: Lifetime.SINGLETON, multi: true });
+            container.bindConstructor("middleware", Compression, { multi: true });
+
+            const [cors, compression] = container.getAll("middleware");
+
+            expect(container.getAll("middleware")[0]).to.equal(cors);
+            expect(container.getAll("middleware")[1]).to.not.equal(compression);
+        });
+
+        it("should inject every object into a parameter named after the identifier", () => {
+            class Pipeline {
+                constructor(middleware) {
+                    this.middleware = middleware;
+                }
+            }
+
+            container.bindConstructor("middleware", Cors, { multi: true });
+            container.bindConstructor("middleware", Compression, { multi: true });
+
+            const { middleware } = container.construct(Pipeline);
+
+            expect(middleware[0]).to.be.an.instanceOf(Cors);
+            expect(middleware[1]).to.be.an.instanceOf(Compression);
+        });
+
+        it("should append entries bound in a child container", () => {
+            container.bindInstance("middleware", "a", { multi: true });
+
+            const child = container.createChild();
+            child.bindInstance("middleware", "b", { multi: true });
+
+            expect(child.getAll("middleware")).to.deep.equal(["a", "b"]);
+            expect(container.getAll("middleware")).to.deep.equal(["a"]);
+        });
+
+        it("should retrieve every object of a multi binding by an alias", () => {
+            container.bindInstance("middleware", "a", { multi: true });
+            container.alias("middleware", "alias");
+
+            expect(container.getAll("alias")).to.deep.equal(["a"]);
+        });
+
+        it("should replace a multi binding with a regular binding", () => {
+            container.bindInstance("middleware", "a", { multi: true });
+            container.bindInstance("middleware", "b");
+
+            expect(container.getAll("middleware")).to.deep.equal(["b"]);
+            expect(container.inspect().nodes).to.have.lengthOf(1);
+        });
+
+        it("should keep multi bindings apart from tags of the same name", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+            container.bindInstance("other", 1);
+            container.tag("other", "middleware");
+
+            const middleware = container.getAll("middleware");
+
+            expect(middleware).to.have.lengthOf(1);
+            expect(middleware[0]).to.be.an.instanceOf(Cors);
+            expect(container.getTagged("middleware")).to.deep.equal([1]);
+        });
+
+        it("should not add a multi binding to an identifier that is already bound", () => {
+            container.bindInstance("middleware", "a");
+
+            expect(() => container.bindInstance("middleware", "b", { multi: true }))
+                .to.throw(Error, "Unable to add multi binding to middleware, it is already bound");
+        });
+
+        it("should not pass parameters to a multi binding", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+
+            expect(() => container.make("middleware", { a: 1 }))
+                .to.throw(Error, "Unable to pass parameters to multi binding middleware");
+        });
+
+        it("should not make a multi binding a singleton", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+
+            expect(() => container.makeSingleton("middleware"))
+                .to.throw(Error, "Unable to make multi binding middleware a singleton");
+        });
+
+        it("should not extend a multi binding", () => {
+            container.bindConstructor("middleware", Cors, { multi: true });
+            container.alias("middleware", "alias");
+
+            expect(() => container.extend("alias", middleware => middleware))
+                .to.throw(Error, "Unable to extend multi binding middleware");
+        });
+
+        it("should not add a multi binding to an extended identifier", () => {
+            container.extend("middleware", middleware => middleware);
+
+            expect(() => container.createChild().bindConstructor("middleware", Cors, { multi: true }))
+                .to.throw(Error, "Unable to add multi binding to middleware, it is extended");
+        });
+
+        it("should unbind every entry of a multi binding", () => {
+            container.bindInstance("middleware", "a", { multi: true });
+            container.bindInstance("middleware", "b", { multi: true });
+            container.unbind("middleware");
+
+            expect(container.has("middleware")).to.be.false;
+            expect(container.getAll("middleware")).to.deep.equal([]);
+            expect(container.inspect().nodes).to.be.empty;
+        });
+
+        it("should restore multi bindings from a snapshot", () => {
+            container.bindInstance("middleware", "a", { multi: true });
+
+            const snapshot = container.snapshot();
+
+            container.bindInstance("middleware", "b", { multi: true });
+            container.restore(snapshot);
+
+            expect(container.getAll("middleware")).to.deep.equal(["a"]);
+        });
+
+        it("should retrieve every object of a multi binding asynchronously", async () => {
+            container.bindFactory("middleware", async () => "a", { multi: true });
+            container.bindFactory("middleware", async () => "b", { multi: true });
+
+            expect(await container.getAllAsync("middleware")).to.deep.equal(["a", "b"]);
+            expect(await container.getAllAsync("unknown")).to.deep.equal([]);
+        });
+    });
+
+    describe("#tag", () => {
+        it("should retrieve tagged objects in registration order", () => {
+            container.bindInstance("b", "b");
+            container.bindFactory("a", () => "a");
+            container.bindInstance("c", "c");
+            container.tag(["b", "a"], "tag");
+            container.tag("c", "tag");
+
+            expect(container.getTagged("tag")).to.deep.equal(["b", "a", "c"]);
+        });
+
+        it("should retrieve nothing for an unknown tag", () => {
+            expect(container.getTagged("tag")).to.deep.equal([]);
+        });
+
+        it("should retrieve objects tagged in a parent container first", () => {
+            container.bindInstance("a", "a");
+            container.bindInstance("b", "b");
+            container.tag("a", "tag");
+
+            const child = container.createChild();
+            child.tag(["b", "a"], "tag");
+
+            expect(child.getTagged("tag")).to.deep.equal(["a", "b"]);
+            expect(container.getTagged("tag")).to.deep.equal(["a"]);
+        });
+
+        it("should retrieve tagged objects by an alias", () => {
+            container.bindInstance("name", "value");
+            container.alias("name", "alias");
+            container.tag("alias", "tag");
+
+            expect(container.getTagged("tag")).to.deep.equal(["value"]);
+        });
+
+        it("should inject tagged objects into a parameter named after the tag", () => {
+            class A {
+                constructor(validators) {
+                    this.validators = validators;
+                }
+            }
+
+            container.bindInstance("a", "a");
+            container.bindInstance("b", "b");
+            container.tag(["a", "b"], "validators");
+
+            expect(container.construct(A).validators).to.deep.equal(["a", "b"]);
+        });
+
+        it("should inject tagged objects declared by injection metadata", () => {
+            class A {
+                static inject = { checks: "health-check" };
+
+                constructor(checks) {
+                    this.checks = checks;
+                }
+            }
+
+            container.bindInstance("a", "a");
+            container.tag("a", "health-check");
+
+            expect(container.construct(A).checks).to.deep.equal(["a"]);
+        });
+
+        it("should spread tagged objects into a rest parameter", () => {
+            container.bindInstance("a", "a");
+            container.bindInstance("b", "b");
+            container.tag(["a", "b"], "values");
+
+            expect(container.invoke((...values) => values)).to.deep.equal(["a", "b"]);
+        });
+
+        it("should prefer a binding over a tag", () => {
+            container.bindInstance("a", "a");
+            container.bindInstance("values", "value");
+            container.tag("a", "values");
+
+            expect(container.invoke(values => values)).to.equal("value");
+        });
+
+        it("should detect circular dependencies through a tag", () => {
+            container.bindFactory("a", values => values);
+            container.tag("a", "values");
+
+            expect(() => container.get("a")).to.throw(CircularDependencyError, "a -> a");
+        });
+
+        it("should retrieve tagged objects asynchronously", async () => {
+            container.bindFactory("a", async () => "a");
+            container.bindFactory("b", async () => "b");
+            container.tag(["a", "b"], "tag");
+
+            expect(await container.getTaggedAsync("tag")).to.deep.equal(["a", "b"]);
+            expect(await container.invokeAsync(tag => tag)).to.deep.equal(["a", "b"]);
+        });
+    });
+
+    describe("#when", () => {
+        class Logger {}
+        class AuditLogger extends Logger {}
+
+        class PaymentService {
+            constructor(logger) {
+                this.logger = logger;
+            }
+        }
+
+        class OrderService {
+            constructor(logger) {
+                this.logger = logger;
+            }
+        }
+
+        beforeEach(() => {
+            container.bindConstructor("logger", Logger);
+            container.bindConstructor("auditLogger", AuditLogger);
+        });
+
+        it("should give a target another identifier", () => {
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            expect(container.construct(PaymentService).logger).to.be.an.instanceof(AuditLogger);
+            expect(container.construct(OrderService).logger).not.to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should give a target whatever a factory returns", () => {
+            container.when(PaymentService).needs("logger").giveFactory(auditLogger => ({ auditLogger }));
+
+            expect(container.construct(PaymentService).logger.auditLogger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should give several targets another identifier", () => {
+            container.when([PaymentService, OrderService]).needs("logger").give("auditLogger");
+
+            expect(container.construct(PaymentService).logger).to.be.an.instanceof(AuditLogger);
+            expect(container.construct(OrderService).logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should apply to targets resolved from a binding", () => {
+            container.bindConstructor("payments", PaymentService);
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            expect(container.get("payments").logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should apply to invoked functions", () => {
+            const func = logger => logger;
+            container.when(func).needs("logger").give("auditLogger");
+
+            expect(container.invoke(func)).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should apply to classes inheriting the constructor of a target", () => {
+            class RefundService extends PaymentService {}
+
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            expect(container.construct(RefundService).logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should prefer the bindings of the constructed class", () => {
+            class RefundService extends PaymentService {}
+
+            container.when(PaymentService).needs("logger").give("auditLogger");
+            container.when(RefundService).needs("logger").giveFactory(() => "refund logger");
+
+            expect(container.construct(RefundService).logger).to.equal("refund logger");
+            expect(container.construct(PaymentService).logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should not apply to classes with a constructor of their own", () => {
+            class RefundService extends PaymentService {
+                constructor(logger) {
+                    super(logger);
+                }
+            }
+
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            expect(container.construct(RefundService).logger).not.to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should match the identifier declared by injection metadata", () => {
+            class A {
+                static inject = [Logger];
+
+                constructor(logger) {
+                    this.logger = logger;
+                }
+            }
+
+            container.bindConstructor(Logger, Logger);
+            container.when(A).needs(Logger).give("auditLogger");
+
+            expect(container.construct(A).logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should apply to destructured parameters", () => {
+            const func = ({ logger }) => logger;
+            container.when(func).needs("logger").give("auditLogger");
+
+            expect(container.invoke(func)).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should prefer named parameters", () => {
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            expect(container.construct(PaymentService, { logger: "value" }).logger).to.equal("value");
+        });
+
+        it("should prefer the bindings of a child container", () => {
+            container.when(PaymentService).needs("logger").give("auditLogger");
+
+            const child = container.createChild();
+            child.when(PaymentService).needs("logger").giveFactory(() => "child logger");
+
+            expect(child.construct(PaymentService).logger).to.equal("child logger");
+            expect(container.construct(PaymentService).logger).to.be.an.instanceof(AuditLogger);
+        });
+
+        it("should detect circular dependencies through a contextual binding", () => {
+            container.bindConstructor("payments", PaymentService);
+            container.when(PaymentService).needs("logger").give("payments");
+
+            expect(() => container.get("payments")).to.throw(CircularDependencyError, "payments -> payments");
+        });
+
+        it("should require a need before giving anything", () => {
+            expect(() => container.when(PaymentService).give("auditLogger")).to.throw(Error);
+        });
+
+        it("should wait for asynchronous contextual factories", async () => {
+            container.when(PaymentService).needs("logger").giveFactory(async () => "async logger");
+
+            expect((await container.constructAsync(PaymentService)).logger).to.equal("async logger");
+        });
+    });
+
+    describe("#registerProvider", () => {
+        it("should let a provider object register its bindings", () => {
+            container.registerProvider({
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                }
+            });
+
+            expect(container.get("name")).to.equal("value");
+        });
+
+        it("should construct a provider class", () => {
+            class Provider {
+                constructor(config) {
+                    this.config = config;
+                }
+
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", this.config);
+                }
+            }
+
+            container.bindInstance("config", "value");
+            container.registerProvider(Provider);
+
+            expect(container.get("name")).to.equal("value");
+        });
+
+        it("should reject a provider registered twice", () => {
+            class Provider {
+                register() {}
+            }
+
+            const provider = { register() {} };
+
+            container.registerProvider(Provider);
+            container.registerProvider(provider);
+
+            expect(() => container.registerProvider(Provider)).to.throw(Error, "Provider already registered: Provider");
+            expect(() => container.registerProvider(new Provider())).to.throw(Error, "Provider");
+            expect(() => container.registerProvider(provider)).to.throw(Error, "anonymous provider");
+        });
+
+        it("should defer a provider until something it provides is resolved", () => {
+            let constructed = 0;
+
+            class Provider {
+                static provides = ["a", "b"];
+
+                constructor() {
+                    constructed++;
+                }
+
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("a", "a");
+                    registeringContainer.bindInstance("b", "b");
+                }
+            }
+
+            container.registerProvider(Provider);
+
+            expect(constructed).to.equal(0);
+            expect(container.has("a")).to.be.true;
+            expect(container.get("b")).to.equal("b");
+            expect(container.get("a")).to.equal("a");
+            expect(constructed).to.equal(1);
+        });
+
+        it("should load a deferred provider when injecting a parameter", () => {
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                }
+            });
+
+            expect(container.invoke(name => name)).to.equal("value");
+        });
+
+        it("should load a deferred provider registered in a parent container", () => {
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindFactory("name", () => ({}), Lifetime.SINGLETON);
+                }
+            });
+
+            const child = container.createChild();
+
+            expect(child.get("name")).to.equal(container.get("name"));
+        });
+
+        it("should boot a deferred provider loaded after the container is booted", async () => {
+            const booted = [];
+
+            container.bindInstance("config", "config");
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                },
+                boot(config) {
+                    booted.push(config);
+                }
+            });
+
+            await container.boot();
+
+            expect(booted).to.be.empty;
+            expect(container.get("name")).to.equal("value");
+            expect(booted).to.deep.equal(["config"]);
+        });
+
+        it("should wait for a deferred provider to boot when resolving asynchronously", async () => {
+            let booted = false;
+
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                },
+                async boot() {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    booted = true;
+                }
+            });
+
+            await container.boot();
+
+            expect(await container.getAsync("name")).to.equal("value");
+            expect(booted).to.be.true;
+        });
+
+        it("should refuse to boot an async deferred provider synchronously", async () => {
+            let booted = false;
+
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                },
+                async boot() {
+                    booted = true;
+                }
+            });
+
+            await container.boot();
+
+            expect(() => container.get("name"))
+                .to.throw(Error, "Unable to boot the provider of name synchronously, use getAsync() instead");
+            expect(booted).to.be.false;
+            expect(await container.getAsync("name")).to.equal("value");
+            expect(booted).to.be.true;
+        });
+
+        it("should throw an error if a deferred provider returns a promise when booted synchronously", async () => {
+            container.registerProvider({
+                provides: ["name"],
+                register(registeringContainer) {
+                    registeringContainer.bindInstance("name", "value");
+                },
+                boot() {
+                    return Promise.reject(new Error("failed"));
+                }
+            });
+
+            await container.boot();
+
+            expect(() => container.get("name"))
+                .to.throw(Error, "Unable to boot the provider of name synchronously, use getAsync() instead");
+        });
+    });
+
+    describe("#boot", () => {
+        it("should register every provider before booting any", async () => {
+            const phases = [];
+
+            container.registerProvider({
+                register() {
+                    phases.push("register a");
+                },
+                boot() {
+                    phases.push("boot a");
+                }
+            });
+            container.registerProvider({
+                register() {
+                    phases.push("register b");
+                },
+                boot() {
+                    phases.push("boot b");
+                }
+            });
+
+            await container.boot();
+
+            expect(phases).to.deep.equal(["register a", "register b", "boot a", "boot b"]);
+        });
+
+        it("should inject the dependencies of the boot function", async () => {
+            let injected;
+
+            container.registerProvider({
+                register(registeringContainer) {
+                    registeringContainer.bindFactory("database", async () => "database");
+                },
+                boot(database) {
+                    injected = database;
+                }
+            });
+
+            await container.boot();
+
+            expect(injected).to.equal("database");
+        });
+
+        it("should wait for each provider to boot in registration order", async () => {
+            const booted = [];
+
+            container.registerProvider({
+                register() {},
+                async boot() {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    booted.push("a");
+                }
+            });
+            container.registerProvider({
+                register() {},
+                boot() {
+                    booted.push("b");
+                }
+            });
+
+            await container.boot();
+
+            expect(booted).to.deep.equal(["a", "b"]);
+        });
+
+        it("should boot providers once", async () => {
+            let booted = 0;
+
+            container.registerProvider({
+                register() {},
+                boot() {
+                    booted++;
+                }
+            });
+
+            await container.boot();
+            await container.boot();
+
+            expect(booted).to.equal(1);
+        });
+
+        it("should boot the remaining providers when booting again after a failure", async () => {
+            const booted = [];
+            let failing = true;
+
+            container.registerProvider({ register() {}, boot: () => booted.push("a") });
+            container.registerProvider({
+                register() {},
+                async boot() {
+                    if (failing) {
+                        throw new Error("failure");
+                    }
+
+                    booted.push("b");
+                }
+            });
+            container.registerProvider({ register() {}, boot: () => booted.push("c") });
+
+            let error;
+
+            try {
+                await container.boot();
+            } catch (e) {
+                error = e;
+            }
+
+            failing = false;
+            await container.boot();
+
+            expect(error).to.have.property("message", "failure");
+            expect(booted).to.deep.equal(["a", "b", "c"]);
+        });
+
+        it("should boot providers registered while booting", async () => {
+            const booted = [];
+
+            container.registerProvider({
+                register() {},
+                boot: () => container.registerProvider({ register() {}, boot: () => booted.push("b") })
+            });
+
+            await container.boot();
+
+            expect(booted).to.deep.equal(["b"]);
+        });
+
+        it("should boot a provider registered after the container is booted", async () => {
+            let booted = false;
+
+            await container.boot();
+            container.registerProvider({
+                register() {},
+                boot() {
+                    booted = true;
+                }
+            });
+
+            expect(booted).to.be.true;
+        });
+
+        it("should boot providers without a boot function", async () => {
+            container.registerProvider({ register() {} });
+
+            await container.boot();
+        });
+    });
+
+    describe("resolution hooks", () => {
+        class A {
+            constructor(b) {
+                this.b = b;
+            }
+        }
+
+        class B {}
+
+        it("should run hooks around resolving an identifier", () => {
+            const events = [];
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+            container.onResolving("a", event => events.push(["resolving", { ...event }]));
+            container.afterResolving("a", event => events.push(["resolved", event]));
+
+            const a = container.get("a");
+
+            expect(events).to.have.lengthOf(2);
+            expect(events[0]).to.deep.equal(["resolving", { identifier: "a", depth: 0 }]);
+            expect(events[1][1]).to.include({ identifier: "a", depth: 0, value: a, cached: false });
+            expect(events[1][1].duration).to.be.a("number").and.at.least(0);
+        });
+
+        it("should run wildcard hooks for every dependency", () => {
+            const events = [];
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+            container.afterResolving("*", ({ identifier, depth }) => events.push([identifier, depth]));
+
+            container.get("a");
+
+            expect(events).to.deep.equal([["b", 1], ["a", 0]]);
+        });
+
+        it("should resolve the dependencies of constructed classes and invoked functions one level down", async () => {
+            const events = [];
+            const f = b => b;
+            container.bindConstructor("b", B);
+            container.afterResolving("*", ({ identifier, depth }) => events.push([identifier, depth]));
+
+            container.construct(A);
+            container.invoke(f);
+            await container.constructAsync(A);
+            await container.invokeAsync(f);
+
+            expect(events).to.deep.equal([["b", 1], [A, 0], ["b", 1], [f, 0], ["b", 1], [A, 0], ["b", 1], [f, 0]]);
+        });
+
+        it("should run hooks in registration order starting with the parent container", () => {
+            const hooks = [];
+            container.bindInstance("a", "a");
+            container.afterResolving("*", () => hooks.push("parent wildcard"));
+
+            const child = container.createChild();
+            child.afterResolving("a", () => hooks.push("child a"));
+            child.afterResolving("*", () => hooks.push("child wildcard"));
+            container.afterResolving("a", () => hooks.push("parent a"));
+
+            child.get("a");
+
+            expect(hooks).to.deep.equal(["parent wildcard", "parent a", "child a", "child wildcard"]);
+        });
+
+        it("should run hooks for the original identifier of an alias", () => {
+            const identifiers = [];
+            container.bindInstance("name", "value");
+            container.alias("name", "alias");
+            container.afterResolving("alias", ({ identifier }) => identifiers.push(identifier));
+
+            container.get("alias");
+            container.get("name");
+
+            expect(identifiers).to.deep.equal(["name", "name"]);
+        });
+
+        it("should report whether the value was cached", () => {
+            const cached = [];
+            container.bindConstructor("a", B, Lifetime.SINGLETON);
+            container.bindInstance("b", "b");
+            container.afterResolving("*", event => cached.push([event.identifier, event.cached]));
+
+            container.get("a");
+            container.get("a");
+            container.get("b");
+
+            expect(cached).to.deep.equal([["a", false], ["a", true], ["b", true]]);
+        });
+
+        it("should run hooks around construct and invoke", () => {
+            const identifiers = [];
+            const func = () => "value";
+            container.afterResolving("*", ({ identifier, value }) => identifiers.push([identifier, value]));
+
+            const b = container.construct(B);
+            container.invoke(func);
+
+            expect(identifiers).to.deep.equal([[B, b], [func, "value"]]);
+        });
+
+        it("should run hooks around asynchronous resolutions", async () => {
+            const events = [];
+            container.bindFactory("a", async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+                return "a";
+            });
+            container.afterResolving("a", event => events.push(event));
+
+            await container.getAsync("a");
+
+            expect(events).to.have.lengthOf(1);
+            expect(events[0]).to.include({ identifier: "a", value: "a" });
+            expect(events[0].duration).to.be.at.least(5);
+        });
+
+        it("should name the identifier when a hook fails", () => {
+            const failure = new Error("failure");
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+            container.onResolving("b", () => {
+                throw failure;
+            });
+
+            expect(() => container.get("a"))
+                .to.throw(ResolutionHookError, "Resolution hook failed for b: failure")
+                .with.property("cause", failure);
+        });
+
+        it("should name the identifier when an asynchronous resolution hook fails", async () => {
+            container.bindInstance("a", "a");
+            container.afterResolving("a", () => {
+                throw new Error("failure");
+            });
+
+            let error;
+
+            try {
+                await container.getAsync("a");
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.an.instanceof(ResolutionHookError);
+            expect(error.identifier).to.equal("a");
+        });
+    });
+
+    describe("#validate", () => {
+        class A {
+            constructor(b) {
+                this.b = b;
+            }
+        }
+
+        class B {
+            constructor(a) {
+                this.a = a;
+            }
+        }
+
+        function validate() {
+            try {
+                container.validate();
+            } catch (error) {
+                expect(error).to.be.an.instanceof(ValidationError);
+
+                return error.problems.map(({ type, message }) => [type, message]);
+            }
+
+            return [];
+        }
+
+        it("should accept a valid container", () => {
+            container.bindConstructor("a", A, Lifetime.SINGLETON);
+            container.bindInstance("b", "b");
+            container.bindFactory("c", (a, d = null, ...rest) => [a, d, rest]);
+
+            expect(() => container.validate()).not.to.throw();
+        });
+
+        it("should not create any objects", () => {
+            let created = false;
+            container.bindFactory("a", () => created = true, Lifetime.SINGLETON);
+            container.bindFactory("b", a => a);
+
+            container.validate();
+
+            expect(created).to.be.false;
+        });
+
+        it("should report dependencies that can't be resolved", () => {
+            container.bindConstructor("a", A);
+
+            expect(validate()).to.deep.equal([
+                ["missingDependency", "Unable to resolve dependency b of a"]
+            ]);
+        });
+
+        it("should report aliases of unknown identifiers", () => {
+            container.bindInstance("a", "a");
+            container.alias("a", "valid");
+            container.alias("unknown", "dangling");
+
+            expect(validate()).to.deep.equal([
+                ["danglingAlias", "Alias dangling refers to unknown identifier unknown"]
+            ]);
+        });
+
+        it("should report circular dependencies once", () => {
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+            container.bindFactory("c", c => c);
+
+            expect(validate()).to.deep.equal([
+                ["circularDependency", "Circular dependency detected: a -> b -> a"],
+                ["circularDependency", "Circular dependency detected: c -> c"]
+            ]);
+        });
+
+        it("should not report cycles broken by a lazy dependency", () => {
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B, { lazy: true });
+
+            expect(validate()).to.be.empty;
+        });
+
+        it("should report singletons depending on shorter lived objects", () => {
+            container.bindFactory("a", (b, c) => [b, c], Lifetime.SINGLETON);
+            container.bindFactory("b", () => "b");
+            container.bindFactory("c", () => "c", Lifetime.SCOPED);
+            container.bindFactory("d", a => a, Lifetime.SINGLETON);
+
+            expect(validate()).to.deep.equal([
+                ["captiveDependency", "Singleton a depends on transient b"],
+                ["captiveDependency", "Singleton a depends on scoped c"]
+            ]);
+        });
+
+        it("should accept multi bindings and their aliases", () => {
+            container.bindInstance("b", "b");
+            container.bindConstructor("middleware", A, { multi: true });
+            container.bindInstance("middleware", "static", { multi: true });
+            container.alias("middleware", "middlewares");
+            container.bindFactory("pipeline", middlewares => middlewares);
+
+            expect(validate()).to.be.empty;
+        });
+
+        it("should report singletons depending on shorter lived entries of a multi binding", () => {
+            container.bindInstance("b", "b");
+            container.bindConstructor("middleware", A, { multi: true });
+            container.bindFactory("pipeline", middleware => middleware, Lifetime.SINGLETON);
+
+            expect(validate()).to.deep.equal([
+                ["captiveDependency", "Singleton pipeline depends on transient Symbol(middleware[0])"]
+            ]);
+        });
+
+        it("should report every problem at once", () => {
+            container.bindConstructor("a", A, Lifetime.SINGLETON);
+            container.bindFactory("b", (a, missing) => [a, missing]);
+            container.alias("unknown", "alias");
+
+            let error;
+
+            try {
+                container.validate();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.problems.map(({ type }) => type)).to.deep.equal([
+                "missingDependency",
+                "danglingAlias",
+                "circularDependency",
+                "captiveDependency"
+            ]);
+            expect(error.problems.map(({ identifier }) => identifier)).to.deep.equal(["b", "alias", "a", "a"]);
+            expect(error.message).to.equal([
+                "Container validation failed:",
+                "- Unable to resolve dependency missing of b",
+                "- Alias alias refers to unknown identifier unknown",
+                "- Circular dependency detected: a -> b -> a",
+                "- Singleton a depends on transient b"
+            ].join("\n"));
+        });
+    });
+
+    describe("#bindConfig", () => {
+        it("should inject parameters with configuration values matching their names", () => {
+            container.bindConfig({ host: "localhost", port: 5432 });
+
+            expect(container.invoke((host, port) => `${host}:${port}`)).to.equal("localhost:5432");
+        });
+
+        it("should inject camel cased parameters with nested configuration values", () => {
+            container.bindConfig({ db: { host: "localhost", maxConnections: 10 }, database: { port: 5432 } });
+
+            const result = container.invoke(
+                (dbHost, dbMaxConnections, databasePort) => [dbHost, dbMaxConnections, databasePort]
+            );
+
+            expect(result).to.deep.equal(["localhost", 10, 5432]);
+        });
+
+        it("should inject configuration values given by config identifiers", () => {
+            container.bindConfig({ database: { host: "localhost" } });
+            container.bindConstructor("connection", class {
+                constructor(host) {
+                    this.host = host;
+                }
+            }, { inject: ["config:database.host"] });
+
+            expect(container.get("connection").host).to.equal("localhost");
+        });
+
+        it("should prefer bindings over configuration values", () => {
+            container.bindConfig({ host: "localhost" });
+            container.bindInstance("host", "example.com");
+
+            expect(container.invoke(host => host)).to.equal("example.com");
+        });
+
+        it("should prefer configuration values over tags", () => {
+            container.bindConfig({ plugins: [] });
+            container.bindInstance("a", "a");
+            container.tag("a", "plugins");
+
+            expect(container.invoke(plugins => plugins)).to.deep.equal([]);
+        });
+
+        it("should prefer sources bound later", () => {
+            container.bindConfig({ db: { host: "localhost", port: 5432 } });
+            container.bindConfig(new EnvironmentConfigSource({ DB_HOST: "example.com" }, { prefix: "" }));
+
+            expect(container.invoke((dbHost, dbPort) => [dbHost, dbPort])).to.deep.equal(["example.com", 5432]);
+        });
+
+        it("should prefer sources of the child container", () => {
+            const child = container.createChild();
+            container.bindConfig({ host: "localhost", port: 5432 });
+            child.bindConfig({ host: "example.com" });
+
+            expect(child.invoke((host, port) => [host, port])).to.deep.equal(["example.com", 5432]);
+        });
+
+        it("should accept custom configuration sources", () => {
+            container.bindConfig({ lookup: words => ({ value: words.join("-") }) });
+
+            expect(container.invoke(dbHost => dbHost)).to.equal("db-host");
+        });
+
+        it("should await configuration values when resolving asynchronously", async () => {
+            container.bindConfig({ db: { host: "localhost" } });
+            container.bindFactory("connection", async dbHost => dbHost);
+
+            expect(await container.getAsync("connection")).to.equal("localhost");
+        });
+
+        it("should not report dependencies resolved by configuration as missing", () => {
+            container.bindConfig({ db: { host: "localhost" } });
+            container.bindFactory("connection", (dbHost, dbPort) => `${dbHost}:${dbPort}`);
+
+            expect(container.inspect().findMissingDependencies()).to.deep.equal([
+                { dependent: "connection", identifier: "dbPort" }
+            ]);
+        });
+
+        it("should throw an error for missing config identifiers in strict mode", () => {
+            container = new Container({ strict: true });
+            container.bindFactory("connection", host => host, { inject: ["config:database.host"] });
+
+            expect(() => container.get("connection")).to.throw(UnresolvableParameterError);
+        });
+    });
+
+    describe("#getConfig", () => {
+        it("should retrieve configuration values by path", () => {
+            container.bindConfig({ database: { host: "localhost" } });
+
+            expect(container.getConfig("database.host")).to.equal("localhost");
+            expect(container.getConfig("config:database.host")).to.equal("localhost");
+            expect(container.getConfig("database")).to.deep.equal({ host: "localhost" });
+        });
+
+        it("should return the default value for missing configuration values", () => {
+            container.bindConfig({ database: { host: "localhost" } });
+
+            expect(container.getConfig("database.port")).to.be.undefined;
+            expect(container.getConfig("database.port", 5432)).to.equal(5432);
+        });
+
+        it("should return configured null values instead of the default value", () => {
+            container.bindConfig({ database: { password: null } });
+
+            expect(container.getConfig("database.password", "secret")).to.be.null;
+        });
+    });
+
+    describe("#requireConfig", () => {
+        it("should accept existing configuration values", () => {
+            container.bindConfig({ database: { host: "localhost", port: null } });
+
+            expect(() => container.requireConfig(["database.host", "database.port"])).to.not.throw();
+        });
+
+        it("should report every missing configuration value", () => {
+            container.bindConfig({ database: { host: "localhost" } });
+
+            let error;
+
+            try {
+                container.requireConfig(["database.host", "database.port", "cache.host"]);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(ConfigurationError);
+            expect(error.paths).to.deep.equal(["database.port", "cache.host"]);
+            expect(error.message).to.equal("Missing required configuration: database.port, cache.host");
+        });
+    });
+
+    describe("#construct", () => {
+        class A {}
+        class B { constructor(a) { this.a = a } }
+        class C { constructor(b) { this.b = b } }
+
+        it("should construct an instance without arguments", () => {
+            expect(container.construct(A)).to.be.an.instanceof(A);
+        });
+
+        it("should resolve dependency by name if bound", () => {
+            container.bindConstructor("a", A);
+
+            expect(container.construct(B).a).to.be.an.instanceof(A);
+        });
+
+        it("should recursively resolve dependencies by name if bound", () => {
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+
+            const c = container.construct(C);
+
+            expect(c.b).to.be.an.instanceof(B);
+            expect(c.b.a).to.be.an.instanceof(A);
+        });
+
+        it("should resolve parameters for parent constructors", () => {
+            class D extends B {}
+            class E extends D {}
+
+            container.bindConstructor("a", A);
+
+            const d = container.construct(D);
+            const e = container.construct(E);
+
+            expect(d.a).to.be.an.instanceof(A);
+            expect(e.a).to.be.an.instanceof(A);
+        });
+
+        it("should use provided parameters", () => {
+            const b = new B(new A());
+            const c = container.construct(C, {b});
+
+            expect(c.b).to.equal(b);
+        });
+
+        it("should use provided parameters over bindings", () => {
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B);
+
+            const b = new B(new A());
+            const c = container.construct(C, {b});
+
+            expect(c.b).to.equal(b);
+        });
+
+        it("should not throw error if no parameters are found, eg. regexp fails", () => {
+            class A {}
+            A.toString = () => "";
+
+            container.bindConstructor("a", A);
+
+            expect(container.get("a")).to.be.an.instanceof(A);
+        });
+
+        it("should not throw exception if dependency is not found", () => {
+            container.bindConstructor("b", B);
+
+            const c = container.construct(C);
+
+            expect(c.b).to.be.an.instanceof(B);
+            expect(c.b.a).to.be.undefined;
+        });
+
+        itWithStaticBlocks("should resolve parameters declared after class fields and static blocks", () => {
+            const fn = () => "default";
+            const D = new Function("fn", `return class D {
+                x = (1, 2);
+                static { this.y = 3; }
+                constructor(a, b = fn(1, 2)) { this.a = a; this.b = b }
+            }`)(fn);
+
+            container.bindConstructor("a", A);
+
+            const d = container.construct(D);
+
+            expect(d.a).to.be.an.instanceof(A);
+            expect(d.b).to.equal("default");
+        });
+
+        it("should resolve parameters for parent function constructors", () => {
+            function D(a) { this.a = a }
+            class E extends D {}
+
+            container.bindConstructor("a", A);
+
+            expect(container.construct(E).a).to.be.an.instanceof(A);
+        });
+
+        it("should resolve the properties of destructured object parameters", () => {
+            class D { constructor({ a, b = "default" }) { this.a = a; this.b = b } }
+
+            container.bindConstructor("a", A);
+
+            const d = container.construct(D);
+
+            expect(d.a).to.be.an.instanceof(A);
+            expect(d.b).to.equal("default");
+        });
+
+        it("should spread resolved lists over rest parameters", () => {
+            class D { constructor(a, ...plugins) { this.a = a; this.plugins = plugins } }
+
+            container.bindInstance("a", "a");
+            container.bindInstance("plugins", ["b", "c"]);
+
+            expect(container.construct(D).plugins).to.deep.equal(["b", "c"]);
+        });
+
+        it("should leave unresolvable rest parameters empty", () => {
+            class D { constructor(...plugins) { this.plugins = plugins } }
+
+            expect(container.construct(D).plugins).to.deep.equal([]);
+        });
+    });
+
+    describe("#constructAsync", () => {
+        class A { constructor(a, b) { this.a = a; this.b = b } }
+
+        it("should await asynchronous dependencies", async () => {
+            container.bindFactory("a", async () => "a");
+            container.bindInstance("b", "b");
+
+            const a = await container.constructAsync(A);
+
+            expect(a).to.be.an.instanceof(A);
+            expect(a.a).to.equal("a");
+            expect(a.b).to.equal("b");
+        });
+
+        it("should use provided parameters over bindings", async () => {
+            container.bindFactory("a", async () => "a");
+
+            expect((await container.constructAsync(A, {a: "c"})).a).to.equal("c");
+        });
+    });
+
+    describe("injection metadata", () => {
+        class A {}
+
+        it("should inject identifiers declared in a static inject property", () => {
+            class B { static inject = ["a", "c"]; constructor(x, y) { this.a = x; this.c = y } }
+
+            container.bindConstructor("a", A);
+            container.bindInstance("c", "c");
+
+            const b = container.construct(B);
+
+            expect(b.a).to.be.an.instanceof(A);
+            expect(b.c).to.equal("c");
+        });
+
+        it("should inject identifiers declared in a $inject property", () => {
+            function f(x) { return x }
+            f.$inject = ["a"];
+
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(f)).to.equal("a");
+        });
+
+        it("should inject identifiers given when binding a constructor", () => {
+            class B { constructor(x) { this.a = x } }
+
+            container.bindConstructor("a", A);
+            container.bindConstructor("b", B, {inject: ["a"]});
+
+            expect(container.get("b").a).to.be.an.instanceof(A);
+        });
+
+        it("should inject identifiers given when binding a factory", () => {
+            container.bindInstance("a", "a");
+            container.bindFactory("b", x => `${x}b`, {lifetime: Lifetime.SINGLETON, inject: ["a"]});
+
+            expect(container.get("b")).to.equal("ab");
+            expect(container.get("b")).to.equal(container.get("b"));
+        });
+
+        it("should prefer identifiers given when binding over declared metadata", () => {
+            class B { static inject = ["a"]; constructor(x) { this.a = x } }
+
+            container.bindInstance("a", "a");
+            container.bindInstance("c", "c");
+            container.bindConstructor("b", B, {inject: ["c"]});
+
+            expect(container.get("b").a).to.equal("c");
+        });
+
+        it("should use named parameters matching the declared identifiers", () => {
+            class B { static inject = ["a"]; constructor(x) { this.a = x } }
+
+            expect(container.construct(B, {a: "a"}).a).to.equal("a");
+        });
+
+        it("should inject metadata declared on parent constructors", () => {
+            class B { static inject = ["a"]; constructor(x) { this.a = x } }
+            class C extends B {}
+
+            container.bindConstructor("a", A);
+
+            expect(container.construct(C).a).to.be.an.instanceof(A);
+        });
+
+        it("should not apply parent metadata to an explicit child constructor", () => {
+            class B { static inject = ["a"]; constructor(x) { this.a = x } }
+            class C extends B { constructor(c) { super(c) } }
+
+            container.bindInstance("a", "a");
+            container.bindInstance("c", "c");
+
+            expect(container.construct(C).a).to.equal("c");
+        });
+
+        it("should inject metadata declared on bound functions", () => {
+            const f = function (x) { return x };
+            const bound = f.bind(null);
+            bound.$inject = ["a"];
+
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(bound)).to.equal("a");
+        });
+
+        it("should inject metadata declared on the original signature of a bound function", () => {
+            const f = function (x) { return x };
+            f.$inject = ["a"];
+
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(f.bind(null), {}, f)).to.equal("a");
+        });
+
+        it("should keep default values of minified signatures", () => {
+            class B { static inject = ["a", "b"]; constructor(e, t = "default") { this.a = e; this.b = t } }
+
+            container = new Container({strict: true});
+            container.bindInstance("a", "a");
+
+            expect(container.construct(B).b).to.equal("default");
+        });
+
+        it("should inject metadata asynchronously", async () => {
+            class B { static inject = ["a"]; constructor(x) { this.a = x } }
+
+            container.bindFactory("a", async () => "a");
+
+            expect((await container.constructAsync(B)).a).to.equal("a");
+        });
+    });
+
+    describe("resolution plans", () => {
+        const countParses = target => {
+            const counter = { calls: 0 };
+            const toString = target.toString.bind(target);
+
+            target.toString = () => {
+                counter.calls++;
+
+                return toString();
+            };
+
+            return counter;
+        };
+
+        it("should only parse the signature of a binding once", () => {
+            class A {
+                constructor(b) {
+                    this.b = b;
+                }
+            }
+
+            const counter = countParses(A);
+            container.bindInstance("b", "b");
+            container.bindConstructor("a", A);
+
+            container.get("a");
+
+            const calls = counter.calls;
+
+            expect(container.get("a").b).to.equal("b");
+            expect(container.get("a").b).to.equal("b");
+            expect(counter.calls).to.equal(calls);
+        });
+
+        it("should share plans with child containers", () => {
+            const factory = b => b;
+            const counter = countParses(factory);
+            container.bindInstance("b", "b");
+            container.bindFactory("a", factory);
+            container.get("a");
+
+            const calls = counter.calls;
+
+            expect(container.createScope().get("a")).to.equal("b");
+            expect(counter.calls).to.equal(calls);
+        });
+
+        it("should create a new plan when a binding is replaced", () => {
+            container.bindInstance("b", "b");
+            container.bindInstance("c", "c");
+            container.bindFactory("a", b => b);
+            container.get("a");
+            container.bindFactory("a", c => c);
+
+            expect(container.get("a")).to.equal("c");
+        });
+
+        it("should create a new plan when injection metadata changes along with the binding", () => {
+            class A {
+                constructor(b) {
+                    this.b = b;
+                }
+            }
+
+            container.bindInstance("b", "b");
+            container.bindInstance("c", "c");
+            container.bindConstructor("a", A);
+            container.get("a");
+            container.bindConstructor("a", A, { inject: ["c"] });
+
+            expect(container.get("a").b).to.equal("c");
+        });
+
+        it("should create new plans when a snapshot is restored", () => {
+            container.bindInstance("b", "b");
+            container.bindFactory("a", b => b);
+
+            const snapshot = container.snapshot();
+
+            container.get("a");
+            container.bindFactory("a", () => "replaced");
+            container.restore(snapshot);
+
+            expect(container.get("a")).to.equal("b");
+        });
+    });
+
+    describe("identifiers", () => {
+        class A {}
+        class B { constructor(a) { this.a = a } }
+
+        const identifiers = {
+            symbol: Symbol("identifier"),
+            class: class Identifier {},
+            token: new InjectionToken("identifier")
+        };
+
+        for (const [type, identifier] of Object.entries(identifiers)) {
+            describe(`${type} identifiers`, () => {
+                it("should determine if the identifier is bound", () => {
+                    expect(container.has(identifier)).to.be.false;
+
+                    container.bindInstance(identifier, "value");
+
+                    expect(container.has(identifier)).to.be.true;
+                });
+
+                it("should resolve a bound instance", () => {
+                    container.bindInstance(identifier, "value");
+
+                    expect(container.get(identifier)).to.equal("value");
+                });
+
+                it("should resolve a bound constructor", () => {
+                    container.bindConstructor(identifier, A);
+
+                    expect(container.get(identifier)).to.be.an.instanceof(A);
+                });
+
+                it("should resolve a bound factory", async () => {
+                    container.bindFactory(identifier, async () => "value");
+
+                    expect(await container.getAsync(identifier)).to.equal("value");
+                });
+
+                it("should make a binding a singleton", () => {
+                    container.bindConstructor(identifier, A);
+                    container.makeSingleton(identifier);
+
+                    expect(container.get(identifier)).to.equal(container.get(identifier));
+                });
+
+                it("should resolve an alias", () => {
+                    const alias = Symbol("alias");
+
+                    container.bindInstance(identifier, "value");
+                    container.alias(identifier, alias);
+                    container.alias(alias, "alias");
+
+                    expect(container.get("alias")).to.equal("value");
+                });
+
+                it("should inject the identifier declared for a parameter", () => {
+                    class C { static inject = [identifier]; constructor(x) { this.x = x } }
+
+                    container.bindInstance(identifier, "value");
+
+                    expect(container.construct(C).x).to.equal("value");
+                });
+            });
+        }
+
+        it("should not collide with string identifiers sharing a description", () => {
+            const token = new InjectionToken("identifier");
+
+            container.bindInstance(token, "token");
+            container.bindInstance("identifier", "string");
+
+            expect(container.get(token)).to.equal("token");
+            expect(container.get(new InjectionToken("identifier").description)).to.equal("string");
+            expect(container.has(new InjectionToken("identifier"))).to.be.false;
+        });
+
+        it("should map parameter names to identifiers", () => {
+            const token = new InjectionToken("a");
+
+            class C { static inject = {a: token}; constructor(a, b) { this.a = a; this.b = b } }
+
+            container.bindInstance(token, "token");
+            container.bindInstance("a", "string");
+            container.bindInstance("b", "b");
+
+            const c = container.construct(C);
+
+            expect(c.a).to.equal("token");
+            expect(c.b).to.equal("b");
+        });
+
+        it("should map destructured properties to identifiers", () => {
+            const token = new InjectionToken("a");
+
+            container.bindInstance(token, "token");
+
+            const f = ({ a }) => a;
+            f.$inject = {a: token};
+
+            expect(container.invoke(f)).to.equal("token");
+        });
+
+        it("should prefer named parameters over mapped identifiers", () => {
+            const token = new InjectionToken("a");
+
+            container.bindInstance(token, "token");
+            container.bindConstructor("b", B, {inject: {a: token}});
+
+            expect(container.get("b").a).to.equal("token");
+            expect(container.construct(B, {a: "named"}).a).to.equal("named");
+        });
+
+        it("should describe identifiers in error messages", () => {
+            const symbol = Symbol("a");
+
+            container.bindConstructor(symbol, B, {inject: [identifiers.class]});
+            container.bindConstructor(identifiers.class, B, {inject: [identifiers.token]});
+            container.bindConstructor(identifiers.token, B, {inject: [symbol]});
+
+            expect(() => container.get(symbol))
+                .to.throw(CircularDependencyError, "Symbol(a) -> Identifier -> InjectionToken(identifier) -> Symbol(a)");
+            expect(() => container.get(Symbol("unknown"))).to.throw("Unknown identifier: Symbol(unknown)");
+        });
+
+        it("should describe identifiers of unresolvable parameters", () => {
+            container = new Container({strict: true});
+
+            const symbol = Symbol("a");
+
+            container.bindConstructor("b", B, {inject: [symbol]});
+
+            expect(() => container.get("b")).to.throw(UnresolvableParameterError, 'parameter "Symbol(a)" of B');
+        });
+    });
+
+    describe("#invoke", () => {
+        const a = () => "a";
+        const b = a => `${a}b`;
+
+        it("should invoke a function without arguments", () => {
+            expect(container.invoke(a)).to.equal("a");
+        });
+
+        it("should resolve dependency by name if bound", () => {
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(b)).to.equal("ab");
+        });
+
+        it("should use provided parameters", () => {
+            expect(container.invoke(b, {a: "a"})).to.equal("ab");
+        });
+
+        it("should use provided parameters over bindings", () => {
+            container.bindInstance("a", "c");
+
+            expect(container.invoke(b, {a: "a"})).to.equal("ab");
+        });
+
+        it("should not throw error if no parameters are found, eg. regexp fails", () => {
+            const a = () => "a";
+            a.toString = () => "";
+
+            expect(container.invoke(a)).to.equal("a");
+        });
+
+        it("should not throw exception if dependency is not found", () => {
+            expect(container.invoke(b)).to.equal("undefinedb");
+        });
+
+        it("should use provided parameters over default values", () => {
+            const a = (x = "default value") => x;
+
+            expect(container.invoke(a, {x: "value"})).to.equal("value");
+        });
+
+        it("should resolve parameters for instance methods", () => {
+            class B {
+                method(a) {
+                    return `${a}b`;
+                }
+            }
+
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(new B().method)).to.equal("ab");
+        });
+
+        it("should accept unbound function to extract parameters from when invoking a bound function", () => {
+            container.bindInstance("a", "a");
+
+            expect(container.invoke(b.bind(a), {}, b)).to.equal("ab");
+        });
+
+        it("should resolve default values containing commas", () => {
+            const a = (x = [1, 2].join(","), y) => `${x}${y}`;
+
+            container.bindInstance("y", "y");
+
+            expect(container.invoke(a)).to.equal("1,2y");
+        });
+
+        it("should resolve the properties of destructured object parameters asynchronously", async () => {
+            container.bindFactory("a", async () => "a");
+
+            expect(await container.invokeAsync(({ a }, ...b) => `${a}${b.length}`)).to.equal("a0");
+        });
+
+        it("should ignore parameter comments", () => {
+            const x = "value";
+            const a = (/* x = "default value" */) => x;
+
+            expect(container.invoke(a)).to.equal(x);
+        });
+    });
+
+    describe("#invokeAsync", () => {
+        it("should await asynchronous dependencies", async () => {
+            container.bindFactory("a", async () => "a");
+
+            expect(await container.invokeAsync(a => `${a}b`)).to.equal("ab");
+        });
+
+        it("should await the value returned by the function", async () => {
+            container.bindInstance("a", "a");
+
+            expect(await container.invokeAsync(async a => `${a}b`)).to.equal("ab");
+        });
+
+        it("should accept unbound function to extract parameters from when invoking a bound function", async () => {
+            const b = a => `${a}b`;
+            container.bindFactory("a", async () => "a");
+
+            expect(await container.invokeAsync(b.bind(null), {}, b)).to.equal("ab");
+        });
+    });
+
+    describe("#call", () => {
+        class UserController {
+            constructor(users) {
+                this.users = users;
+            }
+
+            show(id, formatter) {
+                return formatter(this.users[id]);
+            }
+        }
+
+        beforeEach(() => {
+            container.bindInstance("users", { 1: "Alice" });
+            container.bindInstance("formatter", name => name.toUpperCase());
+            container.bindConstructor("userController", UserController);
+        });
+
+        it("should call methods given as identifier@method strings", () => {
+            expect(container.call("userController@show", { id: 1 })).to.equal("ALICE");
+        });
+
+        it("should call methods of identifiers paired with method names", () => {
+            container.bindConstructor(UserController, UserController);
+
+            expect(container.call(["userController", "show"], { id: 1 })).to.equal("ALICE");
+            expect(container.call([UserController, "show"], { id: 1 })).to.equal("ALICE");
+        });
+
+        it("should call methods of objects paired with method names", () => {
+            const controller = new UserController({ 2: "Bob" });
+
+            expect(container.call([controller, "show"], { id: 2 })).to.equal("BOB");
+        });
+
+        it("should call methods named by symbols", () => {
+            const show = Symbol("show");
+            const controller = { [show]: formatter => formatter("bob") };
+
+            expect(container.call([controller, show])).to.equal("BOB");
+        });
+
+        it("should call inherited methods", () => {
+            class AdminController extends UserController {}
+
+            container.bindConstructor("adminController", AdminController);
+
+            expect(container.call("adminController@show", { id: 1 })).to.equal("ALICE");
+        });
+
+        it("should split strings at the last @", () => {
+            container.alias("userController", "@app/userController");
+
+            expect(container.call("@app/userController@show", { id: 1 })).to.equal("ALICE");
+        });
+
+        it("should respect injection metadata of the method", () => {
+            class ProfileController {
+                show(name) {
+                    return name;
+                }
+            }
+
+            ProfileController.prototype.show.inject = ["formatter"];
+            container.bindConstructor("profileController", ProfileController);
+
+            expect(container.call("profileController@show")("bob")).to.equal("BOB");
+        });
+
+        it("should throw an error for invalid callables", () => {
+            expect(() => container.call("userController")).to.throw("Invalid callable: userController");
+            expect(() => container.call(["userController"])).to.throw("Invalid callable");
+        });
+
+        it("should throw an error for unknown methods", () => {
+            expect(() => container.call("userController@edit")).to.throw("Unknown method: userController@edit");
+            expect(() => container.call([new UserController({}), "edit"]))
+                .to.throw("Unknown method: UserController@edit");
+        });
+    });
+
+    describe("#callAsync", () => {
+        it("should await asynchronous dependencies of the object and the method", async () => {
+            class UserController {
+                constructor(users) {
+                    this.users = users;
+                }
+
+                async show(id, formatter) {
+                    return formatter(this.users[id]);
+                }
+            }
+
+            container.bindFactory("users", async () => ({ 1: "Alice" }));
+            container.bindFactory("formatter", async () => name => name.toUpperCase());
+            container.bindConstructor("userController", UserController);
+
+            expect(await container.callAsync("userController@show", { id: 1 })).to.equal("ALICE");
+        });
+    });
+
+    describe("#injectInto", () => {
+        it("should inject properties by name", () => {
+            class Component {
+                static injectProperties = ["logger"];
+            }
+
+            container.bindInstance("logger", "logger");
+
+            expect(container.injectInto(new Component()).logger).to.equal("logger");
+        });
+
+        it("should inject properties by identifier", () => {
+            const token = new InjectionToken("logger");
+            const symbol = Symbol("property");
+
+            class Logger {}
+            class Component {
+                static injectProperties = { logger: token, [symbol]: Logger, lazyLogger: lazy(Logger) };
+            }
+
+            container.bindInstance(token, "logger");
+            container.bindConstructor(Logger, Logger, true);
+
+            const component = container.injectInto(new Component());
+
+            expect(component.logger).to.equal("logger");
+            expect(component[symbol]).to.be.an.instanceOf(Logger);
+            expect(component.lazyLogger).to.not.equal(component[symbol]);
+            expect(component.lazyLogger).to.be.an.instanceOf(Logger);
+        });
+
+        it("should call setter methods", () => {
+            class Component {
+                static injectMethods = { setLogger: ["logger"], setClock: null };
+
+                setLogger(logger) {
+                    this.logger = logger;
+                }
+
+                setClock(clock) {
+                    this.clock = clock;
+                }
+            }
+
+            container.bindInstance("logger", "logger");
+            container.bindInstance("clock", "clock");
+
+            const component = container.injectInto(new Component());
+
+            expect(component.logger).to.equal("logger");
+            expect(component.clock).to.equal("clock");
+        });
+
+        it("should inject properties with accessor setters", () => {
+            class Component {
+                static injectProperties = ["logger"];
+
+                set logger(logger) {
+                    this.injectedLogger = logger;
+                }
+            }
+
+            container.bindInstance("logger", "logger");
+
+            expect(container.injectInto(new Component()).injectedLogger).to.equal("logger");
+        });
+
+        it("should inject properties declared by the inject decorator", () => {
+            class Component {
+                setClock(clock) {
+                    this.clock = clock;
+                }
+            }
+
+            const descriptor = Object.getOwnPropertyDescriptor(Component.prototype, "setClock");
+
+            inject()(Component.prototype, "logger");
+            inject("config:app.name")(Component.prototype, "name");
+            inject("clock")(Component.prototype, "setClock", descriptor);
+
+            container.bindInstance("logger", "logger");
+            container.bindInstance("clock", "clock");
+            container.bindConfig({ app: { name: "app" } });
+
+            const component = container.injectInto(new Component());
+
+            expect(component).to.include({ logger: "logger", name: "app", clock: "clock" });
+            expect(Component.injectProperties).to.deep.equal({ logger: "logger", name: "config:app.name" });
+        });
+
+        it("should only replace the first parameter of a setter declared by the inject decorator", () => {
+            class Component {
+                setDependencies(first, second) {
+                    this.first = first;
+                    this.second = second;
+                }
+            }
+
+            const descriptor = Object.getOwnPropertyDescriptor(Component.prototype, "setDependencies");
+
+            inject("clock")(Component.prototype, "setDependencies", descriptor);
+
+            container.bindInstance("clock", "clock");
+            container.bindInstance("second", "second");
+
+            expect(container.injectInto(new Component())).to.include({ first: "clock", second: "second" });
+        });
+
+        it("should inject properties declared by parent classes", () => {
+            class Base {
+                static injectProperties = ["logger"];
+            }
+            class Component extends Base {
+                static injectProperties = { clock: "clock" };
+            }
+
+            inject("other-logger")(Component.prototype, "logger");
+
+            container.bindInstance("logger", "logger");
+            container.bindInstance("other-logger", "other logger");
+            container.bindInstance("clock", "clock");
+
+            expect(container.injectInto(new Component())).to.include({ logger: "other logger", clock: "clock" });
+            expect(container.injectInto(new Base())).to.include({ logger: "logger" });
+            expect(Base.injectProperties).to.deep.equal(["logger"]);
+        });
+
+        it("should apply contextual bindings of the class", () => {
+            class Component {
+                static injectProperties = ["logger"];
+            }
+
+            container.when(Component).needs("logger").giveFactory(() => "contextual logger");
+
+            expect(container.injectInto(new Component()).logger).to.equal("contextual logger");
+        });
+
+        it("should prefer named values", () => {
+            class Component {
+                static injectProperties = ["logger"];
+            }
+
+            container.bindInstance("logger", "logger");
+
+            expect(container.injectInto(new Component(), { logger: "given" }).logger).to.equal("given");
+        });
+
+        it("should leave properties the container has no value for untouched", () => {
+            class Component {
+                static injectProperties = ["logger"];
+
+                logger = "default";
+            }
+
+            expect(container.injectInto(new Component()).logger).to.equal("default");
+        });
+
+        it("should throw an error for unresolvable properties in strict mode", () => {
+            class Component {
+                static injectProperties = { logger: "logger", clock: optional("clock") };
+            }
+
+            container = new Container({ strict: true });
+
+            expect(() => container.injectInto(new Component()))
+                .to.throw(UnresolvableParameterError, 'Unable to resolve parameter "logger" of Component');
+
+            container.bindInstance("logger", "logger");
+
+            expect(container.injectInto(new Component())).to.include({ logger: "logger" });
+        });
+
+        it("should throw an error for unknown setter methods", () => {
+            class Component {
+                static injectMethods = ["setLogger"];
+            }
+
+            expect(() => container.injectInto(new Component())).to.throw(Error, "Unknown method: Component@setLogger");
+        });
+
+        it("should inject objects within the active scope", async () => {
+            class Component {
+                static injectProperties = ["request"];
+            }
+
+            await container.runInScope(scope => {
+                scope.bindInstance("request", "request");
+
+                expect(container.injectInto(new Component()).request).to.equal("request");
+            });
+        });
+    });
+
+    describe("#injectIntoAsync", () => {
+        it("should inject asynchronous dependencies", async () => {
+            class Component {
+                static injectProperties = ["logger"];
+                static injectMethods = ["setClock"];
+
+                async setClock(clock) {
+                    this.clock = await clock;
+                }
+            }
+
+            container.bindFactory("logger", async () => "logger");
+            container.bindFactory("clock", async () => "clock");
+
+            expect(await container.injectIntoAsync(new Component())).to.include({ logger: "logger", clock: "clock" });
+        });
+    });
+
+    describe("optional identifiers", () => {
+        it("should leave optional constructor parameters unresolved in strict mode", () => {
+            class A {
+                static inject = [optional("logger")];
+
+                constructor(logger) {
+                    this.logger = logger;
+                }
+            }
+
+            container = new Container({ strict: true });
+
+            expect(container.construct(A).logger).to.be.undefined;
+        });
+
+        it("should leave optional parameters declared by name unresolved in strict mode", () => {
+            container = new Container({ strict: true });
+            container.bindFactory("logger", logger => logger, { inject: { logger: optional("other-logger") } });
+
+            expect(container.get("logger")).to.be.undefined;
+        });
+
+        it("should describe optional identifiers", () => {
+            expect(String(optional("logger"))).to.equal("Optional(logger)");
+            expect(optional("logger")).to.be.an.instanceOf(OptionalIdentifier);
         });
     });
 });
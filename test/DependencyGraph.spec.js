@@ -0,0 +1,228 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Container, DependencyGraph, Lifetime, lazy } from "@moonwalkingbits/apollo-container";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("DependencyGraph", () => {
+    class Database {
+        constructor(config) {
+            this.config = config;
+        }
+    }
+
+    class UserRepository {
+        constructor(database, cache = null) {
+            this.database = database;
+            this.cache = cache;
+        }
+    }
+
+    let container;
+
+    beforeEach(() => {
+        container = new Container();
+        container.bindInstance("config", {});
+        container.bindConstructor("database", Database, Lifetime.SINGLETON);
+        container.bindConstructor("users", UserRepository);
+    });
+
+    describe("#inspect()", () => {
+        it("should list every identifier with its kind and lifetime", () => {
+            container.bindFactory("clock", () => Date.now(), Lifetime.SCOPED);
+
+            const graph = container.inspect();
+
+            expect(graph).to.be.an.instanceof(DependencyGraph);
+            expect(graph.nodes.map(({ identifier, kind, lifetime }) => [identifier, kind, lifetime])).to.deep.equal([
+                ["database", "constructor", Lifetime.SINGLETON],
+                ["users", "constructor", Lifetime.TRANSIENT],
+                ["clock", "factory", Lifetime.SCOPED],
+                ["config", "instance", null]
+            ]);
+        });
+
+        it("should list the dependencies of constructors and factories", () => {
+            container.bindFactory("service", (users, ...rest) => [users, rest]);
+
+            const { nodes } = container.inspect();
+            const dependencies = identifier => nodes.find(node => node.identifier === identifier).dependencies;
+
+            expect(dependencies("database")).to.deep.equal([{ identifier: "config", optional: false, lazy: false }]);
+            expect(dependencies("users")).to.deep.equal([
+                { identifier: "database", optional: false, lazy: false },
+                { identifier: "cache", optional: true, lazy: false }
+            ]);
+            expect(dependencies("service")).to.deep.equal([
+                { identifier: "users", optional: false, lazy: false },
+                { identifier: "rest", optional: true, lazy: false }
+            ]);
+            expect(dependencies("config")).to.be.empty;
+        });
+
+        it("should list aliases and tags", () => {
+            container.alias("database", "db");
+            container.alias("db", "connection");
+            container.tag(["db", "users"], "repositories");
+
+            const database = container.inspect().nodes.find(({ identifier }) => identifier === "database");
+
+            expect(database.aliases).to.deep.equal(["db", "connection"]);
+            expect(database.tags).to.deep.equal(["repositories"]);
+        });
+
+        it("should resolve dependencies like the container does", () => {
+            class Mailer {
+                static inject = { transport: lazy("smtp") };
+
+                constructor({ transport, logger }) {
+                    this.transport = transport;
+                    this.logger = logger;
+                }
+            }
+
+            container.bindConstructor("mailer", Mailer);
+            container.alias("database", "logs");
+            container.when(Mailer).needs("logger").give("logs");
+
+            const mailer = container.inspect().nodes.find(({ identifier }) => identifier === "mailer");
+
+            expect(mailer.dependencies).to.deep.equal([
+                { identifier: "smtp", optional: false, lazy: true },
+                { identifier: "database", optional: false, lazy: false }
+            ]);
+        });
+
+        it("should include bindings of the parent container", () => {
+            const child = container.createChild();
+            child.bindInstance("database", "database");
+
+            const nodes = child.inspect().nodes;
+
+            expect(nodes.map(({ identifier }) => identifier)).to.have.members(["config", "database", "users"]);
+            expect(nodes.find(({ identifier }) => identifier === "database").kind).to.equal("instance");
+        });
+
+        it("should list multi bindings depending on their entries", () => {
+            container.bindConstructor("middleware", Database, { multi: true });
+            container.bindInstance("middleware", "static", { multi: true });
+
+            const node = container.inspect().nodes.find(({ identifier }) => identifier === "middleware");
+
+            expect(node.kind).to.equal("multi");
+            expect(node.dependencies).to.have.lengthOf(2);
+            expect(node.dependencies.map(({ identifier }) => String(identifier)))
+                .to.deep.equal(["Symbol(middleware[0])", "Symbol(middleware[1])"]);
+        });
+
+        it("should include identifiers of deferred providers", () => {
+            container.registerProvider({ provides: ["mailer"], register() {} });
+
+            expect(container.inspect().nodes.find(({ identifier }) => identifier === "mailer").kind)
+                .to.equal("deferred");
+        });
+    });
+
+    describe("#findMissingDependencies()", () => {
+        it("should find required dependencies that can't be resolved", () => {
+            container.bindFactory("service", (mailer, users, logger = null) => [mailer, users, logger]);
+
+            expect(container.inspect().findMissingDependencies()).to.deep.equal([
+                { dependent: "service", identifier: "mailer" }
+            ]);
+        });
+
+        it("should resolve dependencies by tag", () => {
+            container.tag("users", "repositories");
+            container.bindFactory("service", repositories => repositories);
+
+            expect(container.inspect().findMissingDependencies()).to.be.empty;
+        });
+    });
+
+    describe("#findUnusedIdentifiers()", () => {
+        it("should find identifiers nothing depends on", () => {
+            container.bindInstance("unused", "value");
+            container.bindInstance("tagged", "value");
+            container.tag("tagged", "values");
+            container.bindFactory("service", values => values);
+
+            expect(container.inspect().findUnusedIdentifiers()).to.deep.equal(["users", "service", "unused"]);
+        });
+    });
+
+    describe("#toJSON()", () => {
+        it("should describe the graph as serializable data", () => {
+            class Token {}
+
+            const symbol = Symbol("symbol");
+            container = new Container();
+            container.bindConstructor(Token, Token);
+            container.bindFactory(symbol, (Token, missing) => [Token, missing], { inject: [Token, "missing"] });
+            container.tag(Token, "tag");
+
+            expect(JSON.parse(JSON.stringify(container.inspect()))).to.deep.equal({
+                nodes: [
+                    {
+                        identifier: "Token",
+                        kind: "constructor",
+                        lifetime: "transient",
+                        aliases: [],
+                        tags: ["tag"],
+                        dependencies: []
+                    },
+                    {
+                        identifier: "Symbol(symbol)",
+                        kind: "factory",
+                        lifetime: "transient",
+                        aliases: [],
+                        tags: [],
+                        dependencies: [
+                            { identifier: "Token", optional: false, lazy: false, resolvedBy: "binding" },
+                            { identifier: "missing", optional: false, lazy: false, resolvedBy: null }
+                        ]
+                    }
+                ]
+            });
+        });
+    });
+
+    describe("#toDot()", () => {
+        it("should describe the graph in the DOT language", () => {
+            container.alias("database", "db");
+            container.tag("database", "stores");
+            container.bindFactory("service", (stores, mailer, users) => [stores, mailer, users], {
+                inject: [lazy("stores"), "mailer", "users"]
+            });
+
+            expect(container.inspect().toDot()).to.equal([
+                "digraph container {",
+                "    n0 [label=\"database\\nconstructor, singleton\\naliases: db\\ntags: stores\"];",
+                "    n1 [label=\"users\\nconstructor, transient\"];",
+                "    n2 [label=\"service\\nfactory, transient\"];",
+                "    n3 [label=\"config\\ninstance\"];",
+                "    m0 [label=\"mailer\", color=red, fontcolor=red];",
+                "    n0 -> n3;",
+                "    n1 -> n0;",
+                "    n2 -> n0 [style=dashed, label=\"stores\"];",
+                "    n2 -> m0 [color=red];",
+                "    n2 -> n1;",
+                "}"
+            ].join("\n"));
+        });
+
+        it("should escape quotes in labels", () => {
+            container = new Container();
+            container.bindInstance("say \"hi\"", "hi");
+
+            expect(container.inspect().toDot()).to.include("n0 [label=\"say \\\"hi\\\"\\ninstance\"];");
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Container, EnvironmentConfigSource } from "@moonwalkingbits/apollo-container";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("EnvironmentConfigSource", () => {
+    describe("#lookup()", () => {
+        it("should read upper snake cased variables", () => {
+            const source = new EnvironmentConfigSource({ DB_HOST: "localhost" }, { prefix: "" });
+
+            expect(source.lookup(["db", "host"])).to.deep.equal({ value: "localhost" });
+            expect(source.lookup(["db", "port"])).to.be.null;
+        });
+
+        it("should read prefixed variables", () => {
+            const source = new EnvironmentConfigSource(
+                { APP_DB_HOST: "localhost", DB_PORT: "5432" },
+                { prefix: "APP_" }
+            );
+
+            expect(source.lookup(["db", "host"])).to.deep.equal({ value: "localhost" });
+            expect(source.lookup(["db", "port"])).to.be.null;
+        });
+
+        it("should coerce values", () => {
+            const source = new EnvironmentConfigSource({
+                A: "true",
+                B: "FALSE",
+                C: "null",
+                D: "42",
+                E: "-1.5",
+                F: "[1, 2]",
+                G: "{\"a\": 1}",
+                H: "{not json",
+                I: "1.2.3"
+            }, { prefix: "" });
+
+            expect(["a", "b", "c", "d", "e", "f", "g", "h", "i"].map(word => source.lookup([word]).value))
+                .to.deep.equal([true, false, null, 42, -1.5, [1, 2], { a: 1 }, "{not json", "1.2.3"]);
+        });
+
+        it("should only coerce numbers that convert back to the same string", () => {
+            const source = new EnvironmentConfigSource({
+                ZIP: "02134",
+                ID: "12345678901234567890",
+                PRICE: "1.50",
+                RATIO: ".5"
+            }, { prefix: "" });
+
+            expect(["zip", "id", "price", "ratio"].map(word => source.lookup([word]).value))
+                .to.deep.equal(["02134", "12345678901234567890", "1.50", ".5"]);
+        });
+
+        it("should leave values as strings if coercion is turned off", () => {
+            const source = new EnvironmentConfigSource({ PORT: "5432" }, { prefix: "", coerce: false });
+
+            expect(source.lookup(["port"])).to.deep.equal({ value: "5432" });
+        });
+    });
+
+    describe("constructor", () => {
+        it("should require a prefix", () => {
+            expect(() => new EnvironmentConfigSource({ PATH: "/usr/bin" })).to.throw(
+                Error,
+                "Missing prefix of the environment variables, give an empty prefix to read every variable"
+            );
+        });
+
+        it("should not inject unprefixed variables into parameters", () => {
+            const container = new Container();
+            const environment = { PATH: "/usr/bin", APP_PATH: "/app" };
+
+            container.bindConfig(new EnvironmentConfigSource(environment, { prefix: "APP_" }));
+
+            expect(container.invoke((path, home) => [path, home])).to.deep.equal(["/app", undefined]);
+        });
+    });
+});
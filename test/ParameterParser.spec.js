@@ -0,0 +1,519 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ParameterParser from "../lib/ParameterParser.js";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+/**
+ * Determine if the runtime supports static initialization blocks.
+ *
+ * Classes using them are created from source since the syntax would keep the
+ * whole file from loading on runtimes without support.
+ */
+const supportsStaticBlocks = (() => {
+    try {
+        new Function("class A { static {} }");
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+const itWithStaticBlocks = supportsStaticBlocks ? it : it.skip;
+
+function parameter(name, properties = {}) {
+    return {
+        name,
+        hasDefault: false,
+        rest: false,
+        destructured: false,
+        properties: null,
+        ...properties
+    };
+}
+
+describe("ParameterParser", () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new ParameterParser();
+    });
+
+    const names = target => parser.parse(target).map(({ name }) => name);
+
+    describe("#parse()", () => {
+        describe("functions", () => {
+            it("should parse a function without parameters", () => {
+                expect(parser.parse(function () {})).to.deep.equal([]);
+            });
+
+            it("should parse a named function", () => {
+                expect(parser.parse(function f(a, b) {})).to.deep.equal([parameter("a"), parameter("b")]);
+            });
+
+            it("should parse an async function", () => {
+                expect(names(async function (a, b) {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a generator function", () => {
+                expect(names(function* (a, b) {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse an async generator function", () => {
+                expect(names(async function* f(a, b) {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a native function", () => {
+                expect(parser.parse(Math.max)).to.deep.equal([]);
+            });
+
+            it("should parse a bound function", () => {
+                expect(parser.parse(function (a) {}.bind(null))).to.deep.equal([]);
+            });
+
+            it("should parse a function with an unparsable signature", () => {
+                const f = () => {};
+                f.toString = () => "";
+
+                expect(parser.parse(f)).to.deep.equal([]);
+            });
+
+            it("should parse unicode parameter names", () => {
+                expect(names(function (ärende, $dollar, _under, 𝒳) {})).to.deep.equal(["ärende", "$dollar", "_under", "𝒳"]);
+            });
+        });
+
+        describe("arrow functions", () => {
+            it("should parse an arrow function without parameters", () => {
+                expect(parser.parse(() => {})).to.deep.equal([]);
+            });
+
+            it("should parse a single parameter without parentheses", () => {
+                expect(parser.parse(a => a)).to.deep.equal([parameter("a")]);
+            });
+
+            it("should parse parameters within parentheses", () => {
+                expect(names((a, b) => a + b)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse an async arrow function with a single parameter", () => {
+                expect(names(async a => a)).to.deep.equal(["a"]);
+            });
+
+            it("should parse an async arrow function with parameters within parentheses", () => {
+                expect(names(async (a, b) => a + b)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a single parameter named async", () => {
+                expect(names(async => async)).to.deep.equal(["async"]);
+            });
+        });
+
+        describe("methods", () => {
+            const object = {
+                method(a, b) {},
+                async asyncMethod(a, b) {},
+                *generator(a, b) {},
+                ["computed" + (1, 2)](a, b) {},
+                async(a, b) {},
+                class(a, b) {}
+            };
+
+            it("should parse a method", () => {
+                expect(names(object.method)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse an async method", () => {
+                expect(names(object.asyncMethod)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a generator method", () => {
+                expect(names(object.generator)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a method with a computed name", () => {
+                expect(names(object.computed2)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse methods named after keywords", () => {
+                expect(names(object.async)).to.deep.equal(["a", "b"]);
+                expect(names(object.class)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a class method", () => {
+                class A { method(a, b) {} }
+
+                expect(names(A.prototype.method)).to.deep.equal(["a", "b"]);
+            });
+        });
+
+        describe("default values", () => {
+            it("should detect default values", () => {
+                expect(parser.parse((a, b = 1) => {})).to.deep.equal([
+                    parameter("a"),
+                    parameter("b", {hasDefault: true})
+                ]);
+            });
+
+            it("should parse default values containing commas and parentheses", () => {
+                const fn = (...values) => values;
+
+                expect(names((a = fn(1, 2), b = (3, 4)) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse default values containing strings", () => {
+                expect(names((a = "x,y)", b = 'z,(w', c) => {})).to.deep.equal(["a", "b", "c"]);
+            });
+
+            it("should parse default values containing escaped quotes", () => {
+                expect(names((a = "x\",y", b = 'z\',w', c) => {})).to.deep.equal(["a", "b", "c"]);
+            });
+
+            it("should parse default values containing template literals", () => {
+                const x = 1;
+
+                expect(names((a = `x,${x}`, b = `${`,${x}`}}`, c = `\`,`) => {})).to.deep.equal(["a", "b", "c"]);
+            });
+
+            it("should parse default values containing template literals with objects", () => {
+                expect(names((a = `${{a: 1, b: 2}.a}`, b) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse default values containing regular expressions", () => {
+                expect(names((a = /[,)]\)/g, b = 4 / 2, c = /,/) => {})).to.deep.equal(["a", "b", "c"]);
+            });
+
+            it("should parse default values containing object and array literals", () => {
+                expect(names((a = {x: 1, y: [2, 3]}, b = [{}, {}]) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse default values containing arrow functions", () => {
+                expect(names((a = (x, y) => x, b = x => ({x, y: 1})) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse default values containing comparisons", () => {
+                expect(names((a = 1 == 1, b = 2 >= 1, c) => {})).to.deep.equal(["a", "b", "c"]);
+            });
+        });
+
+        describe("comments", () => {
+            it("should ignore block comments", () => {
+                expect(names((/* x, */ a /* , y */, b) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should ignore line comments", () => {
+                expect(names((
+                    a, // x, y
+                    b // )
+                ) => {})).to.deep.equal(["a", "b"]);
+            });
+
+            it("should ignore a commented out parameter list", () => {
+                expect(names((/* x = "default value" */) => {})).to.deep.equal([]);
+            });
+        });
+
+        describe("rest parameters", () => {
+            it("should detect rest parameters", () => {
+                expect(parser.parse((a, ...b) => {})).to.deep.equal([
+                    parameter("a"),
+                    parameter("b", {rest: true})
+                ]);
+            });
+
+            it("should detect destructured rest parameters", () => {
+                expect(parser.parse((...[a, b]) => {})).to.deep.equal([
+                    parameter(null, {rest: true, destructured: true})
+                ]);
+            });
+        });
+
+        describe("destructured parameters", () => {
+            it("should detect destructured objects", () => {
+                expect(parser.parse(({ host, port }) => {})).to.deep.equal([
+                    parameter(null, {
+                        destructured: true,
+                        properties: [
+                            {name: "host", hasDefault: false},
+                            {name: "port", hasDefault: false}
+                        ]
+                    })
+                ]);
+            });
+
+            it("should detect destructured arrays", () => {
+                expect(parser.parse(([a, b], c) => {})).to.deep.equal([
+                    parameter(null, {destructured: true}),
+                    parameter("c")
+                ]);
+            });
+
+            it("should detect default values of destructured parameters", () => {
+                expect(parser.parse(({ a } = {}, [b] = []) => {})).to.deep.equal([
+                    parameter(null, {
+                        hasDefault: true,
+                        destructured: true,
+                        properties: [{name: "a", hasDefault: false}]
+                    }),
+                    parameter(null, {hasDefault: true, destructured: true})
+                ]);
+            });
+
+            it("should detect default values of destructured properties", () => {
+                expect(parser.parse(({ a = 1, b: c = "x,y", d: { e } }) => {})[0].properties).to.deep.equal([
+                    {name: "a", hasDefault: true},
+                    {name: "b", hasDefault: true},
+                    {name: "d", hasDefault: false}
+                ]);
+            });
+
+            it("should parse quoted property names", () => {
+                expect(parser.parse(({ "a-b": a, 'c': c }) => {})[0].properties).to.deep.equal([
+                    {name: "a-b", hasDefault: false},
+                    {name: "c", hasDefault: false}
+                ]);
+            });
+
+            it("should leave out computed and rest properties", () => {
+                const key = "key";
+
+                expect(parser.parse(({ [key]: a, b, ...c }) => {})[0].properties).to.deep.equal([
+                    {name: "b", hasDefault: false}
+                ]);
+            });
+        });
+
+        describe("trailing commas", () => {
+            it("should ignore trailing commas", () => {
+                expect(names((a, b,) => {})).to.deep.equal(["a", "b"]);
+            });
+        });
+
+        describe("classes", () => {
+            it("should parse a class without a constructor", () => {
+                class A {}
+
+                expect(parser.parse(A)).to.deep.equal([]);
+            });
+
+            it("should parse a class constructor", () => {
+                class A { constructor(a, b = 1) {} }
+
+                expect(parser.parse(A)).to.deep.equal([
+                    parameter("a"),
+                    parameter("b", {hasDefault: true})
+                ]);
+            });
+
+            it("should parse a constructor declared after methods", () => {
+                class A {
+                    method(x, y) {}
+
+                    constructor(a, b) {}
+                }
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a constructor declared after class fields", () => {
+                class A {
+                    x = (1, 2);
+                    y = z => z;
+                    z = function (w) {};
+
+                    constructor(a, b) {}
+                }
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a constructor declared after class fields without semicolons", () => {
+                class A {
+                    x = 1
+                    y = "constructor(x)"
+
+                    constructor(a, b) {}
+                }
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            itWithStaticBlocks("should parse a constructor declared after static blocks", () => {
+                const A = new Function(`return class A {
+                    static x;
+
+                    static {
+                        this.x = function constructor(y) {};
+                    }
+
+                    constructor(a, b) {}
+                }`)();
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a constructor declared after private members", () => {
+                class A {
+                    #x = 1;
+
+                    #method(y) {}
+
+                    constructor(a, b) {}
+                }
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse a constructor with a quoted name", () => {
+                class A { "constructor"(a, b) {} }
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should ignore static methods named constructor", () => {
+                class A { static constructor(x) {} }
+
+                expect(parser.parse(A)).to.deep.equal([]);
+            });
+
+            it("should ignore constructors mentioned in methods", () => {
+                class A {
+                    method() {
+                        return this.constructor(1);
+                    }
+
+                    nested() {
+                        return { constructor(x) {} };
+                    }
+                }
+
+                expect(parser.parse(A)).to.deep.equal([]);
+            });
+
+            it("should ignore constructors mentioned in comments and strings", () => {
+                class A {
+                    // constructor(x) {}
+                    /* constructor(y) {} */
+                    x = `constructor(${"z"})`;
+                }
+
+                expect(parser.parse(A)).to.deep.equal([]);
+            });
+
+            it("should ignore constructors in the class heritage", () => {
+                const mixin = base => class extends base { constructor(x) { super() } };
+                class A extends mixin(Object) {}
+
+                expect(parser.parse(A)).to.deep.equal([]);
+            });
+
+            it("should parse a class expression", () => {
+                const A = class { constructor(a, b) {} };
+
+                expect(names(A)).to.deep.equal(["a", "b"]);
+            });
+
+            it("should parse destructured constructor parameters", () => {
+                class A { constructor({ host, port }, ...rest) {} }
+
+                expect(parser.parse(A)).to.deep.equal([
+                    parameter(null, {
+                        destructured: true,
+                        properties: [
+                            {name: "host", hasDefault: false},
+                            {name: "port", hasDefault: false}
+                        ]
+                    }),
+                    parameter("rest", {rest: true})
+                ]);
+            });
+        });
+
+        describe("caching", () => {
+            it("should only parse each function once", () => {
+                let calls = 0;
+                const f = (a, b) => {};
+                const toString = f.toString.bind(f);
+                f.toString = () => (calls++, toString());
+
+                const first = parser.parse(f);
+
+                expect(parser.parse(f)).to.equal(first);
+                expect(first).to.deep.equal([parameter("a"), parameter("b")]);
+                expect(calls).to.equal(1);
+            });
+
+            it("should cache functions separately", () => {
+                expect(names(a => {})).to.deep.equal(["a"]);
+                expect(names(b => {})).to.deep.equal(["b"]);
+            });
+        });
+    });
+
+    describe("#hasExplicitConstructor()", () => {
+        it("should detect a class with a constructor", () => {
+            class A { constructor() {} }
+
+            expect(parser.hasExplicitConstructor(A)).to.be.true;
+        });
+
+        it("should detect a class without a constructor", () => {
+            class A {}
+
+            expect(parser.hasExplicitConstructor(A)).to.be.false;
+        });
+
+        it("should detect a derived class without a constructor", () => {
+            class A { constructor(a) {} }
+            class B extends A { method(x) {} }
+
+            expect(parser.hasExplicitConstructor(B)).to.be.false;
+        });
+
+        itWithStaticBlocks("should detect a class with a constructor declared after class fields", () => {
+            const A = new Function(`return class A {
+                x = 1;
+                static { this.y = 2; }
+                constructor() {}
+            }`)();
+
+            expect(parser.hasExplicitConstructor(A)).to.be.true;
+        });
+
+        it("should not detect constructors in class fields", () => {
+            class A {
+                x = { constructor(y) {} };
+            }
+
+            expect(parser.hasExplicitConstructor(A)).to.be.false;
+        });
+
+        it("should treat functions as their own constructor", () => {
+            function A(a) {}
+
+            expect(parser.hasExplicitConstructor(A)).to.be.true;
+        });
+
+        it("should treat native constructors as their own constructor", () => {
+            expect(parser.hasExplicitConstructor(Map)).to.be.true;
+        });
+
+        it("should only inspect each class once", () => {
+            let calls = 0;
+            class A {}
+            const toString = A.toString.bind(A);
+            A.toString = () => (calls++, toString());
+
+            expect(parser.hasExplicitConstructor(A)).to.be.false;
+            expect(parser.hasExplicitConstructor(A)).to.be.false;
+            expect(calls).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Container, Lifetime, createScopeMiddleware } from "@moonwalkingbits/apollo-container";
+import { createRequire } from "module";
+import http from "http";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("createScopeMiddleware", () => {
+    let container;
+    let server;
+
+    const listen = listener => new Promise(resolve => {
+        server = http.createServer(listener);
+        server.listen(0, "127.0.0.1", resolve);
+    });
+
+    const request = path => new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port: server.address().port, path }, response => {
+            let body = "";
+
+            response.setEncoding("utf8");
+            response.on("data", chunk => body += chunk);
+            response.on("end", () => resolve({ statusCode: response.statusCode, body }));
+        }).on("error", reject);
+    });
+
+    beforeEach(() => {
+        container = new Container();
+    });
+
+    afterEach(done => {
+        if (!server) {
+            done();
+
+            return;
+        }
+
+        server.close(() => done());
+        server = null;
+    });
+
+    it("should handle every request in its own scope", async () => {
+        let count = 0;
+        container.bindFactory("counter", () => ({ id: ++count }), Lifetime.SCOPED);
+
+        await listen(createScopeMiddleware(container, (request, response) => {
+            response.end(`${container.get("counter").id} ${container.get("counter").id}`);
+        }));
+
+        expect(await request("/")).to.deep.equal({ statusCode: 200, body: "1 1" });
+        expect(await request("/")).to.deep.equal({ statusCode: 200, body: "2 2" });
+    });
+
+    it("should bind the request and the response in the scope", async () => {
+        container.bindFactory("path", request => request.url, Lifetime.SCOPED);
+
+        await listen(createScopeMiddleware(container, async (request, response, scope) => {
+            await new Promise(resolve => setImmediate(resolve));
+
+            scope.get("response").end(container.get("path"));
+        }));
+
+        expect(await request("/users")).to.deep.equal({ statusCode: 200, body: "/users" });
+    });
+
+    it("should dispose the scope once the response is finished", async () => {
+        const events = [];
+        container.bindFactory(
+            "transaction",
+            () => ({ dispose: () => events.push("disposed") }),
+            Lifetime.SCOPED
+        );
+
+        await listen(createScopeMiddleware(container, (request, response) => {
+            container.get("transaction");
+            events.push("handled");
+            setTimeout(() => {
+                events.push("responded");
+                response.end();
+            }, 5);
+        }));
+
+        await request("/");
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(events).to.deep.equal(["handled", "responded", "disposed"]);
+    });
+
+    it("should respond with an internal server error if the handler fails", async () => {
+        await listen(createScopeMiddleware(container, () => {
+            throw new Error("failure");
+        }));
+
+        expect(await request("/")).to.deep.equal({ statusCode: 500, body: "" });
+    });
+
+    it("should give errors to the error handler", async () => {
+        const errors = [];
+
+        await listen(createScopeMiddleware(container, async () => {
+            throw new Error("failure");
+        }, {
+            onError: (error, request, response) => {
+                errors.push(error.message);
+                response.statusCode = 503;
+                response.end("unavailable");
+            }
+        }));
+
+        expect(await request("/")).to.deep.equal({ statusCode: 503, body: "unavailable" });
+        expect(errors).to.deep.equal(["failure"]);
+    });
+});